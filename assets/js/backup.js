@@ -0,0 +1,913 @@
+/* jshint esversion: 8, browser: true */
+/* global showFeedback, getFavourites, saveFavourites, findFavouriteIndex, normaliseJournal, JOURNAL_STATUSES,
+   getItineraryData, saveItineraryData, getActiveTrip, getTripStopDates, formatStopDates,
+   getGreatCircleDistance, createTripId, DEFAULT_TRIP_NAME, DEFAULT_NIGHTS, MAX_NIGHTS */
+/* ══════════════════════════════════════════════
+   backup.js - Export & Import
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - Exporting favourites and trips from the
+     "Export & import" panel on favourites.html and
+     itinerary.html:
+       JSON - a full backup that can be imported again
+       CSV  - for spreadsheets
+       GPX and KML - for mapping apps
+       iCalendar (.ics) - a trip's stops as dated
+         calendar events
+   - Importing a JSON backup: every entry is checked
+     and cleaned, entries already saved are skipped,
+     and it can be added to or replace what's saved
+
+   The panel's data-backup-scope says what CSV, GPX
+   and KML exports contain: "favourites", or "trip"
+   for the trip open in the planner.
+
+   Demonstrates: Blob and object URLs, the File API,
+   JSON, CSV, XML and iCalendar text formats, data
+   validation
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   SETTINGS
+   ────────────────────────────────────────────── */
+
+/** Marks a JSON file as a Wanderlust Travel backup */
+const BACKUP_APP = "wanderlust-travel";
+
+/** Version of the backup format, raised if its layout changes */
+const BACKUP_VERSION = 1;
+
+/** Country codes as stored by the REST Countries API */
+const CCA3_PATTERN = /^[A-Z]{3}$/;
+
+/** Timezone as the API writes it, e.g. "UTC+05:45" */
+const TIMEZONE_PATTERN = /^UTC([+-]\d{2}:\d{2})?$/;
+
+/** Trip start dates */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ──────────────────────────────────────────────
+   HELPERS
+   ────────────────────────────────────────────── */
+
+/**
+ * Put a count and the right form of a word together
+ * @param {number} count - How many
+ * @param {string} singular - e.g. "trip"
+ * @param {string} plural - Plural form (defaults to singular + "s")
+ * @returns {string} - e.g. "3 trips"
+ */
+function pluralise(count, singular, plural) {
+  return count + " " + (count === 1 ? singular : plural || singular + "s");
+}
+
+/**
+ * Today's date for file names
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function getExportDate() {
+  const today = new Date();
+  return today.getFullYear() + "-" +
+    String(today.getMonth() + 1).padStart(2, "0") + "-" +
+    String(today.getDate()).padStart(2, "0");
+}
+
+/**
+ * Turn a trip name into something safe for a file name
+ * @param {string} name - e.g. "Summer in Asia!"
+ * @returns {string} - e.g. "summer-in-asia"
+ */
+function toFileSlug(name) {
+  return name.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "trip";
+}
+
+/**
+ * Save text as a file download
+ * @param {string} filename - Name to save as
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type: type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download first
+  setTimeout(function () {
+    URL.revokeObjectURL(url);
+  }, 1000);
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Midnight UTC, from getTripStopDates
+ * @returns {string} - e.g. "2027-03-12"
+ */
+function formatIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/* ──────────────────────────────────────────────
+   WHAT TO EXPORT
+   Favourites or trip stops as a list of named
+   points, shared by the CSV, GPX and KML formats
+   ────────────────────────────────────────────── */
+
+/**
+ * Get the points to export for the panel's scope
+ * @param {string} scope - "favourites" or "trip"
+ * @returns {object} - { title, filename, route, points: [{ name, code, lat, lng, description }] }
+ */
+function getExportPoints(scope) {
+  if (scope === "trip") {
+    const trip = getActiveTrip(getItineraryData());
+    if (!trip) {
+      return { title: "", filename: "", route: true, points: [] };
+    }
+
+    const dates = getTripStopDates(trip);
+    return {
+      title: trip.name,
+      filename: "wanderlust-trip-" + toFileSlug(trip.name),
+      route: true,
+      points: trip.stops.map(function (stop, i) {
+        let description = "Stop " + (i + 1) + " of " + trip.stops.length + " · " +
+          pluralise(stop.nights, "night");
+        if (dates) {
+          description += " · " + formatStopDates(dates[i]);
+        }
+        return { name: stop.name, code: stop.cca3, lat: stop.latlng[0], lng: stop.latlng[1], description: description };
+      })
+    };
+  }
+
+  return {
+    title: "Wanderlust Travel favourites",
+    filename: "wanderlust-favourites-" + getExportDate(),
+    route: false,
+    points: getFavourites().filter(function (fav) {
+      return isValidLatLng(fav.latlng);
+    }).map(function (fav) {
+      const details = [];
+      if (fav.capital && fav.capital.length > 0) {
+        details.push("Capital: " + fav.capital.join(", "));
+      }
+      if (fav.region) {
+        details.push(fav.subregion || fav.region);
+      }
+      return {
+        name: fav.name.common,
+        code: fav.cca3 || "",
+        lat: fav.latlng[0],
+        lng: fav.latlng[1],
+        description: details.join(" · ")
+      };
+    })
+  };
+}
+
+/* ──────────────────────────────────────────────
+   JSON BACKUP
+   ────────────────────────────────────────────── */
+
+/**
+ * Build a full backup of favourites and trips
+ * @returns {string} - JSON text
+ */
+function buildBackupJson() {
+  const itineraries = getItineraryData();
+  return JSON.stringify({
+    app: BACKUP_APP,
+    version: BACKUP_VERSION,
+    exported: new Date().toISOString(),
+    favourites: getFavourites(),
+    trips: itineraries.trips,
+    activeTripId: itineraries.activeId
+  }, null, 2);
+}
+
+/* ──────────────────────────────────────────────
+   CSV
+   ────────────────────────────────────────────── */
+
+/**
+ * Format one CSV cell, quoting it if needed. Text starting
+ * with a formula character is prefixed with ' so spreadsheets
+ * show it rather than run it.
+ * @param {*} value - Cell value
+ * @returns {string} - CSV-safe text
+ */
+function toCsvCell(value) {
+  if (typeof value === "number") {
+    return String(value);
+  }
+
+  let text = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = "'" + text;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+/**
+ * Join rows into CSV text. Starts with a byte order mark so
+ * spreadsheets read names like "Åland Islands" correctly.
+ * @param {Array} rows - Arrays of cell values, header row first
+ * @returns {string} - CSV text
+ */
+function buildCsv(rows) {
+  return "\uFEFF" + rows.map(function (row) {
+    return row.map(toCsvCell).join(",");
+  }).join("\r\n") + "\r\n";
+}
+
+/**
+ * Favourites as spreadsheet rows
+ * @returns {Array} - Rows, header first
+ */
+function getFavouriteRows() {
+  const rows = [["Name", "Code", "Capital", "Region", "Subregion", "Population", "Area (km²)",
+    "Latitude", "Longitude", "Status", "Tags", "Visited from", "Visited to", "Notes"]];
+
+  getFavourites().forEach(function (fav) {
+    const latlng = isValidLatLng(fav.latlng) ? fav.latlng : ["", ""];
+    const journal = normaliseJournal(fav.journal);
+    rows.push([
+      fav.name.common,
+      fav.cca3 || "",
+      fav.capital ? fav.capital.join("; ") : "",
+      fav.region || "",
+      fav.subregion || "",
+      typeof fav.population === "number" ? fav.population : "",
+      typeof fav.area === "number" ? fav.area : "",
+      latlng[0],
+      latlng[1],
+      JOURNAL_STATUSES[journal.status],
+      journal.tags.join("; "),
+      journal.visitedFrom,
+      journal.visitedTo,
+      journal.notes
+    ]);
+  });
+  return rows;
+}
+
+/**
+ * The open trip's stops as spreadsheet rows
+ * @param {object} trip - The trip
+ * @returns {Array} - Rows, header first
+ */
+function getTripRows(trip) {
+  const dates = getTripStopDates(trip);
+  const rows = [["Stop", "Country", "Code", "Nights", "Arrive", "Depart", "Distance to next stop (km)", "Latitude", "Longitude"]];
+
+  trip.stops.forEach(function (stop, i) {
+    const next = trip.stops[i + 1];
+    rows.push([
+      i + 1,
+      stop.name,
+      stop.cca3,
+      stop.nights,
+      dates ? formatIsoDate(dates[i].arrive) : "",
+      dates ? formatIsoDate(dates[i].depart) : "",
+      next ? Math.round(getGreatCircleDistance(stop.latlng, next.latlng)) : "",
+      stop.latlng[0],
+      stop.latlng[1]
+    ]);
+  });
+  return rows;
+}
+
+/* ──────────────────────────────────────────────
+   GPX & KML
+   ────────────────────────────────────────────── */
+
+/**
+ * Escape text for use in XML
+ * @param {string} text - Plain text
+ * @returns {string} - XML-safe text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Build a GPX 1.1 file: a waypoint for each point, plus a
+ * route through them in order for a trip
+ * @param {object} collection - From getExportPoints
+ * @returns {string} - GPX text
+ */
+function buildGpx(collection) {
+  let gpx = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="Wanderlust Travel" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+    "  <metadata>\n" +
+    "    <name>" + escapeXml(collection.title) + "</name>\n" +
+    "    <time>" + new Date().toISOString() + "</time>\n" +
+    "  </metadata>\n";
+
+  collection.points.forEach(function (point) {
+    gpx += '  <wpt lat="' + point.lat + '" lon="' + point.lng + '">\n' +
+      "    <name>" + escapeXml(point.name) + "</name>\n" +
+      (point.description ? "    <desc>" + escapeXml(point.description) + "</desc>\n" : "") +
+      "  </wpt>\n";
+  });
+
+  if (collection.route && collection.points.length > 1) {
+    gpx += "  <rte>\n    <name>" + escapeXml(collection.title) + "</name>\n";
+    collection.points.forEach(function (point) {
+      gpx += '    <rtept lat="' + point.lat + '" lon="' + point.lng + '"><name>' +
+        escapeXml(point.name) + "</name></rtept>\n";
+    });
+    gpx += "  </rte>\n";
+  }
+
+  return gpx + "</gpx>\n";
+}
+
+/**
+ * Build a KML file: a placemark for each point, plus a line
+ * through them in order for a trip
+ * @param {object} collection - From getExportPoints
+ * @returns {string} - KML text
+ */
+function buildKml(collection) {
+  let kml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+    "  <Document>\n" +
+    "    <name>" + escapeXml(collection.title) + "</name>\n";
+
+  collection.points.forEach(function (point) {
+    // KML puts longitude first
+    kml += "    <Placemark>\n" +
+      "      <name>" + escapeXml(point.name) + "</name>\n" +
+      (point.description ? "      <description>" + escapeXml(point.description) + "</description>\n" : "") +
+      "      <Point><coordinates>" + point.lng + "," + point.lat + "</coordinates></Point>\n" +
+      "    </Placemark>\n";
+  });
+
+  if (collection.route && collection.points.length > 1) {
+    kml += "    <Placemark>\n" +
+      "      <name>Route</name>\n" +
+      "      <LineString>\n" +
+      "        <tessellate>1</tessellate>\n" +
+      "        <coordinates>" + collection.points.map(function (point) {
+        return point.lng + "," + point.lat;
+      }).join(" ") + "</coordinates>\n" +
+      "      </LineString>\n" +
+      "    </Placemark>\n";
+  }
+
+  return kml + "  </Document>\n</kml>\n";
+}
+
+/* ──────────────────────────────────────────────
+   iCALENDAR
+   ────────────────────────────────────────────── */
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a line so no line is longer than 75 bytes, as
+ * iCalendar requires. Continuation lines start with a space.
+ * @param {string} line - Unfolded line
+ * @returns {string} - Folded line, joined with CRLF
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+
+  Array.from(line).forEach(function (char) {
+    const size = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  });
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+/**
+ * Build an iCalendar file with an all-day event for each stop
+ * @param {object} trip - The trip (must have a start date)
+ * @returns {string} - iCalendar text
+ */
+function buildIcs(trip) {
+  const dates = getTripStopDates(trip);
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Wanderlust Travel//Trip Planner//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:" + escapeIcsText(trip.name)
+  ];
+
+  trip.stops.forEach(function (stop, i) {
+    // All-day events end on the day after they finish, so a
+    // stop with no nights still lasts one day
+    let end = dates[i].depart;
+    if (end.getTime() === dates[i].arrive.getTime()) {
+      end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+    }
+
+    lines.push(
+      "BEGIN:VEVENT",
+      "UID:" + trip.id + "-" + (i + 1) + "-" + stop.cca3 + "@wanderlust-travel",
+      "DTSTAMP:" + stamp,
+      "DTSTART;VALUE=DATE:" + formatIsoDate(dates[i].arrive).replace(/-/g, ""),
+      "DTEND;VALUE=DATE:" + formatIsoDate(end).replace(/-/g, ""),
+      "SUMMARY:" + escapeIcsText(stop.name + " – " + trip.name),
+      "DESCRIPTION:" + escapeIcsText("Stop " + (i + 1) + " of " + trip.stops.length +
+        ", " + pluralise(stop.nights, "night")),
+      "LOCATION:" + escapeIcsText(stop.name),
+      "GEO:" + stop.latlng[0] + ";" + stop.latlng[1],
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+/* ──────────────────────────────────────────────
+   EXPORT
+   ────────────────────────────────────────────── */
+
+/**
+ * Export in the chosen format
+ * @param {string} format - "json", "csv", "gpx", "kml" or "ics"
+ * @param {string} scope - "favourites" or "trip"
+ */
+function exportData(format, scope) {
+  if (format === "json") {
+    downloadFile("wanderlust-backup-" + getExportDate() + ".json", buildBackupJson(), "application/json");
+    showFeedback("backup-feedback", "Backup downloaded - it holds your favourites and all your trips.", "success");
+    return;
+  }
+
+  const collection = getExportPoints(scope);
+  if (collection.points.length === 0) {
+    const message = scope === "trip" ? "Add some stops to your trip first." :
+      "You haven't saved any favourites to export yet.";
+    showFeedback("backup-feedback", message, "error");
+    return;
+  }
+
+  const trip = scope === "trip" ? getActiveTrip(getItineraryData()) : null;
+
+  if (format === "csv") {
+    downloadFile(collection.filename + ".csv", buildCsv(trip ? getTripRows(trip) : getFavouriteRows()), "text/csv");
+  } else if (format === "gpx") {
+    downloadFile(collection.filename + ".gpx", buildGpx(collection), "application/gpx+xml");
+  } else if (format === "kml") {
+    downloadFile(collection.filename + ".kml", buildKml(collection), "application/vnd.google-earth.kml+xml");
+  } else if (format === "ics") {
+    if (!trip || !getTripStopDates(trip)) {
+      showFeedback("backup-feedback", "Choose a start date for the trip first, so each stop has dates.", "error");
+      return;
+    }
+    downloadFile(collection.filename + ".ics", buildIcs(trip), "text/calendar");
+  }
+
+  showFeedback("backup-feedback", format.toUpperCase() + " file downloaded.", "success");
+}
+
+/* ──────────────────────────────────────────────
+   IMPORT: CHECKING A BACKUP
+   Backups can come from anywhere, so every value is
+   checked before it's saved. Text has HTML characters
+   removed, as it ends up in card and list markup.
+   ────────────────────────────────────────────── */
+
+/**
+ * Clean a piece of text from a backup
+ * @param {*} value - Value from the file
+ * @param {number} maxLength - Longest allowed
+ * @returns {string} - Cleaned text, or "" if it wasn't text
+ */
+function cleanText(value, maxLength) {
+  if (typeof value !== "string") {
+    return "";
+  }
+  return value.replace(/[<>"]/g, "").trim().slice(0, maxLength);
+}
+
+/**
+ * Check for a usable [lat, lng] pair
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+function isValidLatLng(value) {
+  return Array.isArray(value) && value.length === 2 &&
+    Number.isFinite(value[0]) && Number.isFinite(value[1]) &&
+    Math.abs(value[0]) <= 90 && Math.abs(value[1]) <= 180;
+}
+
+/**
+ * Check for an https URL that's safe to put in an attribute
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+function isSafeUrl(value) {
+  return typeof value === "string" && /^https:\/\/[^\s"'<>]+$/.test(value);
+}
+
+/**
+ * Clean a lookup object of names, e.g. languages
+ * @param {*} value - Value from the file
+ * @param {RegExp} keyPattern - Allowed keys
+ * @param {function} cleanValue - Cleans each value, returning null to drop it
+ * @returns {object|undefined} - Cleaned object, or undefined if none
+ */
+function cleanLookup(value, keyPattern, cleanValue) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return undefined;
+  }
+  const cleaned = {};
+  Object.keys(value).forEach(function (key) {
+    const item = keyPattern.test(key) ? cleanValue(value[key]) : null;
+    if (item) {
+      cleaned[key] = item;
+    }
+  });
+  return cleaned;
+}
+
+/**
+ * Clean a favourite from a backup, keeping the fields of a
+ * favourite snapshot (see createFavouriteSnapshot in features.js)
+ * @param {*} item - Entry from the file
+ * @returns {object|null} - Favourite, or null if it can't be used
+ */
+function cleanFavourite(item) {
+  const name = item && item.name ? cleanText(item.name.common, 100) : "";
+  if (!name) {
+    return null;
+  }
+
+  const fav = { name: { common: name } };
+  if (cleanText(item.name.official, 200)) {
+    fav.name.official = cleanText(item.name.official, 200);
+  }
+  if (/^[A-Z]{2}$/.test(item.cca2)) {
+    fav.cca2 = item.cca2;
+  }
+  if (CCA3_PATTERN.test(item.cca3)) {
+    fav.cca3 = item.cca3;
+  }
+  if (item.flags && isSafeUrl(item.flags.png)) {
+    fav.flags = {
+      png: item.flags.png,
+      svg: isSafeUrl(item.flags.svg) ? item.flags.svg : item.flags.png,
+      alt: cleanText(item.flags.alt, 300)
+    };
+  }
+  if (isValidLatLng(item.latlng)) {
+    fav.latlng = [item.latlng[0], item.latlng[1]];
+  }
+  if (Array.isArray(item.capital)) {
+    fav.capital = item.capital.map(function (capital) {
+      return cleanText(capital, 100);
+    }).filter(Boolean);
+  }
+  ["region", "subregion"].forEach(function (key) {
+    if (cleanText(item[key], 100)) {
+      fav[key] = cleanText(item[key], 100);
+    }
+  });
+  ["population", "area"].forEach(function (key) {
+    if (Number.isFinite(item[key]) && item[key] >= 0) {
+      fav[key] = item[key];
+    }
+  });
+
+  fav.currencies = cleanLookup(item.currencies, CCA3_PATTERN, function (currency) {
+    const currencyName = currency ? cleanText(currency.name, 100) : "";
+    return currencyName ? { name: currencyName, symbol: cleanText(currency.symbol, 10) } : null;
+  });
+  fav.languages = cleanLookup(item.languages, /^[a-z]{3}$/, function (language) {
+    return cleanText(language, 100) || null;
+  });
+
+  if (Array.isArray(item.timezones)) {
+    fav.timezones = item.timezones.filter(function (timezone) {
+      return TIMEZONE_PATTERN.test(timezone);
+    });
+  }
+  if (Array.isArray(item.borders)) {
+    fav.borders = item.borders.filter(function (code) {
+      return CCA3_PATTERN.test(code);
+    });
+  }
+
+  // Journal notes are shown as text, so they're kept as written
+  fav.journal = normaliseJournal(item.journal);
+
+  return fav;
+}
+
+/**
+ * Clean a trip from a backup. Repeated stops are dropped.
+ * @param {*} item - Entry from the file
+ * @returns {object|null} - Trip, or null if it can't be used
+ */
+function cleanTrip(item) {
+  if (!item || typeof item !== "object" || !Array.isArray(item.stops)) {
+    return null;
+  }
+
+  const stops = [];
+  item.stops.forEach(function (stop) {
+    const usable = stop && CCA3_PATTERN.test(stop.cca3) && isValidLatLng(stop.latlng);
+    if (!usable || stops.some(function (other) {
+      return other.cca3 === stop.cca3;
+    })) {
+      return;
+    }
+
+    const nights = Number.isInteger(stop.nights) ? stop.nights : DEFAULT_NIGHTS;
+    stops.push({
+      cca3: stop.cca3,
+      name: cleanText(stop.name, 100) || stop.cca3,
+      flag: isSafeUrl(stop.flag) ? stop.flag : "",
+      latlng: [stop.latlng[0], stop.latlng[1]],
+      nights: Math.min(MAX_NIGHTS, Math.max(0, nights))
+    });
+  });
+
+  return {
+    id: typeof item.id === "string" && /^[\w-]{1,40}$/.test(item.id) ? item.id : createTripId(),
+    name: cleanText(item.name, 60) || DEFAULT_TRIP_NAME,
+    startDate: DATE_PATTERN.test(item.startDate) ? item.startDate : "",
+    stops: stops
+  };
+}
+
+/**
+ * Read and check a backup file's text
+ * @param {string} text - File contents
+ * @returns {object} - { favourites, trips, activeTripId, invalid }
+ *   where favourites/trips are null if the file has none
+ * @throws {Error} - With a message to show if the file can't be used
+ */
+function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("That file isn't a Wanderlust Travel backup (it isn't valid JSON).");
+  }
+
+  if (!data || data.app !== BACKUP_APP) {
+    throw new Error("That file isn't a Wanderlust Travel backup.");
+  }
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+    throw new Error("That backup was made by a newer version of this site, so it can't be read here.");
+  }
+
+  const result = { favourites: null, trips: null, activeTripId: "", invalid: 0 };
+
+  if (Array.isArray(data.favourites)) {
+    result.favourites = data.favourites.map(cleanFavourite);
+  }
+  if (Array.isArray(data.trips)) {
+    result.trips = data.trips.map(cleanTrip);
+  }
+  if (!result.favourites && !result.trips) {
+    throw new Error("That backup has no favourites or trips in it.");
+  }
+
+  // Count and drop anything that couldn't be used
+  ["favourites", "trips"].forEach(function (key) {
+    if (result[key]) {
+      result.invalid += result[key].filter(function (item) {
+        return !item;
+      }).length;
+      result[key] = result[key].filter(Boolean);
+    }
+  });
+
+  if (typeof data.activeTripId === "string") {
+    result.activeTripId = data.activeTripId;
+  }
+  return result;
+}
+
+/* ──────────────────────────────────────────────
+   IMPORT: SAVING
+   ────────────────────────────────────────────── */
+
+/**
+ * A trip's contents as text, to spot trips already saved
+ * @param {object} trip - The trip
+ * @returns {string} - Name, start date and stops
+ */
+function getTripSignature(trip) {
+  return JSON.stringify([trip.name, trip.startDate || "", trip.stops.map(function (stop) {
+    return [stop.cca3, stop.nights];
+  })]);
+}
+
+/**
+ * Add favourites to a list, skipping any already in it
+ * @param {Array} list - Favourites (changed in place)
+ * @param {Array} favourites - Favourites to add
+ * @returns {number} - How many were skipped
+ */
+function addNewFavourites(list, favourites) {
+  let skipped = 0;
+  favourites.forEach(function (fav) {
+    if (findFavouriteIndex(list, fav) === -1) {
+      list.push(fav);
+    } else {
+      skipped++;
+    }
+  });
+  return skipped;
+}
+
+/**
+ * Add trips to a list, skipping any with the same contents as
+ * one already in it. A different trip using an id that's
+ * taken is given a new id.
+ * @param {Array} list - Trips (changed in place)
+ * @param {Array} trips - Trips to add
+ * @returns {number} - How many were skipped
+ */
+function addNewTrips(list, trips) {
+  let skipped = 0;
+  trips.forEach(function (trip) {
+    const signature = getTripSignature(trip);
+    const duplicate = list.some(function (other) {
+      return getTripSignature(other) === signature;
+    });
+    if (duplicate) {
+      skipped++;
+      return;
+    }
+
+    if (list.some(function (other) {
+      return other.id === trip.id;
+    })) {
+      trip.id = createTripId();
+    }
+    list.push(trip);
+  });
+  return skipped;
+}
+
+/**
+ * Save a checked backup, added to or replacing what's saved
+ * @param {object} backup - From parseBackup
+ * @param {string} mode - "merge" or "replace"
+ * @returns {object} - { favourites, trips, skipped } counts
+ */
+function applyBackup(backup, mode) {
+  const favourites = mode === "replace" && backup.favourites ? [] : getFavourites();
+  const itineraries = getItineraryData();
+  const favouriteCount = favourites.length;
+  let skipped = 0;
+
+  if (mode === "replace" && backup.trips) {
+    itineraries.trips = [];
+  }
+  const tripCount = itineraries.trips.length;
+
+  if (backup.favourites) {
+    skipped += addNewFavourites(favourites, backup.favourites);
+  }
+  if (backup.trips) {
+    skipped += addNewTrips(itineraries.trips, backup.trips);
+  }
+
+  // Open the trip that was open when the backup was made, if its
+  // trips replaced the user's (or the user's open trip is gone)
+  const hasActive = itineraries.trips.some(function (trip) {
+    return trip.id === itineraries.activeId;
+  });
+  if ((mode === "replace" && backup.trips) || !hasActive) {
+    const active = itineraries.trips.find(function (trip) {
+      return trip.id === backup.activeTripId;
+    }) || itineraries.trips[0];
+    itineraries.activeId = active ? active.id : "";
+  }
+
+  saveFavourites(favourites);
+  saveItineraryData(itineraries);
+
+  return {
+    favourites: favourites.length - favouriteCount,
+    trips: itineraries.trips.length - tripCount,
+    skipped: skipped
+  };
+}
+
+/**
+ * Import a backup file chosen by the user
+ * @param {File} file - The chosen file
+ * @param {string} mode - "merge" or "replace"
+ */
+async function importBackupFile(file, mode) {
+  let backup;
+  try {
+    backup = parseBackup(await file.text());
+  } catch (error) {
+    showFeedback("backup-feedback", error.message, "error");
+    return;
+  }
+
+  if (mode === "replace") {
+    const question = "Replace your saved " +
+      [backup.favourites ? "favourites" : "", backup.trips ? "trips" : ""].filter(Boolean).join(" and ") +
+      " with the " +
+      [
+        backup.favourites ? pluralise(backup.favourites.length, "favourite") : "",
+        backup.trips ? pluralise(backup.trips.length, "trip") : ""
+      ].filter(Boolean).join(" and ") +
+      " in this backup? This can't be undone.";
+    if (!window.confirm(question)) {
+      return;
+    }
+  }
+
+  const counts = applyBackup(backup, mode);
+  let message = (mode === "replace" ? "Backup restored: " : "Imported ") +
+    pluralise(counts.favourites, "favourite") + " and " + pluralise(counts.trips, "trip") + ".";
+  if (mode === "merge" && counts.favourites + counts.trips === 0) {
+    message = "Nothing new to import.";
+  }
+  if (counts.skipped > 0) {
+    message += " " + pluralise(counts.skipped, "entry was", "entries were") + " already saved.";
+  }
+  if (backup.invalid > 0) {
+    message += " " + pluralise(backup.invalid, "entry", "entries") + " couldn't be read and " +
+      (backup.invalid === 1 ? "was" : "were") + " left out.";
+  }
+  showFeedback("backup-feedback", message, "success");
+}
+
+/* ──────────────────────────────────────────────
+   INITIALISATION
+   ────────────────────────────────────────────── */
+
+document.addEventListener("DOMContentLoaded", function () {
+  const panel = document.getElementById("backup-panel");
+  if (!panel) {
+    return;
+  }
+
+  panel.addEventListener("click", function (event) {
+    const btn = event.target.closest("[data-export]");
+    if (btn) {
+      exportData(btn.dataset.export, panel.dataset.backupScope);
+    }
+  });
+
+  const fileInput = document.getElementById("import-file");
+  fileInput.addEventListener("change", async function () {
+    const file = fileInput.files[0];
+    const mode = panel.querySelector('input[name="import-mode"]:checked');
+    if (!file) {
+      return;
+    }
+    await importBackupFile(file, mode ? mode.value : "merge");
+
+    // Let the same file be chosen again
+    fileInput.value = "";
+  });
+});
@@ -0,0 +1,373 @@
+/* jshint esversion: 8, browser: true */
+/* global L */
+/* ══════════════════════════════════════════════
+   borders.js - Country Borders
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - Loading the bundled world borders
+     (assets/data/borders.geojson, one feature per
+     country, with its cca3 code as the feature id)
+   - Shading every country in the search results
+   - Outlining one selected country and fitting the
+     map to its real extent, so Russia fills the
+     view and Malta isn't lost in the sea
+   - Finding which country a point on the map is
+     in (see map-lookup.js)
+
+   The borders are simplified from Natural Earth
+   1:50m data. A few very small territories have no
+   outline; callers fall back to the country's
+   latlng point for those.
+
+   Demonstrates: GeoJSON, Leaflet vector layers,
+   Promise caching, Map, async/await, ray casting
+   point-in-polygon test
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   SETTINGS
+   ────────────────────────────────────────────── */
+
+/** URL of the bundled borders file */
+const BORDERS_URL = "assets/data/borders.geojson";
+
+/** Style for countries in the current results */
+const RESULT_BORDER_STYLE = {
+  color: "#1A5C8A",
+  weight: 1,
+  fillColor: "#1A5C8A",
+  fillOpacity: 0.15
+};
+
+/** Style for the selected country */
+const SELECTED_BORDER_STYLE = {
+  color: "#E8913A",
+  weight: 2.5,
+  fillColor: "#E8913A",
+  fillOpacity: 0.3
+};
+
+/** Closest zoom used when fitting to a country, so tiny ones keep some context */
+const BORDER_MAX_ZOOM = 9;
+
+/* ──────────────────────────────────────────────
+   LOADING
+   ────────────────────────────────────────────── */
+
+/** Pending or finished load of the borders, keyed by cca3 */
+let bordersPromise = null;
+
+/**
+ * Load the borders once and index them by country code
+ * @returns {Promise} - Resolves with { cca3: GeoJSON feature }
+ */
+function loadBorders() {
+  if (!bordersPromise) {
+    bordersPromise = fetch(BORDERS_URL).then(function (response) {
+      if (!response.ok) {
+        throw new Error("HTTP error: " + response.status);
+      }
+      return response.json();
+    }).then(function (collection) {
+      const byCode = {};
+      collection.features.forEach(function (feature) {
+        byCode[feature.id] = feature;
+      });
+      return byCode;
+    });
+
+    // Allow a retry if the first load fails
+    bordersPromise.catch(function () {
+      bordersPromise = null;
+    });
+  }
+  return bordersPromise;
+}
+
+/**
+ * Look up one country's border
+ * @param {string} code - cca3 code, e.g. "JPN"
+ * @returns {object|null} - GeoJSON feature, or null if there isn't one
+ */
+async function getCountryBorder(code) {
+  if (!code) {
+    return null;
+  }
+
+  try {
+    const borders = await loadBorders();
+    return borders[code.toUpperCase()] || null;
+  } catch (error) {
+    // Borders are a visual extra - markers still work without them
+    console.warn("Could not load country borders:", error);
+    return null;
+  }
+}
+
+/* ──────────────────────────────────────────────
+   MAP LAYERS
+   Each map gets one layer for shaded results and
+   one for the selected country
+   ────────────────────────────────────────────── */
+
+/** Border layers for each Leaflet map: { results, selected, shadeRequest } */
+const borderLayers = new Map();
+
+/**
+ * Get (creating them the first time) a map's border layers
+ * @param {object} mapInstance - Leaflet map instance
+ * @returns {object} - { results: L.GeoJSON, selected: L.GeoJSON, shadeRequest: number }
+ */
+function getBorderLayers(mapInstance) {
+  if (!borderLayers.has(mapInstance)) {
+    borderLayers.set(mapInstance, {
+      // Shading stays under markers and doesn't catch clicks
+      results: L.geoJSON(null, {
+        style: RESULT_BORDER_STYLE,
+        interactive: false
+      }).addTo(mapInstance),
+      selected: L.geoJSON(null, {
+        style: SELECTED_BORDER_STYLE,
+        interactive: false
+      }).addTo(mapInstance),
+      shadeRequest: 0
+    });
+  }
+  return borderLayers.get(mapInstance);
+}
+
+/**
+ * Shade every country in a set of results, replacing any
+ * earlier shading and selection, and fit the map to them
+ * (called by displayResults in script.js)
+ * @param {object} mapInstance - Leaflet map instance
+ * @param {Array} countries - Country objects being displayed
+ */
+async function shadeResultCountries(mapInstance, countries) {
+  const layers = getBorderLayers(mapInstance);
+
+  // Only the latest call may draw, if several overlap while loading
+  layers.shadeRequest++;
+  const request = layers.shadeRequest;
+
+  layers.results.clearLayers();
+  layers.selected.clearLayers();
+
+  if (countries.length === 0) {
+    return;
+  }
+
+  let borders;
+  try {
+    borders = await loadBorders();
+  } catch (error) {
+    console.warn("Could not load country borders:", error);
+    return;
+  }
+  if (request !== layers.shadeRequest) {
+    return;
+  }
+
+  countries.forEach(function (country) {
+    if (country.cca3 && borders[country.cca3]) {
+      layers.results.addData(borders[country.cca3]);
+    }
+  });
+
+  if (layers.results.getLayers().length > 0) {
+    mapInstance.fitBounds(layers.results.getBounds(), {
+      padding: [20, 20],
+      maxZoom: BORDER_MAX_ZOOM
+    });
+  }
+}
+
+/**
+ * Show or hide the result shading, e.g. while the choropleth
+ * colours the same countries (choropleth.js). Hidden shading
+ * is still kept up to date and fitted to.
+ * @param {object} mapInstance - Leaflet map instance
+ * @param {boolean} visible - True to show it
+ */
+function setResultShading(mapInstance, visible) {
+  const layers = getBorderLayers(mapInstance);
+
+  if (visible && !mapInstance.hasLayer(layers.results)) {
+    layers.results.addTo(mapInstance);
+    layers.results.bringToBack();
+  } else if (!visible) {
+    layers.results.remove();
+  }
+}
+
+/**
+ * Outline one country and fit the map to its territory
+ * @param {object} mapInstance - Leaflet map instance
+ * @param {string} code - cca3 code, e.g. "RUS"
+ * @param {boolean} animate - True to fly there, false to jump
+ * @returns {boolean} - True if outlined, false if there's no border to show
+ */
+async function showCountryBorder(mapInstance, code, animate) {
+  const feature = await getCountryBorder(code);
+  const layers = getBorderLayers(mapInstance);
+
+  layers.selected.clearLayers();
+  if (!feature) {
+    return false;
+  }
+
+  layers.selected.addData(feature);
+  layers.selected.bringToFront();
+
+  const bounds = layers.selected.getBounds();
+  const options = { padding: [20, 20], maxZoom: BORDER_MAX_ZOOM };
+  if (animate) {
+    mapInstance.flyToBounds(bounds, Object.assign({ duration: 1.5 }, options));
+  } else {
+    mapInstance.fitBounds(bounds, options);
+  }
+  return true;
+}
+
+/**
+ * Remove the selected country outline from a map
+ * @param {object} mapInstance - Leaflet map instance
+ */
+function clearCountryBorder(mapInstance) {
+  if (borderLayers.has(mapInstance)) {
+    borderLayers.get(mapInstance).selected.clearLayers();
+  }
+}
+
+/* ──────────────────────────────────────────────
+   POINT LOOKUP
+   Finds the country under a point with a ray
+   casting test against the bundled borders, so no
+   geocoding service is needed
+   ────────────────────────────────────────────── */
+
+/**
+ * List a feature's polygons, whether it has one or several
+ * @param {object} feature - GeoJSON feature
+ * @returns {Array} - Polygons, each an array of rings
+ */
+function getBorderPolygons(feature) {
+  if (feature.geometry.type === "Polygon") {
+    return [feature.geometry.coordinates];
+  }
+  return feature.geometry.coordinates;
+}
+
+/** Bounding boxes of the border features, worked out on first use */
+const borderBoxes = new Map();
+
+/**
+ * Get a feature's bounding box
+ * @param {object} feature - GeoJSON feature
+ * @returns {Array} - [minLng, minLat, maxLng, maxLat]
+ */
+function getBorderBox(feature) {
+  if (!borderBoxes.has(feature)) {
+    const box = [Infinity, Infinity, -Infinity, -Infinity];
+    const polygons = getBorderPolygons(feature);
+
+    polygons.forEach(function (polygon) {
+      // The outer ring (the first) encloses any holes
+      polygon[0].forEach(function (point) {
+        box[0] = Math.min(box[0], point[0]);
+        box[1] = Math.min(box[1], point[1]);
+        box[2] = Math.max(box[2], point[0]);
+        box[3] = Math.max(box[3], point[1]);
+      });
+    });
+    borderBoxes.set(feature, box);
+  }
+  return borderBoxes.get(feature);
+}
+
+/**
+ * Check whether a point is inside a ring, by counting how
+ * many of its edges a line running east from the point crosses
+ * @param {number} lng - Longitude of the point
+ * @param {number} lat - Latitude of the point
+ * @param {Array} ring - Ring of [lng, lat] positions
+ * @returns {boolean} - True if inside
+ */
+function isPointInRing(lng, lat, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a[1] > lat) !== (b[1] > lat) &&
+        lng < (b[0] - a[0]) * (lat - a[1]) / (b[1] - a[1]) + a[0]) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Check whether a point is inside a country's border
+ * @param {object} feature - GeoJSON feature
+ * @param {number} lng - Longitude of the point
+ * @param {number} lat - Latitude of the point
+ * @returns {boolean} - True if inside
+ */
+function isPointInBorder(feature, lng, lat) {
+  const box = getBorderBox(feature);
+  if (lng < box[0] || lng > box[2] || lat < box[1] || lat > box[3]) {
+    return false;
+  }
+
+  const polygons = getBorderPolygons(feature);
+
+  return polygons.some(function (polygon) {
+    // Inside the outer ring but not inside any of its holes (e.g. lakes)
+    return isPointInRing(lng, lat, polygon[0]) &&
+      !polygon.slice(1).some(function (hole) {
+        return isPointInRing(lng, lat, hole);
+      });
+  });
+}
+
+/**
+ * Find the country at a point on the map
+ * @param {object} latlng - Leaflet LatLng (or { lat, lng })
+ * @returns {Promise} - Resolves with the cca3 code, or null for
+ *   open water (rejects if the borders can't be loaded)
+ */
+async function findCountryAt(latlng) {
+  const borders = await loadBorders();
+  const lat = latlng.lat;
+
+  // Bring clicks on a repeated world copy back to -180...180, and
+  // also try one turn either way, as countries crossing the
+  // antimeridian (e.g. Russia, Fiji) run past 180 or -180
+  const lng = ((latlng.lng + 180) % 360 + 360) % 360 - 180;
+  const candidates = [lng, lng + 360, lng - 360];
+
+  // Simplified borders may not cut out enclaves (e.g. the Vatican
+  // from Italy), so when several match, the smallest one wins
+  let found = null;
+  let foundSize = Infinity;
+
+  Object.keys(borders).forEach(function (code) {
+    const inside = candidates.some(function (candidate) {
+      return isPointInBorder(borders[code], candidate, lat);
+    });
+    if (!inside) {
+      return;
+    }
+
+    const box = getBorderBox(borders[code]);
+    const size = (box[2] - box[0]) * (box[3] - box[1]);
+    if (size < foundSize) {
+      found = code;
+      foundSize = size;
+    }
+  });
+
+  return found;
+}
@@ -0,0 +1,224 @@
+/* jshint esversion: 8, browser: true */
+/* ══════════════════════════════════════════════
+   cache.js - Persistent Response Cache
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - Storing API responses in IndexedDB, keyed by URL
+   - An in-memory layer in front for instant repeat reads
+   - Size limits (entry count and approximate bytes),
+     removing the oldest entries first
+   - Clearing everything on request
+
+   Freshness rules (what to do with an entry) are left
+   to the caller - see data-provider.js.
+
+   Demonstrates: IndexedDB, wrapping callback APIs
+   in Promises, Map, factory functions
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   INDEXEDDB HELPERS
+   ────────────────────────────────────────────── */
+
+/** IndexedDB database and object store names */
+const CACHE_DB_NAME = "wanderlust-cache";
+const CACHE_STORE_NAME = "responses";
+
+/**
+ * Wrap an IndexedDB request in a Promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise} - Resolves with the request result
+ */
+function promisifyRequest(request) {
+  return new Promise(function (resolve, reject) {
+    request.onsuccess = function () {
+      resolve(request.result);
+    };
+    request.onerror = function () {
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Open (and if needed create) the cache database
+ * @returns {Promise} - Resolves with the database, or null if
+ *   IndexedDB isn't available (e.g. some private browsing modes)
+ */
+function openCacheDatabase() {
+  if (!window.indexedDB) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise(function (resolve) {
+    const request = window.indexedDB.open(CACHE_DB_NAME, 1);
+
+    request.onupgradeneeded = function () {
+      request.result.createObjectStore(CACHE_STORE_NAME, { keyPath: "key" });
+    };
+    request.onsuccess = function () {
+      resolve(request.result);
+    };
+    request.onerror = function () {
+      // Fall back to the memory layer only
+      console.warn("Response cache unavailable:", request.error);
+      resolve(null);
+    };
+  });
+}
+
+/* ──────────────────────────────────────────────
+   RESPONSE CACHE
+   ────────────────────────────────────────────── */
+
+/**
+ * Create a two-layer (memory + IndexedDB) response cache
+ * @param {object} limits - { maxEntries: number, maxBytes: number }
+ * @returns {object} - Cache with get, set and clear methods
+ */
+function createResponseCache(limits) {
+  const memory = new Map();
+  let dbPromise = null;
+
+  /**
+   * Open the database on first use
+   * @returns {Promise} - Resolves with the database or null
+   */
+  function getDatabase() {
+    if (!dbPromise) {
+      dbPromise = openCacheDatabase();
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run one operation against the object store
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} operation - Receives the store, returns a request
+   * @returns {Promise} - Resolves with the result, or null without a database
+   */
+  async function withStore(mode, operation) {
+    const db = await getDatabase();
+    if (!db) {
+      return null;
+    }
+
+    const transaction = db.transaction(CACHE_STORE_NAME, mode);
+    return promisifyRequest(operation(transaction.objectStore(CACHE_STORE_NAME)));
+  }
+
+  /**
+   * Remove the oldest entries until the cache is within its limits
+   */
+  async function enforceLimits() {
+    let entries = await withStore("readonly", function (store) {
+      return store.getAll();
+    });
+
+    // Without IndexedDB the memory layer holds everything
+    const inDatabase = entries !== null;
+    if (!inDatabase) {
+      entries = Array.from(memory.values());
+    }
+
+    // Oldest first
+    entries.sort(function (a, b) {
+      return a.storedAt - b.storedAt;
+    });
+
+    let totalBytes = entries.reduce(function (sum, entry) {
+      return sum + entry.size;
+    }, 0);
+    let count = entries.length;
+
+    for (let i = 0; i < entries.length; i++) {
+      if (count <= limits.maxEntries && totalBytes <= limits.maxBytes) {
+        break;
+      }
+
+      const key = entries[i].key;
+      if (inDatabase) {
+        await withStore("readwrite", function (store) {
+          return store.delete(key);
+        });
+      }
+      memory.delete(key);
+
+      count--;
+      totalBytes -= entries[i].size;
+    }
+  }
+
+  return {
+    /**
+     * Look up an entry
+     * @param {string} key - Cache key (the request URL)
+     * @returns {object|null} - { key, data, storedAt, size } or null
+     */
+    get: async function (key) {
+      if (memory.has(key)) {
+        return memory.get(key);
+      }
+
+      try {
+        const entry = await withStore("readonly", function (store) {
+          return store.get(key);
+        });
+        if (entry) {
+          memory.set(key, entry);
+          return entry;
+        }
+      } catch (error) {
+        console.warn("Error reading response cache:", error);
+      }
+      return null;
+    },
+
+    /**
+     * Store data under a key, replacing any existing entry
+     * @param {string} key - Cache key (the request URL)
+     * @param {*} data - JSON-serialisable response data
+     */
+    set: async function (key, data) {
+      const entry = {
+        key: key,
+        data: data,
+        storedAt: Date.now(),
+        // Approximate size, used for the byte limit
+        size: JSON.stringify(data).length
+      };
+
+      // Entries too big for the whole cache are not worth keeping
+      if (entry.size > limits.maxBytes) {
+        return;
+      }
+
+      memory.set(key, entry);
+
+      try {
+        await withStore("readwrite", function (store) {
+          return store.put(entry);
+        });
+        await enforceLimits();
+      } catch (error) {
+        // Quota errors etc. - the memory layer still works
+        console.warn("Error writing response cache:", error);
+      }
+    },
+
+    /**
+     * Remove every cached response
+     */
+    clear: async function () {
+      memory.clear();
+      try {
+        await withStore("readwrite", function (store) {
+          return store.clear();
+        });
+      } catch (error) {
+        console.warn("Error clearing response cache:", error);
+      }
+    }
+  };
+}
@@ -0,0 +1,411 @@
+/* jshint esversion: 8, browser: true */
+/* global L, destMap, loadBorders, setResultShading, getVisitedCodes */
+/* ══════════════════════════════════════════════
+   choropleth.js - Map Colouring
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - Colouring the result countries on the
+     destinations map by a chosen measure:
+     population, area, population density or
+     number of languages
+   - Quantile (same number of countries in each
+     colour) or linear (equal steps of the value)
+     colour scales
+   - A legend, and a tooltip with each country's
+     value
+   - A "Countries I've visited" mode, shading every
+     country marked as visited (visited.js) whatever
+     the results are
+
+   The colours always follow the results being
+   displayed: displayResults (script.js) passes on
+   each new set, after the filter panel has been
+   applied.
+
+   Demonstrates: Leaflet GeoJSON styling, custom
+   Leaflet controls, tooltips, sorting and array
+   maths, lookup tables of functions
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   SETTINGS
+   ────────────────────────────────────────────── */
+
+/** Fill colours from the lowest class to the highest */
+const CHOROPLETH_COLOURS = ["#DCEBF5", "#A6CCE5", "#6BA5CF", "#2F78AE", "#0F3D5F"];
+
+/** Fill for countries with no value for the measure */
+const CHOROPLETH_NO_DATA = "#C8CED4";
+
+/** Fill for visited countries in the "Countries I've visited" mode */
+const CHOROPLETH_VISITED = "#1B8A50";
+
+/**
+ * Measures the map can be coloured by. Each has a label,
+ * a way to read its value from a country (null if unknown)
+ * and a way to format a value.
+ */
+const CHOROPLETH_METRICS = {
+  population: {
+    label: "Population",
+    value: function (country) {
+      return typeof country.population === "number" ? country.population : null;
+    },
+    format: function (value) {
+      return value.toLocaleString();
+    }
+  },
+  area: {
+    label: "Area",
+    value: function (country) {
+      return country.area > 0 ? country.area : null;
+    },
+    format: function (value) {
+      return Math.round(value).toLocaleString() + " km²";
+    }
+  },
+  density: {
+    label: "Population density",
+    value: function (country) {
+      if (typeof country.population !== "number" || !country.area || country.area <= 0) {
+        return null;
+      }
+      return country.population / country.area;
+    },
+    format: function (value) {
+      return value.toLocaleString(undefined, { maximumFractionDigits: 1 }) + " people/km²";
+    }
+  },
+  languages: {
+    label: "Languages",
+    value: function (country) {
+      return country.languages ? Object.keys(country.languages).length : null;
+    },
+    format: function (value) {
+      return value + (value === 1 ? " language" : " languages");
+    }
+  }
+};
+
+/* ──────────────────────────────────────────────
+   STATE
+   ────────────────────────────────────────────── */
+
+/** Countries currently on the destinations map */
+let choroplethCountries = [];
+
+/** Layer holding the coloured countries (created on first use) */
+let choroplethLayer = null;
+
+/** Legend control (created on first use) */
+let choroplethLegend = null;
+
+/** Increases with every redraw, so only the latest one is drawn */
+let choroplethRequest = 0;
+
+/* ──────────────────────────────────────────────
+   COLOUR SCALES
+   ────────────────────────────────────────────── */
+
+/**
+ * Work out the upper limit of each colour class but the last
+ * @param {Array} values - Values being coloured, sorted lowest first
+ * @param {string} scale - "quantile" or "linear"
+ * @returns {Array} - One limit fewer than there are colours
+ */
+function getClassBreaks(values, scale) {
+  const breaks = [];
+  const classes = CHOROPLETH_COLOURS.length;
+  const min = values[0];
+  const max = values[values.length - 1];
+
+  for (let i = 1; i < classes; i++) {
+    if (scale === "linear") {
+      breaks.push(min + (max - min) * i / classes);
+    } else {
+      breaks.push(values[Math.ceil(values.length * i / classes) - 1]);
+    }
+  }
+  return breaks;
+}
+
+/**
+ * Find the colour class a value falls into
+ * @param {number} value - The value
+ * @param {Array} breaks - Limits from getClassBreaks
+ * @returns {number} - Class index (0 is the lowest)
+ */
+function getValueClass(value, breaks) {
+  for (let i = 0; i < breaks.length; i++) {
+    if (value <= breaks[i]) {
+      return i;
+    }
+  }
+  return breaks.length;
+}
+
+/* ──────────────────────────────────────────────
+   LEGEND
+   ────────────────────────────────────────────── */
+
+/**
+ * Format a value compactly for the legend, e.g. 1.4B
+ * @param {number} value - The value
+ * @returns {string} - Short form
+ */
+function formatLegendValue(value) {
+  return value.toLocaleString(undefined, {
+    notation: "compact",
+    maximumFractionDigits: 1
+  });
+}
+
+/**
+ * Build the legend contents
+ * @param {object} metric - Entry from CHOROPLETH_METRICS
+ * @param {string} scale - "quantile" or "linear"
+ * @param {Array} classes - { colour, min, max } for each class in use
+ * @param {boolean} hasNoData - True to include a "No data" entry
+ * @returns {string} - Legend HTML
+ */
+function buildLegendHTML(metric, scale, classes, hasNoData) {
+  let html = '<p class="map-legend-title">' + metric.label +
+    ' <span class="map-legend-scale">(' + scale + ")</span></p><ul>";
+
+  classes.forEach(function (item) {
+    let range = formatLegendValue(item.min);
+    if (item.max !== item.min) {
+      range += " – " + formatLegendValue(item.max);
+    }
+    html += '<li><span class="map-legend-swatch" style="background:' + item.colour +
+      '"></span>' + range + "</li>";
+  });
+
+  if (hasNoData) {
+    html += '<li><span class="map-legend-swatch" style="background:' + CHOROPLETH_NO_DATA +
+      '"></span>No data</li>';
+  }
+
+  return html + "</ul>";
+}
+
+/**
+ * Show the legend on the map, or remove it
+ * @param {string} html - Legend HTML, or "" to remove it
+ */
+function setLegend(html) {
+  if (!html) {
+    if (choroplethLegend) {
+      choroplethLegend.remove();
+    }
+    return;
+  }
+
+  if (!choroplethLegend) {
+    choroplethLegend = L.control({ position: "bottomright" });
+    choroplethLegend.onAdd = function () {
+      const div = L.DomUtil.create("div", "map-legend");
+      div.setAttribute("aria-label", "Map colour key");
+      return div;
+    };
+  }
+  if (!choroplethLegend.getContainer() || !choroplethLegend.getContainer().parentNode) {
+    choroplethLegend.addTo(destMap);
+  }
+  choroplethLegend.getContainer().innerHTML = html;
+}
+
+/* ──────────────────────────────────────────────
+   DRAWING
+   ────────────────────────────────────────────── */
+
+/**
+ * Remove the colouring and bring back the plain result shading
+ */
+function clearChoropleth() {
+  if (choroplethLayer) {
+    choroplethLayer.clearLayers();
+  }
+  setLegend("");
+  if (typeof setResultShading === "function") {
+    setResultShading(destMap, true);
+  }
+}
+
+/**
+ * Shade every country marked as visited, with a legend
+ * giving the count
+ * @param {object} borders - Borders by cca3 code, from loadBorders
+ */
+function drawVisitedCountries(borders) {
+  const codes = getVisitedCodes().filter(function (code) {
+    return borders[code];
+  });
+
+  if (!choroplethLayer) {
+    choroplethLayer = L.featureGroup();
+  }
+  choroplethLayer.clearLayers();
+  choroplethLayer.addTo(destMap);
+
+  codes.forEach(function (code) {
+    const layer = L.geoJSON(borders[code], {
+      style: {
+        color: "#FFFFFF",
+        weight: 1,
+        fillColor: CHOROPLETH_VISITED,
+        fillOpacity: 0.7
+      }
+    });
+    const properties = borders[code].properties || {};
+    layer.bindTooltip("<strong>" + (properties.name || code) + "</strong><br>Visited",
+      { sticky: true });
+    choroplethLayer.addLayer(layer);
+  });
+
+  choroplethLayer.bringToBack();
+  if (typeof setResultShading === "function") {
+    setResultShading(destMap, false);
+  }
+
+  setLegend('<p class="map-legend-title">Countries I\'ve visited</p><ul>' +
+    '<li><span class="map-legend-swatch" style="background:' + CHOROPLETH_VISITED +
+    '"></span>Visited (' + codes.length + ")</li></ul>");
+}
+
+/**
+ * Colour the current countries by the chosen measure and scale
+ * (or shade the visited countries)
+ */
+async function renderChoropleth() {
+  const metricSelect = document.getElementById("map-metric");
+  const scaleSelect = document.getElementById("map-scale");
+  const mode = metricSelect ? metricSelect.value : "none";
+  const metric = CHOROPLETH_METRICS[mode] || null;
+  const showVisited = mode === "visited" && typeof getVisitedCodes === "function";
+  const scale = scaleSelect ? scaleSelect.value : "quantile";
+
+  choroplethRequest++;
+  const request = choroplethRequest;
+
+  if (scaleSelect) {
+    scaleSelect.disabled = !metric;
+  }
+  if (!destMap || (!metric && !showVisited) ||
+      (metric && choroplethCountries.length === 0)) {
+    clearChoropleth();
+    return;
+  }
+
+  let borders;
+  try {
+    borders = await loadBorders();
+  } catch (error) {
+    console.warn("Could not load country borders:", error);
+    clearChoropleth();
+    return;
+  }
+  if (request !== choroplethRequest) {
+    return;
+  }
+
+  if (showVisited) {
+    drawVisitedCountries(borders);
+    return;
+  }
+
+  // Only countries with a border can be coloured
+  const shown = choroplethCountries.filter(function (country) {
+    return country.cca3 && borders[country.cca3];
+  });
+  const values = shown.map(metric.value).filter(function (value) {
+    return value !== null;
+  }).sort(function (a, b) {
+    return a - b;
+  });
+
+  const breaks = values.length > 0 ? getClassBreaks(values, scale) : [];
+
+  // Value range actually covered by each class, for the legend
+  const classes = CHOROPLETH_COLOURS.map(function (colour) {
+    return { colour: colour, min: Infinity, max: -Infinity };
+  });
+
+  if (!choroplethLayer) {
+    choroplethLayer = L.featureGroup();
+  }
+  choroplethLayer.clearLayers();
+  choroplethLayer.addTo(destMap);
+
+  let hasNoData = false;
+  shown.forEach(function (country) {
+    const value = metric.value(country);
+    let fillColor = CHOROPLETH_NO_DATA;
+
+    if (value === null) {
+      hasNoData = true;
+    } else {
+      const item = classes[getValueClass(value, breaks)];
+      item.min = Math.min(item.min, value);
+      item.max = Math.max(item.max, value);
+      fillColor = item.colour;
+    }
+
+    const layer = L.geoJSON(borders[country.cca3], {
+      style: {
+        color: "#FFFFFF",
+        weight: 1,
+        fillColor: fillColor,
+        fillOpacity: 0.75
+      }
+    });
+    layer.bindTooltip(
+      "<strong>" + country.name.common + "</strong><br>" +
+      metric.label + ": " + (value === null ? "No data" : metric.format(value)),
+      { sticky: true }
+    );
+    choroplethLayer.addLayer(layer);
+  });
+
+  // Keep the selected country outline (borders.js) on top
+  choroplethLayer.bringToBack();
+  if (typeof setResultShading === "function") {
+    setResultShading(destMap, false);
+  }
+
+  setLegend(buildLegendHTML(metric, scale, classes.filter(function (item) {
+    return item.min <= item.max;
+  }), hasNoData));
+}
+
+/**
+ * Take a new set of displayed results and recolour the map
+ * (called by displayResults in script.js)
+ * @param {object} mapInstance - Map the results are on
+ * @param {Array} countries - Countries on the map
+ */
+function updateChoropleth(mapInstance, countries) {
+  if (!destMap || mapInstance !== destMap) {
+    return;
+  }
+
+  choroplethCountries = countries;
+  renderChoropleth();
+}
+
+/* ──────────────────────────────────────────────
+   INITIALISATION
+   ────────────────────────────────────────────── */
+
+document.addEventListener("DOMContentLoaded", function () {
+  const metricSelect = document.getElementById("map-metric");
+  const scaleSelect = document.getElementById("map-scale");
+  if (!metricSelect || !scaleSelect) {
+    return;
+  }
+
+  metricSelect.addEventListener("change", renderChoropleth);
+  scaleSelect.addEventListener("change", renderChoropleth);
+  scaleSelect.disabled = metricSelect.value === "none";
+});
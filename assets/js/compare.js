@@ -0,0 +1,679 @@
+/* jshint esversion: 8, browser: true */
+/* global countryData, getCountryDetailHref, showFeedback, toggleSpinner */
+/* ══════════════════════════════════════════════
+   compare.js - Country Comparison
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - An "Add to compare" button on every country
+     card (see createCountryCard in script.js)
+   - The compare tray: up to four chosen countries,
+     kept in localStorage and shown on every page
+     with cards
+   - The comparison table on compare.html, side by
+     side with the differences highlighted
+   - Keeping the compared set in the URL
+     (compare.html?countries=JPN,ITA) so it can be
+     shared
+
+   Demonstrates: localStorage, URLSearchParams,
+   History API (replaceState), Promise.all, storage
+   events, Clipboard API, aria-pressed
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   SETTINGS
+   ────────────────────────────────────────────── */
+
+/** LocalStorage key for the countries in the tray */
+const COMPARE_KEY = "wanderlust-compare";
+
+/** Most countries that can be compared at once */
+const COMPARE_LIMIT = 4;
+
+/** Page showing the comparison table */
+const COMPARE_PAGE = "compare.html";
+
+/** Pattern for a cca3 code in the URL */
+const COMPARE_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/* ──────────────────────────────────────────────
+   THE COMPARE LIST
+   Stored as small snapshots { cca3, name, flag },
+   enough to draw the tray without a lookup
+   ────────────────────────────────────────────── */
+
+/**
+ * Read the countries chosen for comparison
+ * @returns {Array} - Snapshots, in the order they were added
+ */
+function getCompareList() {
+  try {
+    const list = JSON.parse(localStorage.getItem(COMPARE_KEY)) || [];
+    return Array.isArray(list) ? list.slice(0, COMPARE_LIMIT) : [];
+  } catch (error) {
+    console.error("Error reading compare list:", error);
+    return [];
+  }
+}
+
+/**
+ * Save the countries chosen for comparison and update the page
+ * @param {Array} list - Snapshots to save
+ */
+function saveCompareList(list) {
+  try {
+    localStorage.setItem(COMPARE_KEY, JSON.stringify(list));
+  } catch (error) {
+    console.error("Error saving compare list:", error);
+  }
+  refreshCompareControls();
+}
+
+/**
+ * Build the snapshot of a country kept in the compare list
+ * @param {object} country - Country object from REST Countries API
+ * @returns {object} - { cca3, name, flag }
+ */
+function createCompareSnapshot(country) {
+  return {
+    cca3: country.cca3,
+    name: country.name && country.name.common ? country.name.common : country.cca3,
+    flag: country.flags && country.flags.png ? country.flags.png : ""
+  };
+}
+
+/**
+ * Check whether a country is in the compare list
+ * @param {string} code - cca3 code
+ * @returns {boolean} - True if it is being compared
+ */
+function isCompared(code) {
+  return getCompareList().some(function (item) {
+    return item.cca3 === code;
+  });
+}
+
+/**
+ * Build the link to the comparison table for a set of countries
+ * @param {Array} codes - cca3 codes
+ * @returns {string} - e.g. "compare.html?countries=JPN,ITA"
+ */
+function getCompareHref(codes) {
+  if (codes.length === 0) {
+    return COMPARE_PAGE;
+  }
+  return COMPARE_PAGE + "?countries=" + codes.join(",");
+}
+
+/**
+ * Add a country to the compare list, or take it out again
+ * @param {object} country - Country object from REST Countries API
+ */
+function toggleCompare(country) {
+  const list = getCompareList();
+  const index = list.findIndex(function (item) {
+    return item.cca3 === country.cca3;
+  });
+
+  if (index !== -1) {
+    list.splice(index, 1);
+    saveCompareList(list);
+    setCompareTrayStatus("");
+    return;
+  }
+
+  if (list.length >= COMPARE_LIMIT) {
+    setCompareTrayStatus("You can compare up to " + COMPARE_LIMIT +
+      " countries. Remove one to add " + createCompareSnapshot(country).name + ".");
+    return;
+  }
+
+  list.push(createCompareSnapshot(country));
+  saveCompareList(list);
+  setCompareTrayStatus("");
+}
+
+/* ──────────────────────────────────────────────
+   CARD BUTTONS
+   ────────────────────────────────────────────── */
+
+/**
+ * Show whether a compare button's country is in the list
+ * @param {HTMLElement} btn - The compare button
+ * @param {boolean} compared - True if being compared
+ */
+function setCompareButtonState(btn, compared) {
+  btn.setAttribute("aria-pressed", compared ? "true" : "false");
+  btn.classList.toggle("comparing", compared);
+  btn.innerHTML = compared ? "&#10003; Comparing" : "+ Compare";
+}
+
+/**
+ * Create the "Add to compare" button for a country card
+ * @param {object} country - The country the card shows
+ * @returns {HTMLElement} - The button
+ */
+function createCompareButton(country) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "compare-btn";
+  btn.dataset.code = country.cca3;
+  btn.setAttribute("aria-label", "Compare " +
+    createCompareSnapshot(country).name + " with other countries");
+  setCompareButtonState(btn, isCompared(country.cca3));
+
+  btn.addEventListener("click", function (event) {
+    event.stopPropagation();
+    toggleCompare(country);
+  });
+
+  return btn;
+}
+
+/**
+ * Bring every compare button and the tray up to date
+ */
+function refreshCompareControls() {
+  const codes = getCompareList().map(function (item) {
+    return item.cca3;
+  });
+
+  document.querySelectorAll(".compare-btn").forEach(function (btn) {
+    setCompareButtonState(btn, codes.indexOf(btn.dataset.code) !== -1);
+  });
+  renderCompareTray();
+}
+
+/* ──────────────────────────────────────────────
+   COMPARE TRAY
+   A bar fixed to the bottom of the page while any
+   countries are chosen
+   ────────────────────────────────────────────── */
+
+/**
+ * Show a message in the tray (e.g. when it is full)
+ * @param {string} message - Message, or "" to clear it
+ */
+function setCompareTrayStatus(message) {
+  const status = document.getElementById("compare-tray-status");
+  if (status) {
+    status.textContent = message;
+  }
+}
+
+/**
+ * Create the (empty, hidden) tray on pages that show cards
+ */
+function createCompareTray() {
+  const tray = document.createElement("aside");
+  tray.id = "compare-tray";
+  tray.className = "compare-tray";
+  tray.setAttribute("aria-label", "Countries to compare");
+  tray.hidden = true;
+  tray.innerHTML =
+    '<div class="compare-tray-inner">' +
+    '<p class="compare-tray-title">Compare <span id="compare-tray-count"></span></p>' +
+    '<ul id="compare-tray-list" class="compare-tray-list"></ul>' +
+    '<div class="compare-tray-actions">' +
+    '<a id="compare-tray-go" class="compare-tray-go" href="' + COMPARE_PAGE + '">Compare now &#x2192;</a>' +
+    '<button type="button" id="compare-tray-clear" class="compare-tray-clear">Clear</button>' +
+    "</div></div>" +
+    '<p id="compare-tray-status" class="compare-tray-status" role="status"></p>';
+  document.body.appendChild(tray);
+
+  // Removing is delegated, as the list is redrawn on every change
+  document.getElementById("compare-tray-list").addEventListener("click", function (event) {
+    const btn = event.target.closest("[data-remove]");
+    if (!btn) {
+      return;
+    }
+    saveCompareList(getCompareList().filter(function (item) {
+      return item.cca3 !== btn.dataset.remove;
+    }));
+  });
+
+  document.getElementById("compare-tray-clear").addEventListener("click", function () {
+    saveCompareList([]);
+    setCompareTrayStatus("");
+  });
+}
+
+/**
+ * Redraw the tray from the compare list
+ */
+function renderCompareTray() {
+  const tray = document.getElementById("compare-tray");
+  if (!tray) {
+    return;
+  }
+
+  const list = getCompareList();
+  tray.hidden = list.length === 0;
+  document.body.classList.toggle("has-compare-tray", list.length > 0);
+  document.getElementById("compare-tray-count").textContent =
+    "(" + list.length + " of " + COMPARE_LIMIT + ")";
+
+  let html = "";
+  list.forEach(function (item) {
+    html += '<li class="compare-tray-item">';
+    if (item.flag) {
+      html += '<img src="' + item.flag + '" alt="" onerror="this.style.display=\'none\'">';
+    }
+    html += "<span>" + item.name + "</span>" +
+      '<button type="button" class="compare-tray-remove" data-remove="' + item.cca3 +
+      '" aria-label="Remove ' + item.name + ' from comparison">&times;</button></li>';
+  });
+  document.getElementById("compare-tray-list").innerHTML = html;
+
+  // Comparing needs at least two countries
+  const go = document.getElementById("compare-tray-go");
+  if (list.length >= 2) {
+    go.href = getCompareHref(list.map(function (item) {
+      return item.cca3;
+    }));
+    go.removeAttribute("aria-disabled");
+  } else {
+    go.removeAttribute("href");
+    go.setAttribute("aria-disabled", "true");
+  }
+  go.title = list.length >= 2 ? "" : "Add at least two countries to compare";
+}
+
+/* ──────────────────────────────────────────────
+   COMPARISON TABLE (compare.html)
+   ────────────────────────────────────────────── */
+
+/** Countries currently in the table */
+let comparedCountries = [];
+
+/**
+ * Lists a country's currencies with their codes
+ * @param {object} country - Country object
+ * @returns {Array} - e.g. ["Euro (EUR)"]
+ */
+function getCompareCurrencies(country) {
+  if (!country.currencies) {
+    return [];
+  }
+  return Object.keys(country.currencies).map(function (code) {
+    return country.currencies[code].name + " (" + code + ")";
+  });
+}
+
+/**
+ * Rows of the comparison table. Each row reads one value from a
+ * country: a number (with a formatter), a list of items, or text.
+ */
+const COMPARE_ROWS = [
+  {
+    label: "Region",
+    text: function (country) {
+      return [country.region, country.subregion].filter(Boolean).join(" · ");
+    }
+  },
+  {
+    label: "Capital",
+    items: function (country) {
+      return country.capital || [];
+    }
+  },
+  {
+    label: "Population",
+    number: function (country) {
+      return typeof country.population === "number" ? country.population : null;
+    },
+    format: function (value) {
+      return value.toLocaleString();
+    }
+  },
+  {
+    label: "Area",
+    number: function (country) {
+      return country.area > 0 ? country.area : null;
+    },
+    format: function (value) {
+      return Math.round(value).toLocaleString() + " km²";
+    }
+  },
+  {
+    label: "Population density",
+    number: function (country) {
+      if (typeof country.population !== "number" || !country.area || country.area <= 0) {
+        return null;
+      }
+      return country.population / country.area;
+    },
+    format: function (value) {
+      return value.toLocaleString(undefined, { maximumFractionDigits: 1 }) + " people/km²";
+    }
+  },
+  {
+    label: "Currencies",
+    items: getCompareCurrencies
+  },
+  {
+    label: "Languages",
+    items: function (country) {
+      return country.languages ? Object.values(country.languages) : [];
+    }
+  },
+  {
+    label: "Timezones",
+    items: function (country) {
+      return country.timezones || [];
+    }
+  },
+  {
+    label: "Driving side",
+    text: function (country) {
+      if (!country.car || !country.car.side) {
+        return "";
+      }
+      return country.car.side.charAt(0).toUpperCase() + country.car.side.slice(1);
+    }
+  }
+];
+
+/**
+ * Build the cells of a number row, marking the highest and lowest
+ * @param {object} row - Entry from COMPARE_ROWS
+ * @param {Array} countries - Countries being compared
+ * @returns {object} - { cells: Array of HTML, differs: boolean }
+ */
+function buildNumberCells(row, countries) {
+  const values = countries.map(row.number);
+  const known = values.filter(function (value) {
+    return value !== null;
+  });
+  const max = Math.max.apply(null, known);
+  const min = Math.min.apply(null, known);
+  const differs = known.length > 1 && max !== min;
+
+  const cells = values.map(function (value) {
+    if (value === null) {
+      return "<td>N/A</td>";
+    }
+    if (differs && value === max) {
+      return '<td class="compare-high">' + row.format(value) +
+        ' <span class="compare-tag">Highest</span></td>';
+    }
+    if (differs && value === min) {
+      return '<td class="compare-low">' + row.format(value) +
+        ' <span class="compare-tag">Lowest</span></td>';
+    }
+    return "<td>" + row.format(value) + "</td>";
+  });
+
+  return { cells: cells, differs: differs };
+}
+
+/**
+ * Build the cells of a list row, marking items that not every
+ * country shares
+ * @param {object} row - Entry from COMPARE_ROWS
+ * @param {Array} countries - Countries being compared
+ * @returns {object} - { cells: Array of HTML, differs: boolean }
+ */
+function buildItemCells(row, countries) {
+  const lists = countries.map(row.items);
+  let differs = false;
+
+  const cells = lists.map(function (items) {
+    if (items.length === 0) {
+      differs = true;
+      return "<td>N/A</td>";
+    }
+
+    return "<td>" + items.map(function (item) {
+      const shared = lists.every(function (other) {
+        return other.indexOf(item) !== -1;
+      });
+      if (shared) {
+        return item;
+      }
+      differs = true;
+      return '<span class="compare-unique">' + item + "</span>";
+    }).join(", ") + "</td>";
+  });
+
+  return { cells: cells, differs: differs };
+}
+
+/**
+ * Build the cells of a text row
+ * @param {object} row - Entry from COMPARE_ROWS
+ * @param {Array} countries - Countries being compared
+ * @returns {object} - { cells: Array of HTML, differs: boolean }
+ */
+function buildTextCells(row, countries) {
+  const values = countries.map(row.text);
+  const differs = values.some(function (value) {
+    return value !== values[0];
+  });
+
+  const cells = values.map(function (value) {
+    return "<td" + (differs ? ' class="compare-diff-cell"' : "") + ">" +
+      (value || "N/A") + "</td>";
+  });
+
+  return { cells: cells, differs: differs };
+}
+
+/**
+ * Draw the comparison table for the compared countries
+ */
+function renderCompareTable() {
+  const container = document.getElementById("compare-table-container");
+  const empty = document.getElementById("compare-empty");
+  const toolbar = document.getElementById("compare-toolbar");
+  if (!container) {
+    return;
+  }
+
+  const tooFew = comparedCountries.length < 2;
+  empty.hidden = !tooFew;
+  toolbar.hidden = tooFew;
+  if (tooFew) {
+    container.innerHTML = "";
+    return;
+  }
+
+  const names = comparedCountries.map(function (country) {
+    return country.name.common;
+  });
+
+  let html = '<div class="compare-table-wrap"><table class="compare-table">' +
+    '<caption class="sr-only">Comparing ' + names.join(", ") + "</caption>" +
+    '<thead><tr><td class="compare-corner"></td>';
+
+  comparedCountries.forEach(function (country) {
+    html += '<th scope="col">';
+    if (country.flags && country.flags.png) {
+      html += '<img class="compare-flag" src="' + country.flags.png + '" alt="Flag of ' +
+        country.name.common + '" onerror="this.style.display=\'none\'">';
+    }
+    html += '<a href="' + getCountryDetailHref(country.cca3) + '">' + country.name.common + "</a>" +
+      '<button type="button" class="compare-remove" data-remove="' + country.cca3 +
+      '" aria-label="Remove ' + country.name.common + ' from comparison">Remove</button></th>';
+  });
+  html += "</tr></thead><tbody>";
+
+  COMPARE_ROWS.forEach(function (row) {
+    let result;
+    if (row.number) {
+      result = buildNumberCells(row, comparedCountries);
+    } else if (row.items) {
+      result = buildItemCells(row, comparedCountries);
+    } else {
+      result = buildTextCells(row, comparedCountries);
+    }
+
+    html += '<tr class="' + (result.differs ? "compare-differs" : "compare-same") + '">' +
+      '<th scope="row">' + row.label +
+      (result.differs ? '<span class="sr-only"> (differs)</span>' : "") +
+      "</th>" + result.cells.join("") + "</tr>";
+  });
+
+  html += "</tbody></table></div>";
+  container.innerHTML = html;
+}
+
+/**
+ * Read the compared countries from the address bar, ignoring
+ * anything that isn't a country code
+ * @returns {Array} - Up to COMPARE_LIMIT cca3 codes
+ */
+function readCompareUrl() {
+  const param = new URLSearchParams(window.location.search).get("countries") || "";
+  const codes = [];
+
+  param.split(",").forEach(function (value) {
+    const code = value.trim().toUpperCase();
+    if (COMPARE_CODE_PATTERN.test(code) && codes.indexOf(code) === -1) {
+      codes.push(code);
+    }
+  });
+
+  return codes.slice(0, COMPARE_LIMIT);
+}
+
+/**
+ * Record the compared countries in the address bar. The tray is
+ * left alone, so opening a shared link doesn't replace it.
+ */
+function recordComparedCountries() {
+  const codes = comparedCountries.map(function (country) {
+    return country.cca3;
+  });
+
+  history.replaceState(null, "", getCompareHref(codes));
+}
+
+/**
+ * Load the countries named in the URL (or, without any, those
+ * in the tray) and show the comparison
+ */
+async function loadComparePage() {
+  let codes = readCompareUrl();
+  if (codes.length === 0) {
+    codes = getCompareList().map(function (item) {
+      return item.cca3;
+    });
+  }
+
+  if (codes.length === 0) {
+    renderCompareTable();
+    return;
+  }
+
+  toggleSpinner("compare-spinner", true);
+
+  // Look each country up separately, so one failure doesn't lose the rest
+  const results = await Promise.all(codes.map(function (code) {
+    return countryData.byCode(code).catch(function (error) {
+      console.error("Error loading " + code + " to compare:", error);
+      return undefined;
+    });
+  }));
+
+  toggleSpinner("compare-spinner", false);
+
+  const missing = [];
+  let failed = false;
+  comparedCountries = [];
+  results.forEach(function (country, i) {
+    if (country) {
+      comparedCountries.push(country);
+    } else if (country === null) {
+      missing.push(codes[i]);
+    } else {
+      failed = true;
+    }
+  });
+
+  if (failed) {
+    showFeedback("compare-feedback",
+      "Some countries couldn't be loaded. Please check your connection and try again.", "error");
+  } else if (missing.length > 0) {
+    showFeedback("compare-feedback",
+      "No country found for " + missing.join(", ") + ".", "info");
+  }
+
+  // Tidy the link to the countries actually shown
+  if (!failed) {
+    recordComparedCountries();
+  }
+  renderCompareTable();
+}
+
+/**
+ * Copy the link to this comparison
+ */
+async function copyCompareLink() {
+  try {
+    await navigator.clipboard.writeText(window.location.href);
+    showFeedback("compare-feedback", "Link copied - paste it to share this comparison.", "success");
+  } catch (error) {
+    showFeedback("compare-feedback",
+      "Couldn't copy the link. Copy this page's address to share the comparison.", "info");
+  }
+}
+
+/**
+ * Set up the controls on compare.html
+ */
+function initComparePage() {
+  const container = document.getElementById("compare-table-container");
+
+  container.addEventListener("click", function (event) {
+    const btn = event.target.closest("[data-remove]");
+    if (!btn) {
+      return;
+    }
+    comparedCountries = comparedCountries.filter(function (country) {
+      return country.cca3 !== btn.dataset.remove;
+    });
+    recordComparedCountries();
+
+    // Take it out of the tray too, if it's there
+    saveCompareList(getCompareList().filter(function (item) {
+      return item.cca3 !== btn.dataset.remove;
+    }));
+    renderCompareTable();
+  });
+
+  const onlyDiff = document.getElementById("compare-only-diff");
+  if (onlyDiff) {
+    onlyDiff.addEventListener("change", function () {
+      container.classList.toggle("only-differences", this.checked);
+    });
+  }
+
+  const copyBtn = document.getElementById("compare-copy-btn");
+  if (copyBtn) {
+    copyBtn.addEventListener("click", copyCompareLink);
+  }
+
+  loadComparePage();
+}
+
+/* ──────────────────────────────────────────────
+   INITIALISATION
+   ────────────────────────────────────────────── */
+
+document.addEventListener("DOMContentLoaded", function () {
+  if (document.getElementById("compare-table-container")) {
+    initComparePage();
+  } else {
+    createCompareTray();
+    renderCompareTray();
+  }
+});
+
+// Keep buttons and the tray in step with changes made in other tabs
+window.addEventListener("storage", function (event) {
+  if (event.key === COMPARE_KEY || event.key === null) {
+    refreshCompareControls();
+  }
+});
@@ -0,0 +1,376 @@
+/* jshint esversion: 8, browser: true */
+/* global L, destMap, toggleSpinner, countryData, showCountryBorder, clearCountryBorder,
+   buildNeighbourChipsHTML, initNeighbourChips, showNeighbourHop, clearNeighbourHop,
+   buildTimezoneHTML, refreshTimezones, startTimezoneClock */
+/* ══════════════════════════════════════════════
+   country-detail.js - Country Detail View
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - The #/country/<cca3> route on destinations.html
+   - Loading one country by its code
+   - Rendering every field the API provides
+   - Returning to the search results
+
+   Demonstrates: hash routing (hashchange),
+   async/await, DOM manipulation, Object.keys loops,
+   graceful handling of missing data
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   GLOBAL VARIABLES
+   ────────────────────────────────────────────── */
+
+/** Matches a detail route such as #/country/JPN */
+const COUNTRY_ROUTE_PATTERN = /^#\/country\/([A-Za-z]{3})$/;
+
+/** Map marker for the country currently shown in detail */
+let detailMarker = null;
+
+/** True once a detail view has been opened from inside the page */
+let detailOpenedInApp = false;
+
+/* ──────────────────────────────────────────────
+   FORMATTING HELPERS
+   Turn the nested API fields into display text
+   ────────────────────────────────────────────── */
+
+/**
+ * Joins a list for display, or returns "N/A" when empty
+ * @param {Array} items - Values to join
+ * @returns {string} - Comma separated text
+ */
+function joinOrNA(items) {
+  return items && items.length > 0 ? items.join(", ") : "N/A";
+}
+
+/**
+ * Lists native names with the language they belong to
+ * @param {object} country - Country object from REST Countries API
+ * @returns {Array} - e.g. ["日本 (Japanese)"]
+ */
+function getNativeNames(country) {
+  const names = [];
+  const nativeName = country.name && country.name.nativeName;
+  if (!nativeName) {
+    return names;
+  }
+
+  const codes = Object.keys(nativeName);
+  for (let i = 0; i < codes.length; i++) {
+    const language = country.languages && country.languages[codes[i]] ?
+      country.languages[codes[i]] :
+      codes[i];
+    names.push(nativeName[codes[i]].common + " (" + language + ")");
+  }
+  return names;
+}
+
+/**
+ * Lists currencies with their code and symbol
+ * @param {object} country - Country object from REST Countries API
+ * @returns {Array} - e.g. ["Japanese yen (JPY, ¥)"]
+ */
+function getCurrencyDetails(country) {
+  const details = [];
+  if (!country.currencies) {
+    return details;
+  }
+
+  const codes = Object.keys(country.currencies);
+  for (let i = 0; i < codes.length; i++) {
+    const currency = country.currencies[codes[i]];
+    let label = currency.name + " (" + codes[i];
+    if (currency.symbol) {
+      label += ", " + currency.symbol;
+    }
+    details.push(label + ")");
+  }
+  return details;
+}
+
+/**
+ * Builds the international calling codes, e.g. "+81"
+ * @param {object} country - Country object from REST Countries API
+ * @returns {Array} - Calling codes
+ */
+function getCallingCodes(country) {
+  if (!country.idd || !country.idd.root) {
+    return [];
+  }
+
+  const suffixes = country.idd.suffixes || [];
+
+  // Countries like the US list many area codes - show the root only
+  if (suffixes.length !== 1) {
+    return [country.idd.root];
+  }
+  return [country.idd.root + suffixes[0]];
+}
+
+/* ──────────────────────────────────────────────
+   RENDERING THE DETAIL VIEW
+   ────────────────────────────────────────────── */
+
+/**
+ * Builds one row of the facts table
+ * @param {string} label - Row label
+ * @param {string} value - Row value (HTML allowed)
+ * @returns {string} - HTML for the row
+ */
+function detailRow(label, value) {
+  return "<tr><th scope=\"row\">" + label + "</th><td>" + value + "</td></tr>";
+}
+
+/**
+ * Renders a country into the detail section
+ * @param {object} country - Country object from REST Countries API
+ */
+function renderCountryDetail(country) {
+  const content = document.getElementById("country-detail-content");
+  if (!content) {
+    return;
+  }
+
+  const name = country.name && country.name.common ? country.name.common : "Unknown";
+  const official = country.name && country.name.official ? country.name.official : name;
+  const flag = country.flags ? country.flags.svg || country.flags.png : "";
+  const coatOfArms = country.coatOfArms ?
+    country.coatOfArms.svg || country.coatOfArms.png :
+    "";
+
+  let html = '<div class="detail-header">';
+  if (flag) {
+    html += '<img class="detail-flag" src="' + flag + '" alt="' +
+      (country.flags.alt || "Flag of " + name) + '">';
+  }
+  html += "<div>";
+  html += '<h2 class="section-title" id="country-detail-title" tabindex="-1">' +
+    name + "</h2>";
+  html += '<p class="detail-official">' + official + "</p>";
+  html += "</div>";
+  if (coatOfArms) {
+    html += '<img class="detail-coat" src="' + coatOfArms +
+      '" alt="Coat of arms of ' + name + '" loading="lazy">';
+  }
+  html += "</div>";
+
+  // Facts table
+  const languages = country.languages ? Object.values(country.languages) : [];
+  const population = country.population ?
+    country.population.toLocaleString("en-GB") :
+    "N/A";
+  const area = country.area ?
+    country.area.toLocaleString("en-GB") + " km&sup2;" :
+    "N/A";
+  const drivingSide = country.car && country.car.side ?
+    country.car.side.charAt(0).toUpperCase() + country.car.side.slice(1) :
+    "N/A";
+
+  html += '<table class="detail-table"><tbody>';
+  html += detailRow("Native names", joinOrNA(getNativeNames(country)));
+  html += detailRow("Capital", joinOrNA(country.capital));
+  html += detailRow("Region", (country.region || "N/A") +
+    (country.subregion ? " &middot; " + country.subregion : ""));
+  html += detailRow("Population", population);
+  html += detailRow("Area", area);
+  html += detailRow("Languages", joinOrNA(languages));
+  html += detailRow("Currencies", joinOrNA(getCurrencyDetails(country)));
+  // Live local times when timezones.js is loaded
+  let timezones = "";
+  if (typeof buildTimezoneHTML === "function") {
+    timezones = buildTimezoneHTML(country, true);
+  }
+  html += detailRow("Timezones", timezones || joinOrNA(country.timezones));
+  // Neighbours as chips when neighbours.js is loaded
+  let neighbourChips = "";
+  if (typeof buildNeighbourChipsHTML === "function") {
+    neighbourChips = buildNeighbourChipsHTML(country, true);
+  }
+  html += detailRow("Borders", neighbourChips || joinOrNA(country.borders));
+  html += detailRow("Driving side", drivingSide);
+  html += detailRow("Calling code", joinOrNA(getCallingCodes(country)));
+  html += detailRow("Top-level domain", joinOrNA(country.tld));
+  html += "</tbody></table>";
+
+  // External map links
+  if (country.maps) {
+    html += '<div class="detail-links">';
+    if (country.maps.googleMaps) {
+      html += '<a class="card-btn" href="' + country.maps.googleMaps +
+        '" target="_blank" rel="noopener noreferrer">Google Maps &#x2197;</a>';
+    }
+    if (country.maps.openStreetMaps) {
+      html += '<a class="card-btn" href="' + country.maps.openStreetMaps +
+        '" target="_blank" rel="noopener noreferrer">OpenStreetMap &#x2197;</a>';
+    }
+    html += "</div>";
+  }
+
+  content.innerHTML = html;
+  document.title = name + " | Wanderlust Travel";
+
+  if (neighbourChips && typeof initNeighbourChips === "function") {
+    initNeighbourChips(content, country);
+  }
+  if (timezones) {
+    refreshTimezones(content);
+    startTimezoneClock();
+  }
+
+  showDetailOnMap(country, name);
+}
+
+/**
+ * Marks the country on the destinations map, outlining its
+ * borders and fitting the map to them when available
+ * @param {object} country - Country object from REST Countries API
+ * @param {string} name - Display name
+ */
+async function showDetailOnMap(country, name) {
+  if (!destMap || !country.latlng || country.latlng.length < 2) {
+    return;
+  }
+
+  if (detailMarker) {
+    detailMarker.remove();
+  }
+
+  detailMarker = L.marker([country.latlng[0], country.latlng[1]])
+    .addTo(destMap)
+    .bindPopup("<strong>" + name + "</strong>");
+
+  destMap.invalidateSize();
+
+  // Fit to the real territory (borders.js), or centre on the point
+  let outlined = false;
+  if (typeof showCountryBorder === "function") {
+    outlined = await showCountryBorder(destMap, country.cca3, false);
+  }
+  if (!outlined) {
+    destMap.setView([country.latlng[0], country.latlng[1]], 5);
+  }
+
+  // Reached from a neighbour's chip? Draw the hop (neighbours.js)
+  if (typeof showNeighbourHop === "function") {
+    showNeighbourHop(destMap, country);
+  }
+}
+
+/* ──────────────────────────────────────────────
+   ROUTING
+   Shows the detail view when the hash matches
+   #/country/<code>, hides it otherwise
+   ────────────────────────────────────────────── */
+
+/**
+ * Opens or closes the detail view to match the current hash
+ */
+async function handleCountryRoute() {
+  const section = document.getElementById("country-detail");
+  const main = document.getElementById("main-content");
+  if (!section || !main) {
+    return;
+  }
+
+  const match = window.location.hash.match(COUNTRY_ROUTE_PATTERN);
+
+  if (!match) {
+    section.hidden = true;
+    main.classList.remove("detail-open");
+    document.title = "Destinations | Wanderlust Travel";
+    if (detailMarker) {
+      detailMarker.remove();
+      detailMarker = null;
+    }
+    if (destMap && typeof clearCountryBorder === "function") {
+      clearCountryBorder(destMap);
+    }
+    if (destMap && typeof clearNeighbourHop === "function") {
+      clearNeighbourHop(destMap);
+    }
+    return;
+  }
+
+  const code = match[1].toUpperCase();
+  const content = document.getElementById("country-detail-content");
+
+  section.hidden = false;
+  main.classList.add("detail-open");
+  content.innerHTML = "";
+  window.scrollTo({ top: 0 });
+  toggleSpinner("detail-spinner", true);
+
+  try {
+    const country = await countryData.byCode(code);
+
+    // Ignore the result if the user has already moved on
+    if (window.location.hash.toUpperCase() !== "#/COUNTRY/" + code) {
+      return;
+    }
+
+    if (country) {
+      renderCountryDetail(country);
+    } else {
+      content.innerHTML = '<p class="detail-message">We couldn\'t find a country with the code "' +
+        code + '".</p>';
+    }
+  } catch (error) {
+    console.error("Error loading country detail:", error);
+    content.innerHTML = '<p class="detail-message" role="alert">' +
+      "Unable to load this country. Please check your internet connection and try again.</p>";
+  } finally {
+    toggleSpinner("detail-spinner", false);
+  }
+
+  // Move focus to the heading so screen readers announce the new view
+  const title = document.getElementById("country-detail-title");
+  if (title) {
+    title.focus();
+  }
+}
+
+/**
+ * Leaves the detail view, going back to the results the
+ * user came from, or to the plain page for a cold link.
+ * The entry a cold link opened is marked with { detailRoot },
+ * so after hopping between neighbours, going back never steps
+ * out of the site.
+ */
+function closeCountryDetail() {
+  const atRoot = history.state && history.state.detailRoot;
+  if (detailOpenedInApp && !atRoot) {
+    history.back();
+    return;
+  }
+
+  history.replaceState(null, "", window.location.pathname + window.location.search);
+  handleCountryRoute();
+}
+
+/* ──────────────────────────────────────────────
+   INITIALISATION
+   ────────────────────────────────────────────── */
+
+document.addEventListener("DOMContentLoaded", function () {
+  if (!document.getElementById("country-detail")) {
+    return;
+  }
+
+  const backBtn = document.getElementById("detail-back-btn");
+  if (backBtn) {
+    backBtn.addEventListener("click", closeCountryDetail);
+  }
+
+  window.addEventListener("hashchange", function () {
+    detailOpenedInApp = true;
+    handleCountryRoute();
+  });
+
+  // Open the route straight away for a cold link, marking
+  // the entry as where the user arrived
+  if (COUNTRY_ROUTE_PATTERN.test(window.location.hash)) {
+    history.replaceState({ detailRoot: true }, "", window.location.href);
+  }
+  handleCountryRoute();
+});
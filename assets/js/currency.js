@@ -0,0 +1,508 @@
+/* jshint esversion: 8, browser: true */
+/* ══════════════════════════════════════════════
+   currency.js - Currency Converter
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - Exchange rates from an interchangeable source:
+     a bundled rates table (assets/data/rates.json)
+     with an "as of" date, or a configured HTTP
+     endpoint for current rates
+   - The user's home currency, guessed from their
+     browser language and saved once they pick one
+   - The inline converter on every country card
+     (see createCountryCard in script.js), from the
+     home currency into each local currency
+   - Formatting amounts with Intl.NumberFormat in
+     each currency's own style
+
+   Every rates source has the same method:
+   - latest() -> Promise of { base, asOf, rates, live }
+     rates: { code: units per 1 base }, asOf: "YYYY-MM-DD",
+     live: true when the rates came from the endpoint
+
+   Demonstrates: factory functions, async/await,
+   Intl.NumberFormat, Intl.DisplayNames, localStorage,
+   custom events, <details>/<summary>
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   CONFIGURATION
+   The rates source is chosen from (first match wins):
+   1. window.WANDERLUST_CONFIG.rates, e.g. set in
+      the git-ignored assets/js/config.js
+   2. localStorage "wanderlust-rates-provider"
+   3. The bundled rates table
+   Settings: { type: "bundled" | "http",
+               url: string, bundledUrl: string }
+   ────────────────────────────────────────────── */
+
+/** LocalStorage key for a saved rates source choice */
+const RATES_PROVIDER_KEY = "wanderlust-rates-provider";
+
+/** Default rates source settings */
+const DEFAULT_RATES_SETTINGS = {
+  type: "bundled",
+  url: "",
+  bundledUrl: "assets/data/rates.json"
+};
+
+/** LocalStorage key for the user's home currency */
+const HOME_CURRENCY_KEY = "wanderlust-home-currency";
+
+/** Event fired on document when the home currency changes */
+const HOME_CURRENCY_EVENT = "wanderlust:homecurrencychange";
+
+/** Home currency when the browser language doesn't suggest one */
+const DEFAULT_HOME_CURRENCY = "GBP";
+
+/** Currencies for browser language regions, e.g. "en-US" -> USD */
+const REGION_CURRENCIES = {
+  GB: "GBP", IE: "EUR", US: "USD", CA: "CAD", AU: "AUD", NZ: "NZD",
+  ZA: "ZAR", IN: "INR", JP: "JPY", CN: "CNY", HK: "HKD", SG: "SGD",
+  KR: "KRW", BR: "BRL", MX: "MXN", CH: "CHF", SE: "SEK", NO: "NOK",
+  DK: "DKK", PL: "PLN", CZ: "CZK", HU: "HUF", TR: "TRY",
+  DE: "EUR", FR: "EUR", ES: "EUR", IT: "EUR", NL: "EUR", BE: "EUR",
+  AT: "EUR", PT: "EUR", FI: "EUR", GR: "EUR"
+};
+
+/** Amount the converter starts with */
+const DEFAULT_CONVERT_AMOUNT = 100;
+
+/** Number of converters created, for unique field ids */
+let converterCount = 0;
+
+/**
+ * Work out which rates source settings apply on this page
+ * @returns {object} - Settings merged over the defaults
+ */
+function getRatesSettings() {
+  let settings = null;
+
+  if (window.WANDERLUST_CONFIG && window.WANDERLUST_CONFIG.rates) {
+    settings = window.WANDERLUST_CONFIG.rates;
+  } else {
+    try {
+      settings = JSON.parse(localStorage.getItem(RATES_PROVIDER_KEY));
+    } catch (error) {
+      console.error("Error reading rates provider setting:", error);
+    }
+  }
+
+  return Object.assign({}, DEFAULT_RATES_SETTINGS, settings || {});
+}
+
+/* ──────────────────────────────────────────────
+   RATES SOURCES
+   ────────────────────────────────────────────── */
+
+/**
+ * Check and tidy a rates response. Accepts the bundled layout
+ * ({ base, asOf, rates }) and the common { base, date, rates }
+ * layout of public rates APIs.
+ * @param {object} data - Parsed JSON
+ * @returns {object} - { base, asOf, rates }
+ */
+function normaliseRates(data) {
+  if (!data || typeof data.rates !== "object" || !data.rates) {
+    throw new Error("Rates response has no rates");
+  }
+
+  const base = String(data.base || data.base_code || "").toUpperCase();
+  if (!/^[A-Z]{3}$/.test(base)) {
+    throw new Error("Rates response has no base currency");
+  }
+
+  const rates = {};
+  Object.keys(data.rates).forEach(function (code) {
+    const rate = data.rates[code];
+    if (/^[A-Z]{3}$/.test(code) && typeof rate === "number" && rate > 0) {
+      rates[code] = rate;
+    }
+  });
+  // Some APIs leave the base out of its own table
+  rates[base] = 1;
+
+  return {
+    base: base,
+    asOf: String(data.asOf || data.date || "").slice(0, 10),
+    rates: rates
+  };
+}
+
+/**
+ * Create a source that reads the bundled rates table
+ * @param {string} url - URL of the rates JSON file
+ * @returns {object} - Rates source
+ */
+function createBundledRatesProvider(url) {
+  let ratesPromise = null;
+
+  return {
+    latest: function () {
+      if (!ratesPromise) {
+        ratesPromise = fetch(url).then(function (response) {
+          if (!response.ok) {
+            throw new Error("HTTP error: " + response.status);
+          }
+          return response.json();
+        }).then(function (data) {
+          return Object.assign(normaliseRates(data), { live: false });
+        });
+
+        // Let a later call try again after a failure
+        ratesPromise.catch(function () {
+          ratesPromise = null;
+        });
+      }
+      return ratesPromise;
+    }
+  };
+}
+
+/**
+ * Create a source that calls a rates endpoint, falling back
+ * to the bundled table if the endpoint can't be reached
+ * @param {string} url - Endpoint URL
+ * @param {object} fallback - Bundled rates source
+ * @returns {object} - Rates source
+ */
+function createHttpRatesProvider(url, fallback) {
+  let ratesPromise = null;
+
+  return {
+    latest: function () {
+      if (!ratesPromise) {
+        ratesPromise = fetch(url).then(function (response) {
+          if (!response.ok) {
+            throw new Error("HTTP error: " + response.status);
+          }
+          return response.json();
+        }).then(function (data) {
+          return Object.assign(normaliseRates(data), { live: true });
+        }).catch(function (error) {
+          // Stay on the bundled table for the rest of the visit
+          console.warn("Rates endpoint failed, using the bundled table:", error);
+          return fallback.latest();
+        });
+
+        // Let a later call try again if even the bundled table failed
+        ratesPromise.catch(function () {
+          ratesPromise = null;
+        });
+      }
+      return ratesPromise;
+    }
+  };
+}
+
+/**
+ * Create the rates source described by a settings object
+ * @param {object} settings - See CONFIGURATION above
+ * @returns {object} - Rates source
+ */
+function createRatesProvider(settings) {
+  const bundled = createBundledRatesProvider(settings.bundledUrl);
+  if (settings.type === "http" && settings.url) {
+    return createHttpRatesProvider(settings.url, bundled);
+  }
+  return bundled;
+}
+
+/** The rates source every conversion goes through */
+const exchangeRates = createRatesProvider(getRatesSettings());
+
+/**
+ * Convert between two currencies
+ * @param {number} amount - Amount in the "from" currency
+ * @param {string} from - Currency code
+ * @param {string} to - Currency code
+ * @param {object} table - Result of latest()
+ * @returns {number|null} - Converted amount, or null without a rate
+ */
+function convertCurrency(amount, from, to, table) {
+  if (!table.rates[from] || !table.rates[to]) {
+    return null;
+  }
+  return amount / table.rates[from] * table.rates[to];
+}
+
+/* ──────────────────────────────────────────────
+   HOME CURRENCY
+   ────────────────────────────────────────────── */
+
+/**
+ * Guess the home currency from the browser language
+ * @returns {string} - Currency code
+ */
+function guessHomeCurrency() {
+  const region = (navigator.language || "").split("-")[1];
+  return REGION_CURRENCIES[(region || "").toUpperCase()] || DEFAULT_HOME_CURRENCY;
+}
+
+/**
+ * Read the user's home currency
+ * @returns {string} - Currency code, e.g. "GBP"
+ */
+function getHomeCurrency() {
+  try {
+    const stored = localStorage.getItem(HOME_CURRENCY_KEY);
+    if (stored && /^[A-Z]{3}$/.test(stored)) {
+      return stored;
+    }
+  } catch (error) {
+    console.error("Error reading home currency:", error);
+  }
+  return guessHomeCurrency();
+}
+
+/**
+ * Save the user's home currency and update every converter
+ * @param {string} code - Currency code
+ */
+function setHomeCurrency(code) {
+  try {
+    localStorage.setItem(HOME_CURRENCY_KEY, code);
+  } catch (error) {
+    console.error("Error saving home currency:", error);
+  }
+  document.dispatchEvent(new CustomEvent(HOME_CURRENCY_EVENT, {
+    detail: { currency: code }
+  }));
+}
+
+/* ──────────────────────────────────────────────
+   FORMATTING
+   ────────────────────────────────────────────── */
+
+/**
+ * Format an amount in a currency's own style
+ * @param {number} amount - The amount
+ * @param {string} code - Currency code
+ * @returns {string} - e.g. "¥15,720" or "£100.00"
+ */
+function formatMoney(amount, code) {
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency: code
+    }).format(amount);
+  } catch (error) {
+    // Not every territory code is one Intl knows
+    return amount.toFixed(2) + " " + code;
+  }
+}
+
+/**
+ * Name a currency for the home currency list
+ * @param {string} code - Currency code
+ * @returns {string} - e.g. "GBP - British Pound", or just the code
+ */
+function getCurrencyLabel(code) {
+  if (typeof Intl.DisplayNames === "function") {
+    try {
+      const name = new Intl.DisplayNames(undefined, { type: "currency" }).of(code);
+      if (name && name !== code) {
+        return code + " - " + name;
+      }
+    } catch (error) {
+      // Fall through to the bare code
+    }
+  }
+  return code;
+}
+
+/**
+ * Format a rates date for display
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {string} - e.g. "2 January 2025"
+ */
+function formatRatesDate(date) {
+  const parsed = new Date(date + "T00:00:00");
+  if (isNaN(parsed.getTime())) {
+    return "an unknown date";
+  }
+  return parsed.toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric"
+  });
+}
+
+/* ──────────────────────────────────────────────
+   CARD CONVERTER
+   A collapsed <details> on each card; the rates
+   are only loaded when one is first opened
+   ────────────────────────────────────────────── */
+
+/**
+ * Fill the home currency list of a converter
+ * @param {HTMLSelectElement} select - The converter's list
+ * @param {object} table - Result of latest()
+ */
+function fillHomeCurrencyOptions(select, table) {
+  const home = getHomeCurrency();
+  const codes = Object.keys(table.rates).sort();
+  if (codes.indexOf(home) === -1) {
+    codes.unshift(home);
+  }
+
+  select.innerHTML = "";
+  codes.forEach(function (code) {
+    const option = document.createElement("option");
+    option.value = code;
+    option.textContent = getCurrencyLabel(code);
+    select.appendChild(option);
+  });
+  select.value = home;
+}
+
+/**
+ * Show the converted amounts in a converter
+ * @param {HTMLElement} converter - The .card-converter element
+ * @param {object} table - Result of latest()
+ */
+function renderConversion(converter, table) {
+  const results = converter.querySelector(".converter-results");
+  const amount = parseFloat(converter.querySelector(".converter-amount").value);
+  const home = getHomeCurrency();
+  results.innerHTML = "";
+
+  if (!Number.isFinite(amount) || amount < 0) {
+    results.innerHTML = "<li>Enter an amount to convert.</li>";
+    return;
+  }
+
+  converter.dataset.currencies.split(",").forEach(function (code) {
+    const item = document.createElement("li");
+    const converted = convertCurrency(amount, home, code, table);
+
+    if (code === home) {
+      item.textContent = code + " is your home currency.";
+    } else if (converted === null) {
+      item.textContent = "No exchange rate available for " + code + ".";
+    } else {
+      item.innerHTML = formatMoney(amount, home) + " = <strong></strong>";
+      item.querySelector("strong").textContent = formatMoney(converted, code);
+    }
+    results.appendChild(item);
+  });
+}
+
+/**
+ * Load the rates into a converter the first time it's opened
+ * @param {HTMLElement} converter - The .card-converter element
+ */
+async function openConverter(converter) {
+  const note = converter.querySelector(".converter-note");
+  if (converter.dataset.loaded === "true") {
+    return;
+  }
+
+  note.textContent = "Loading exchange rates...";
+  try {
+    const table = await exchangeRates.latest();
+    converter.dataset.loaded = "true";
+    fillHomeCurrencyOptions(converter.querySelector(".converter-home"), table);
+    renderConversion(converter, table);
+    note.textContent = (table.live ? "Live rates" : "Indicative rates") +
+      " as of " + formatRatesDate(table.asOf) + ".";
+  } catch (error) {
+    console.error("Error loading exchange rates:", error);
+    note.textContent = "Exchange rates couldn't be loaded. Please try again later.";
+  }
+}
+
+/**
+ * Create the currency converter for a country card
+ * @param {object} country - Country object from REST Countries API
+ * @returns {HTMLElement|null} - The converter, or null without currencies
+ */
+function createCurrencyConverter(country) {
+  const codes = Object.keys(country.currencies || {}).filter(function (code) {
+    return /^[A-Z]{3}$/.test(code);
+  });
+  if (codes.length === 0) {
+    return null;
+  }
+
+  const id = "converter-" + (++converterCount);
+  const converter = document.createElement("details");
+  converter.className = "card-converter";
+  converter.dataset.currencies = codes.join(",");
+
+  let html = "<summary>&#128177; Convert from <span class=\"converter-from\">" +
+    getHomeCurrency() + "</span></summary>";
+  html += '<div class="converter-body">';
+  html += '<div class="converter-fields">';
+  html += '<label for="' + id + '-amount">Amount</label>';
+  html += '<input type="number" class="converter-amount" id="' + id +
+    '-amount" min="0" step="any" value="' + DEFAULT_CONVERT_AMOUNT + '">';
+  html += '<label for="' + id + '-home">Your currency</label>';
+  html += '<select class="converter-home" id="' + id + '-home"></select>';
+  html += "</div>";
+  html += '<ul class="converter-results" aria-live="polite"></ul>';
+  html += '<p class="converter-note"></p>';
+  html += "</div>";
+  converter.innerHTML = html;
+
+  converter.addEventListener("toggle", function () {
+    if (converter.open) {
+      openConverter(converter);
+    }
+  });
+
+  converter.querySelector(".converter-amount").addEventListener("input", function () {
+    exchangeRates.latest().then(function (table) {
+      renderConversion(converter, table);
+    }).catch(function () {
+      // The note already says the rates couldn't be loaded
+    });
+  });
+
+  converter.querySelector(".converter-home").addEventListener("change", function () {
+    setHomeCurrency(this.value);
+  });
+
+  return converter;
+}
+
+/**
+ * Bring every converter on the page up to date with the home currency
+ */
+function refreshCurrencyConverters() {
+  const home = getHomeCurrency();
+  const converters = document.querySelectorAll(".card-converter");
+
+  converters.forEach(function (converter) {
+    converter.querySelector(".converter-from").textContent = home;
+  });
+
+  // Only converters that have been opened show amounts
+  const loaded = document.querySelectorAll('.card-converter[data-loaded="true"]');
+  if (loaded.length === 0) {
+    return;
+  }
+
+  exchangeRates.latest().then(function (table) {
+    loaded.forEach(function (converter) {
+      converter.querySelector(".converter-home").value = home;
+      renderConversion(converter, table);
+    });
+  }).catch(function () {
+    // Nothing to redraw without rates
+  });
+}
+
+/* ──────────────────────────────────────────────
+   INITIALISATION
+   ────────────────────────────────────────────── */
+
+document.addEventListener(HOME_CURRENCY_EVENT, refreshCurrencyConverters);
+
+// Another tab changed the home currency
+window.addEventListener("storage", function (event) {
+  if (event.key === HOME_CURRENCY_KEY) {
+    refreshCurrencyConverters();
+  }
+});
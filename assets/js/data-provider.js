@@ -0,0 +1,483 @@
+/* jshint esversion: 8, browser: true */
+/* global createResponseCache, notifyOfflineData, DOMException */
+/* ══════════════════════════════════════════════
+   data-provider.js - Country Data Provider
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - One place to look up country data
+   - Interchangeable backends: the live REST Countries
+     API, a self-hosted mirror, or a bundled offline
+     snapshot (assets/data/countries.json)
+   - Choosing the backend from configuration
+
+   Every provider has the same methods, each returning
+   a Promise:
+   - byName(name, options)  -> Array of countries
+   - byRegion(region, options) -> Array of countries
+   - byCapital(city, options) -> Array of countries
+   - byLanguage(language, options) -> Array of countries
+     (language name or code, e.g. "portuguese" or "por")
+   - byCurrency(currency, options) -> Array of countries
+     (currency code or name, e.g. "eur" or "euro")
+   - byCode(code, options)  -> one country, or null
+   - byCodes(codes, options) -> Array of countries, in the
+                               order asked for (unknown codes
+                               are left out)
+   - all(options)           -> Array of countries
+   - index(options)         -> every country, trimmed to the
+                               name, code, spelling and flag fields
+   - clearCache()           -> forget cached responses
+   options: { fullText: boolean, signal: AbortSignal }
+   "Not found" resolves to [] (or null); network and
+   server errors reject, so callers can tell them apart.
+
+   Demonstrates: factory functions, async/await,
+   Promise caching, stale-while-revalidate caching,
+   AbortSignal, array filtering
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   CONFIGURATION
+   The provider is chosen from (first match wins):
+   1. window.WANDERLUST_CONFIG.dataProvider, e.g. set in
+      the git-ignored assets/js/config.js
+   2. localStorage "wanderlust-data-provider", so a demo
+      laptop can be switched without editing files
+   3. The live REST Countries API
+   Settings: { type: "rest" | "mirror" | "bundled",
+               mirrorUrl: string, bundledUrl: string,
+               cacheTtl, cacheMaxStale (milliseconds),
+               cacheMaxEntries, cacheMaxBytes }
+   ────────────────────────────────────────────── */
+
+/** Base URL of the live REST Countries API */
+const REST_COUNTRIES_URL = "https://restcountries.com/v3.1";
+
+/** Fields kept in the lightweight index() list (e.g. for typeahead) */
+const INDEX_FIELDS = ["name", "cca2", "cca3", "ccn3", "altSpellings", "flags"];
+
+/** LocalStorage key for a saved provider choice */
+const DATA_PROVIDER_KEY = "wanderlust-data-provider";
+
+/** Default provider settings */
+const DEFAULT_DATA_PROVIDER_SETTINGS = {
+  type: "rest",
+  mirrorUrl: "",
+  bundledUrl: "assets/data/countries.json",
+  // Cached responses are served as-is for a day...
+  cacheTtl: 24 * 60 * 60 * 1000,
+  // ...then served instantly and refreshed in the background for a week
+  cacheMaxStale: 7 * 24 * 60 * 60 * 1000,
+  cacheMaxEntries: 60,
+  // Roughly 8 MB - the "all countries" response alone is over 1 MB
+  cacheMaxBytes: 8 * 1024 * 1024
+};
+
+/**
+ * Work out which provider settings apply on this page
+ * @returns {object} - Provider settings merged over the defaults
+ */
+function getDataProviderSettings() {
+  let settings = null;
+
+  if (window.WANDERLUST_CONFIG && window.WANDERLUST_CONFIG.dataProvider) {
+    settings = window.WANDERLUST_CONFIG.dataProvider;
+  } else {
+    try {
+      settings = JSON.parse(localStorage.getItem(DATA_PROVIDER_KEY));
+    } catch (error) {
+      console.error("Error reading data provider setting:", error);
+    }
+  }
+
+  return Object.assign({}, DEFAULT_DATA_PROVIDER_SETTINGS, settings || {});
+}
+
+/* ──────────────────────────────────────────────
+   REST PROVIDER
+   Used for both the live API and a self-hosted
+   mirror, which serves the same endpoints.
+   Responses are cached by URL (cache.js):
+   - younger than cacheTtl: served, no request
+   - younger than cacheMaxStale: served instantly,
+     then refreshed in the background
+   - older, or not cached: fetched; if the fetch
+     fails, any old copy is served instead with an
+     "offline data" notice
+   ────────────────────────────────────────────── */
+
+/**
+ * Create a provider that calls a REST Countries style API
+ * @param {string} baseUrl - e.g. "https://restcountries.com/v3.1"
+ * @param {object} settings - Cache settings (see CONFIGURATION)
+ * @returns {object} - Provider object
+ */
+function createRestProvider(baseUrl, settings) {
+  const root = baseUrl.replace(/\/+$/, "");
+  const cache = createResponseCache({
+    maxEntries: settings.cacheMaxEntries,
+    maxBytes: settings.cacheMaxBytes
+  });
+
+  /**
+   * Fetch a list endpoint from the network, treating 404 as
+   * "no results" (an empty list, which is cached like any other)
+   * @param {string} url - Full request URL
+   * @param {object} options - { signal }
+   * @returns {Array} - Array of country objects
+   */
+  async function fetchList(url, options) {
+    const response = await fetch(url, {
+      signal: options && options.signal
+    });
+
+    if (response.status === 404) {
+      return [];
+    }
+    if (!response.ok) {
+      throw new Error("HTTP error: " + response.status);
+    }
+
+    const data = await response.json();
+
+    // Single-country endpoints may return an object, not an array
+    if (Array.isArray(data)) {
+      return data;
+    }
+    return data ? [data] : [];
+  }
+
+  /**
+   * Fetch from the network and store the result
+   * @param {string} url - Full request URL
+   * @param {object} options - { signal }
+   * @returns {Array} - Array of country objects
+   */
+  async function fetchAndStore(url, options) {
+    const data = await fetchList(url, options);
+    await cache.set(url, data);
+    return data;
+  }
+
+  /**
+   * Get a list endpoint, using the cache as described above
+   * @param {string} path - Path after the base URL
+   * @param {object} options - { signal }
+   * @returns {Array} - Array of country objects
+   */
+  async function getList(path, options) {
+    const url = root + path;
+    const entry = await cache.get(url);
+    const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+    if (age < settings.cacheTtl) {
+      return copyData(entry.data);
+    }
+
+    if (age < settings.cacheMaxStale) {
+      // Refresh for next time without holding up this request
+      fetchAndStore(url, {}).catch(function (error) {
+        console.warn("Background refresh failed:", error);
+        notifyStaleData(entry);
+      });
+      return copyData(entry.data);
+    }
+
+    try {
+      return copyData(await fetchAndStore(url, options));
+    } catch (error) {
+      if (error.name === "AbortError" || !entry) {
+        throw error;
+      }
+      notifyStaleData(entry);
+      return copyData(entry.data);
+    }
+  }
+
+  return {
+    byName: function (name, options) {
+      const fullText = options && options.fullText ? "?fullText=true" : "";
+      return getList("/name/" + encodeURIComponent(name) + fullText, options);
+    },
+
+    byRegion: function (region, options) {
+      return getList("/region/" + encodeURIComponent(region), options);
+    },
+
+    byCapital: function (city, options) {
+      return getList("/capital/" + encodeURIComponent(city), options);
+    },
+
+    byLanguage: function (language, options) {
+      return getList("/lang/" + encodeURIComponent(language), options);
+    },
+
+    byCurrency: function (currency, options) {
+      return getList("/currency/" + encodeURIComponent(currency), options);
+    },
+
+    byCode: async function (code, options) {
+      // An invalid code is a 400, which is still just "not found"
+      if (!/^[A-Za-z0-9]{2,3}$/.test(code)) {
+        return null;
+      }
+      const data = await getList("/alpha/" + encodeURIComponent(code), options);
+      return data.length > 0 ? data[0] : null;
+    },
+
+    byCodes: async function (codes, options) {
+      // One /alpha?codes= request for the lot, skipping invalid codes
+      const wanted = [];
+      codes.forEach(function (code) {
+        const upper = String(code).toUpperCase();
+        if (/^[A-Z0-9]{2,3}$/.test(upper) && wanted.indexOf(upper) === -1) {
+          wanted.push(upper);
+        }
+      });
+      if (wanted.length === 0) {
+        return [];
+      }
+
+      const data = await getList("/alpha?codes=" + wanted.join(","), options);
+      return orderByCodes(data, wanted);
+    },
+
+    all: function (options) {
+      return getList("/all", options);
+    },
+
+    index: function (options) {
+      return getList("/all?fields=" + INDEX_FIELDS.join(","), options);
+    },
+
+    clearCache: function () {
+      return cache.clear();
+    }
+  };
+}
+
+/**
+ * Put countries into the order their codes were asked for,
+ * whichever code type (cca3, cca2, ccn3 or cioc) matched
+ * @param {Array} countries - Country objects
+ * @param {Array} codes - Upper-case codes in the wanted order
+ * @returns {Array} - The same countries, reordered
+ */
+function orderByCodes(countries, codes) {
+  function position(country) {
+    const found = [country.cca3, country.cca2, country.ccn3, country.cioc]
+      .map(function (code) {
+        return codes.indexOf(code);
+      })
+      .filter(function (index) {
+        return index !== -1;
+      });
+    return found.length > 0 ? Math.min.apply(null, found) : codes.length;
+  }
+
+  return countries.slice().sort(function (a, b) {
+    return position(a) - position(b);
+  });
+}
+
+/**
+ * Copy cached data so callers can't modify the stored copy
+ * @param {*} data - JSON-serialisable data
+ * @returns {*} - A deep copy
+ */
+function copyData(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Tell the user they're looking at saved data
+ * (notifyOfflineData is defined in script.js)
+ * @param {object} entry - The cache entry being served
+ */
+function notifyStaleData(entry) {
+  if (typeof notifyOfflineData === "function") {
+    notifyOfflineData(entry.storedAt);
+  }
+}
+
+/* ──────────────────────────────────────────────
+   BUNDLED PROVIDER
+   Answers every lookup from a static JSON snapshot,
+   for offline use and for deterministic tests
+   ────────────────────────────────────────────── */
+
+/**
+ * Create a provider backed by a bundled JSON snapshot
+ * @param {string} url - URL of the snapshot file
+ * @returns {object} - Provider object
+ */
+function createBundledProvider(url) {
+  let datasetPromise = null;
+
+  /**
+   * Load the snapshot once and reuse it for every lookup
+   * @param {object} options - { signal }
+   * @returns {Array} - All countries in the snapshot
+   */
+  async function loadDataset(options) {
+    if (!datasetPromise) {
+      datasetPromise = fetch(url).then(function (response) {
+        if (!response.ok) {
+          throw new Error("HTTP error: " + response.status);
+        }
+        return response.json();
+      });
+
+      // Allow a retry if the first load fails
+      datasetPromise.catch(function () {
+        datasetPromise = null;
+      });
+    }
+
+    const dataset = await datasetPromise;
+
+    // Behave like fetch when the caller has given up on the request
+    if (options && options.signal && options.signal.aborted) {
+      throw new DOMException("The lookup was aborted.", "AbortError");
+    }
+
+    return dataset;
+  }
+
+  return {
+    byName: async function (name, options) {
+      const dataset = await loadDataset(options);
+      const query = name.trim().toLowerCase();
+      const fullText = options && options.fullText;
+
+      return copyData(dataset.filter(function (country) {
+        const names = [country.name.common, country.name.official];
+        const nativeName = country.name.nativeName || {};
+        Object.keys(nativeName).forEach(function (code) {
+          names.push(nativeName[code].common, nativeName[code].official);
+        });
+
+        return names.some(function (value) {
+          const lower = value.toLowerCase();
+          return fullText ? lower === query : lower.indexOf(query) !== -1;
+        });
+      }));
+    },
+
+    byRegion: async function (region, options) {
+      const dataset = await loadDataset(options);
+      const wanted = region.toLowerCase();
+
+      return copyData(dataset.filter(function (country) {
+        return country.region.toLowerCase() === wanted;
+      }));
+    },
+
+    byCapital: async function (city, options) {
+      const dataset = await loadDataset(options);
+      const query = city.trim().toLowerCase();
+
+      return copyData(dataset.filter(function (country) {
+        return (country.capital || []).some(function (capital) {
+          return capital.toLowerCase().indexOf(query) !== -1;
+        });
+      }));
+    },
+
+    byLanguage: async function (language, options) {
+      const dataset = await loadDataset(options);
+      const query = language.trim().toLowerCase();
+
+      // Like the API: an exact language code or name
+      return copyData(dataset.filter(function (country) {
+        const languages = country.languages || {};
+        return Object.keys(languages).some(function (code) {
+          return code.toLowerCase() === query ||
+            languages[code].toLowerCase() === query;
+        });
+      }));
+    },
+
+    byCurrency: async function (currency, options) {
+      const dataset = await loadDataset(options);
+      const query = currency.trim().toLowerCase();
+
+      // An exact currency code, or part of a currency name
+      return copyData(dataset.filter(function (country) {
+        const currencies = country.currencies || {};
+        return Object.keys(currencies).some(function (code) {
+          return code.toLowerCase() === query ||
+            (currencies[code].name || "").toLowerCase().indexOf(query) !== -1;
+        });
+      }));
+    },
+
+    byCode: async function (code, options) {
+      const dataset = await loadDataset(options);
+      const wanted = code.toUpperCase();
+
+      const match = dataset.find(function (country) {
+        return country.cca2 === wanted || country.cca3 === wanted ||
+          country.ccn3 === wanted || country.cioc === wanted;
+      });
+      return match ? copyData(match) : null;
+    },
+
+    byCodes: async function (codes, options) {
+      const dataset = await loadDataset(options);
+      const wanted = codes.map(function (code) {
+        return String(code).toUpperCase();
+      });
+
+      return copyData(orderByCodes(dataset.filter(function (country) {
+        return wanted.indexOf(country.cca3) !== -1 ||
+          wanted.indexOf(country.cca2) !== -1 ||
+          wanted.indexOf(country.ccn3) !== -1 ||
+          wanted.indexOf(country.cioc) !== -1;
+      }), wanted));
+    },
+
+    all: async function (options) {
+      return copyData(await loadDataset(options));
+    },
+
+    index: async function (options) {
+      const dataset = await loadDataset(options);
+      return dataset.map(function (country) {
+        const summary = {};
+        INDEX_FIELDS.forEach(function (field) {
+          summary[field] = country[field];
+        });
+        return copyData(summary);
+      });
+    },
+
+    // The snapshot is a static file, so there's nothing to clear
+    clearCache: function () {
+      return Promise.resolve();
+    }
+  };
+}
+
+/* ──────────────────────────────────────────────
+   ACTIVE PROVIDER
+   ────────────────────────────────────────────── */
+
+/**
+ * Create the provider described by a settings object
+ * @param {object} settings - See CONFIGURATION above
+ * @returns {object} - Provider object
+ */
+function createDataProvider(settings) {
+  if (settings.type === "bundled") {
+    return createBundledProvider(settings.bundledUrl);
+  }
+  if (settings.type === "mirror" && settings.mirrorUrl) {
+    return createRestProvider(settings.mirrorUrl, settings);
+  }
+  return createRestProvider(REST_COUNTRIES_URL, settings);
+}
+
+/** The provider every lookup in the app goes through */
+const countryData = createDataProvider(getDataProviderSettings());
@@ -1,5 +1,5 @@
 /* jshint esversion: 8, browser: true */
-/* global displayResults, destMap, destMarkers, mainMap, mainMarkers, createCountryCard */
+/* global showFeedback, renderTripPlanner, applyJournalFilters, refreshJournalControls, isVisited, displayResults, setResultsHeading, destMap, destMarkers, mainMap, mainMarkers, createCountryCard, initMap, countryData, updateDestinationsState */
 /* ══════════════════════════════════════════════
    features.js - Enhanced Features Module
    Wanderlust Travel - Holiday Destination Finder
@@ -8,6 +8,10 @@
    - Region filtering (browse countries by continent)
    - Sort results (by name or population)
    - Favourites (save countries with localStorage)
+   - Favourites change events, kept in step across tabs
+   - Journal data on favourites (status, tags, notes, visit dates)
+     and the versioned storage format
+   - Favourites view (saved countries as cards and markers)
 
    Demonstrates: DOM manipulation, event listeners,
    async/await, localStorage, array methods,
@@ -31,7 +35,7 @@ let currentDisplayContext = {
 /* ──────────────────────────────────────────────
    FEATURE 1: REGION FILTERING
    Fetches countries by continent from the
-   REST Countries API region endpoint
+   country data provider (data-provider.js)
    Demonstrates: async/await, fetch API,
    DOM manipulation, aria-pressed
    ────────────────────────────────────────────── */
@@ -39,8 +43,9 @@ let currentDisplayContext = {
 /**
  * Fetch and display countries filtered by region
  * @param {string} region - Region name (e.g. "Africa") or "all"
+ * @param {string} sortBy - Sort order to show them in (defaults to "name-asc")
  */
-async function filterByRegion(region) {
+async function filterByRegion(region, sortBy) {
   const grid = document.getElementById("dest-grid");
 
   if (!grid) {
@@ -57,47 +62,34 @@ async function filterByRegion(region) {
   currentDisplayContext.markerArray = destMarkers;
 
   try {
-    // Build the API URL based on selected region
-    let url;
+    // Look up the selected region (see data-provider.js)
+    let data;
     if (region === "all") {
-      url = "https://restcountries.com/v3.1/all";
+      data = await countryData.all();
     } else {
-      url = "https://restcountries.com/v3.1/region/" + region;
+      data = await countryData.byRegion(region);
     }
 
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error("API request failed with status " + response.status);
-    }
-
-    let data = await response.json();
-
-    // Sort alphabetically by default
-    data.sort(function (a, b) {
-      return a.name.common.localeCompare(b.name.common);
-    });
-
-    // Limit "all" results to prevent overwhelming the page
-    if (region === "all") {
-      data = data.slice(0, 30);
-    }
+    // Sort before the one render (alphabetically by default)
+    sortBy = sortBy || "name-asc";
+    data = sortCountries(data, sortBy) || sortCountries(data, "name-asc");
 
     // Store results for sorting
     currentDisplayedResults = data;
 
     // Display using the existing displayResults function from script.js
     displayResults(data, "dest-grid", destMap, destMarkers);
+    if (typeof setResultsHeading === "function") {
+      setResultsHeading("dest-results-title",
+        region === "all" ? "All countries" : "Countries in " + region);
+    }
 
-    // Reset sort dropdown to default
+    // Match the sort dropdown to the order shown
     const sortSelect = document.getElementById("sort-select");
     if (sortSelect) {
-      sortSelect.value = "name-asc";
+      sortSelect.value = sortBy;
     }
 
-    // Announce results count to screen readers
-    announceResultsCount(data.length, region);
-
   } catch (error) {
     console.error("Error filtering by region:", error);
     grid.innerHTML =
@@ -108,10 +100,13 @@ async function filterByRegion(region) {
 
 /**
  * Announce results count for screen readers
- * @param {number} count - Number of results
+ * (called by pagination.js whenever the grid is redrawn)
+ * @param {number} count - Total number of results
  * @param {string} region - Region name or "all"
+ * @param {number} first - Position of the first result on this page
+ * @param {number} last - Position of the last result on this page
  */
-function announceResultsCount(count, region) {
+function announceResultsCount(count, region, first, last) {
   let announceEl = document.getElementById("filter-results-count");
 
   if (!announceEl) {
@@ -125,13 +120,35 @@ function announceResultsCount(count, region) {
     }
   }
 
-  if (region !== "all") {
-    announceEl.textContent = "Showing " + count + " countries in " + region;
+  // Include the range when the results span several pages
+  let shown = String(count);
+  if (first > 1 || last < count) {
+    shown = first + " to " + last + " of " + count;
+  }
+
+  if (count === 0) {
+    announceEl.textContent = "";
+  } else if (region !== "all") {
+    announceEl.textContent = "Showing " + shown + " countries in " + region;
   } else {
-    announceEl.textContent = "Showing " + count + " countries";
+    announceEl.textContent = "Showing " + shown + " countries";
   }
 }
 
+/**
+ * Mark one region filter button as active
+ * @param {string} region - Region name (e.g. "Africa") or "all"
+ */
+function setActiveRegionButton(region) {
+  const filterButtons = document.querySelectorAll(".filter-btn");
+
+  filterButtons.forEach(function (btn) {
+    const isActive = btn.dataset.region === region;
+    btn.classList.toggle("active", isActive);
+    btn.setAttribute("aria-pressed", isActive ? "true" : "false");
+  });
+}
+
 /**
  * Initialise region filter button event listeners
  */
@@ -144,18 +161,26 @@ function initRegionFilters() {
 
   filterButtons.forEach(function (btn) {
     btn.addEventListener("click", function () {
-      // Remove active state from all buttons
-      filterButtons.forEach(function (b) {
-        b.classList.remove("active");
-        b.setAttribute("aria-pressed", "false");
-      });
+      // Set clicked button as the only active one
+      setActiveRegionButton(this.dataset.region);
 
-      // Set clicked button as active
-      this.classList.add("active");
-      this.setAttribute("aria-pressed", "true");
+      // Browsing a region replaces any search results
+      const searchInput = document.getElementById("dest-search-input");
+      if (searchInput) {
+        searchInput.value = "";
+      }
 
       // Fetch and display results for selected region
       filterByRegion(this.dataset.region);
+
+      // Record the region in the address bar (defined in url-state.js)
+      if (typeof updateDestinationsState === "function") {
+        updateDestinationsState({
+          q: "",
+          region: this.dataset.region,
+          sort: "name-asc"
+        });
+      }
     });
   });
 }
@@ -169,16 +194,14 @@ function initRegionFilters() {
    ────────────────────────────────────────────── */
 
 /**
- * Sort the currently displayed country results
+ * Return a sorted copy of a list of countries
+ * @param {Array} countries - Array of country objects
  * @param {string} sortBy - Sort criteria (name-asc, name-desc, pop-desc, pop-asc)
+ * @returns {Array|null} Sorted copy, or null for an unknown criteria
  */
-function sortResults(sortBy) {
-  if (currentDisplayedResults.length === 0) {
-    return;
-  }
-
+function sortCountries(countries, sortBy) {
   // Create a copy to avoid mutating the original array
-  const sorted = currentDisplayedResults.slice();
+  const sorted = countries.slice();
 
   switch (sortBy) {
     case "name-asc":
@@ -202,7 +225,24 @@ function sortResults(sortBy) {
       });
       break;
     default:
-      return;
+      return null;
+  }
+
+  return sorted;
+}
+
+/**
+ * Sort the currently displayed country results
+ * @param {string} sortBy - Sort criteria (name-asc, name-desc, pop-desc, pop-asc)
+ */
+function sortResults(sortBy) {
+  if (currentDisplayedResults.length === 0) {
+    return;
+  }
+
+  const sorted = sortCountries(currentDisplayedResults, sortBy);
+  if (!sorted) {
+    return;
   }
 
   // Re-render results using existing function
@@ -223,6 +263,11 @@ function initSortControls() {
   if (sortSelect) {
     sortSelect.addEventListener("change", function () {
       sortResults(this.value);
+
+      // Record the sort order in the address bar (defined in url-state.js)
+      if (typeof updateDestinationsState === "function") {
+        updateDestinationsState({ sort: this.value });
+      }
     });
   }
 }
@@ -238,63 +283,427 @@ function initSortControls() {
 /** LocalStorage key for favourites */
 var FAVOURITES_KEY = "wanderlust-favourites";
 
+/** Key an unreadable favourites list is moved to, so it isn't lost */
+var FAVOURITES_CORRUPT_KEY = "wanderlust-favourites-corrupt";
+
+/** Event fired on document whenever the favourites list changes */
+var FAVOURITES_EVENT = "wanderlust:favouriteschange";
+
+/**
+ * Version of the stored favourites format. Version 1 was a bare
+ * array; version 2 wraps it as { version, favourites } and gives
+ * every favourite a journal. Bump this and add a step to
+ * migrateFavourites when the format changes again.
+ */
+var FAVOURITES_VERSION = 2;
+
+/** Journal statuses a favourite can have, in display order */
+var JOURNAL_STATUSES = {
+  wishlist: "Wishlist",
+  planned: "Planned",
+  visited: "Visited"
+};
+
+/** Longest journal note kept, in characters */
+var JOURNAL_NOTES_LIMIT = 2000;
+
+/** Most tags kept on one favourite, and the longest tag */
+var JOURNAL_TAG_LIMIT = 20;
+var JOURNAL_TAG_LENGTH = 30;
+
+/**
+ * Build the snapshot of a country that is stored as a favourite.
+ * Only the fields needed to rebuild a card and map marker are kept.
+ * @param {object} country - Country object from REST Countries API
+ * @returns {object} Trimmed copy of the country data
+ */
+function createFavouriteSnapshot(country) {
+  var snapshot = {
+    name: country.name,
+    cca2: country.cca2,
+    cca3: country.cca3,
+    flags: country.flags,
+    latlng: country.latlng,
+    capital: country.capital,
+    region: country.region,
+    subregion: country.subregion,
+    population: country.population,
+    area: country.area,
+    currencies: country.currencies,
+    languages: country.languages,
+    borders: country.borders,
+    timezones: country.timezones,
+    journal: createJournal()
+  };
+
+  // Countries already marked as visited (visited.js) start out visited
+  if (typeof isVisited === "function" && isVisited(country.cca3)) {
+    snapshot.journal.status = "visited";
+  }
+  return snapshot;
+}
+
+/**
+ * Create an empty journal for a newly saved favourite
+ * @returns {object} { status, tags, notes, visitedFrom, visitedTo }
+ */
+function createJournal() {
+  return {
+    status: "wishlist",
+    tags: [],
+    notes: "",
+    visitedFrom: "",
+    visitedTo: ""
+  };
+}
+
+/**
+ * Split tags typed as "beach, food , Beach" into a tidy list:
+ * trimmed, single-spaced, without repeats (ignoring case)
+ * @param {string|Array} value - Comma-separated text or a list
+ * @returns {Array} Up to JOURNAL_TAG_LIMIT tags
+ */
+function parseJournalTags(value) {
+  var parts = Array.isArray(value) ? value : String(value || "").split(",");
+  var tags = [];
+  var seen = [];
+
+  for (var i = 0; i < parts.length && tags.length < JOURNAL_TAG_LIMIT; i++) {
+    if (typeof parts[i] !== "string") {
+      continue;
+    }
+
+    var tag = parts[i].replace(/\s+/g, " ").trim().slice(0, JOURNAL_TAG_LENGTH);
+    if (tag && seen.indexOf(tag.toLowerCase()) === -1) {
+      tags.push(tag);
+      seen.push(tag.toLowerCase());
+    }
+  }
+  return tags;
+}
+
+/**
+ * Check a date typed or imported for a journal
+ * @param {*} value - Expected "YYYY-MM-DD"
+ * @returns {string} The date, or "" if it isn't a real date
+ */
+function cleanJournalDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return "";
+  }
+  // Rejects dates that don't exist, such as 2027-02-30
+  var date = new Date(value + "T00:00:00Z");
+  if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    return "";
+  }
+  return value;
+}
+
+/**
+ * Make a journal safe to store, whatever it was read from
+ * (the editor, an old save or an imported backup)
+ * @param {object} journal - Journal fields, possibly incomplete
+ * @returns {object} A complete journal
+ */
+function normaliseJournal(journal) {
+  var clean = createJournal();
+  if (!journal || typeof journal !== "object") {
+    return clean;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(JOURNAL_STATUSES, journal.status)) {
+    clean.status = journal.status;
+  }
+  clean.tags = parseJournalTags(journal.tags);
+  if (typeof journal.notes === "string") {
+    clean.notes = journal.notes.trim().slice(0, JOURNAL_NOTES_LIMIT);
+  }
+  clean.visitedFrom = cleanJournalDate(journal.visitedFrom);
+  clean.visitedTo = cleanJournalDate(journal.visitedTo);
+
+  // A visit that ends before it starts was entered the wrong way round
+  if (clean.visitedFrom && clean.visitedTo && clean.visitedTo < clean.visitedFrom) {
+    var from = clean.visitedTo;
+    clean.visitedTo = clean.visitedFrom;
+    clean.visitedFrom = from;
+  }
+  return clean;
+}
+
+/**
+ * Check whether a journal holds anything the user wrote
+ * @param {object} journal - The journal
+ * @returns {boolean} True if it has notes, tags or dates
+ */
+function hasJournalEntries(journal) {
+  return Boolean(journal && (journal.notes || journal.tags.length > 0 ||
+    journal.visitedFrom || journal.visitedTo));
+}
+
+/**
+ * Tell the user about a problem with the saved favourites.
+ * The message box is created on first use, so every page
+ * that loads this file can show one.
+ * @param {string} message - Message to show
+ */
+function showFavouritesProblem(message) {
+  var box = document.getElementById("fav-store-feedback");
+
+  if (!box) {
+    box = document.createElement("div");
+    box.id = "fav-store-feedback";
+    box.className = "feedback";
+    box.setAttribute("role", "alert");
+    document.body.appendChild(box);
+  }
+
+  if (typeof showFeedback === "function") {
+    showFeedback("fav-store-feedback", message, "error");
+  } else {
+    box.textContent = message;
+  }
+}
+
+/**
+ * Write the favourites array to localStorage without
+ * announcing the change.
+ * @param {Array} favs - Array of country snapshots
+ * @returns {boolean} True if the list was saved
+ */
+function writeFavourites(favs) {
+  try {
+    localStorage.setItem(FAVOURITES_KEY, JSON.stringify({
+      version: FAVOURITES_VERSION,
+      favourites: favs
+    }));
+    return true;
+  } catch (error) {
+    console.error("Error saving favourites:", error);
+
+    // Browsers name the "storage full" error differently
+    if (error.name === "QuotaExceededError" ||
+        error.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+        error.code === 22) {
+      showFavouritesProblem("Your browser's storage is full, so your favourites " +
+        "couldn't be saved. Clearing some site data will make room.");
+    } else {
+      showFavouritesProblem("Favourites can't be saved in this browser " +
+        "(storage may be turned off, e.g. in private browsing).");
+    }
+    return false;
+  }
+}
+
+/**
+ * Set aside a favourites list that can't be read, keeping
+ * the raw text under another key, and start a fresh list.
+ * @param {string} raw - The unreadable stored value
+ * @param {Error} error - Why it couldn't be read
+ */
+function quarantineFavourites(raw, error) {
+  console.error("Error reading favourites:", error);
+
+  try {
+    localStorage.setItem(FAVOURITES_CORRUPT_KEY, raw);
+    localStorage.removeItem(FAVOURITES_KEY);
+  } catch (storageError) {
+    console.error("Could not set aside unreadable favourites:", storageError);
+  }
+
+  showFavouritesProblem("Your saved favourites couldn't be read, so the list " +
+    "has been started afresh. A copy of the old data was kept in this browser.");
+}
+
+/**
+ * Bring stored favourites up to FAVOURITES_VERSION.
+ * Older versions stored bare country names, so any string entries
+ * become minimal snapshots (upgraded later by
+ * upgradeLegacyFavourites once the full data has been fetched).
+ * Entries that aren't countries at all are dropped.
+ * @param {*} stored - The parsed value from localStorage
+ * @returns {object} { favourites, changed } - changed is true if
+ *   the result should be written back
+ */
+function migrateFavourites(stored) {
+  var list = null;
+  var changed = false;
+
+  if (Array.isArray(stored)) {
+    // Version 1: a bare array
+    list = stored;
+    changed = true;
+  } else if (stored && Array.isArray(stored.favourites) &&
+      typeof stored.version === "number") {
+    list = stored.favourites;
+  } else {
+    throw new TypeError("Favourites are not a list");
+  }
+
+  var favs = [];
+  for (var i = 0; i < list.length; i++) {
+    var fav = list[i];
+
+    if (typeof fav === "string") {
+      fav = { name: { common: fav } };
+    } else if (!fav || !fav.name || typeof fav.name.common !== "string") {
+      console.warn("Dropped an unreadable favourite:", fav);
+      changed = true;
+      continue;
+    }
+
+    // Version 2: every favourite has a journal
+    if (!fav.journal || typeof fav.journal !== "object") {
+      fav.journal = createJournal();
+      changed = true;
+    }
+    favs.push(fav);
+  }
+
+  // Leave data written by a newer version as it is
+  if (stored.version > FAVOURITES_VERSION) {
+    changed = false;
+  }
+
+  return { favourites: favs, changed: changed };
+}
+
 /**
- * Retrieve saved favourite country names from localStorage
- * @returns {Array} Array of favourite country names
+ * Retrieve saved favourite countries from localStorage,
+ * migrating them from older formats as needed
+ * @returns {Array} Array of favourite country snapshots
  */
 function getFavourites() {
+  var raw = null;
+  var result = null;
+
   try {
-    return JSON.parse(localStorage.getItem(FAVOURITES_KEY)) || [];
+    raw = localStorage.getItem(FAVOURITES_KEY);
   } catch (error) {
+    // Storage is blocked entirely, so there is nothing saved
     console.error("Error reading favourites:", error);
     return [];
   }
+
+  if (raw === null) {
+    return [];
+  }
+
+  try {
+    result = migrateFavourites(JSON.parse(raw));
+  } catch (error) {
+    quarantineFavourites(raw, error);
+    return [];
+  }
+
+  if (result.changed) {
+    writeFavourites(result.favourites);
+  }
+
+  return result.favourites;
 }
 
 /**
- * Save the favourites array to localStorage
- * @param {Array} favs - Array of country names
+ * Save the favourites array to localStorage and let the
+ * page know the list has changed
+ * @param {Array} favs - Array of country snapshots
+ * @returns {boolean} True if the list was saved
  */
 function saveFavourites(favs) {
-  try {
-    localStorage.setItem(FAVOURITES_KEY, JSON.stringify(favs));
-  } catch (error) {
-    console.error("Error saving favourites:", error);
+  if (!writeFavourites(favs)) {
+    return false;
+  }
+
+  notifyFavouritesChange(false);
+  return true;
+}
+
+/**
+ * Fire the favourites change event on document
+ * @param {boolean} external - True if another tab made the change
+ */
+function notifyFavouritesChange(external) {
+  var favs = getFavourites();
+
+  document.dispatchEvent(new CustomEvent(FAVOURITES_EVENT, {
+    detail: { favourites: favs, external: external }
+  }));
+}
+
+/**
+ * Find the position of a country in the favourites list.
+ * Matches on the cca3 code, or on the common name for
+ * migrated entries that have no code yet.
+ * @param {Array} favs - Array of country snapshots
+ * @param {object} country - Country object to look for
+ * @returns {number} Index in the list, or -1 if not found
+ */
+function findFavouriteIndex(favs, country) {
+  var name = country.name && country.name.common ? country.name.common : "";
+
+  for (var i = 0; i < favs.length; i++) {
+    if (favs[i].cca3 && country.cca3) {
+      if (favs[i].cca3 === country.cca3) {
+        return i;
+      }
+    } else if (favs[i].name && favs[i].name.common === name) {
+      return i;
+    }
   }
+  return -1;
 }
 
 /**
  * Check if a country is currently in the favourites list
- * @param {string} countryName - The country name to check
+ * @param {object} country - The country to check
  * @returns {boolean} True if the country is a favourite
  */
-function isFavourite(countryName) {
-  return getFavourites().indexOf(countryName) !== -1;
+function isFavourite(country) {
+  return findFavouriteIndex(getFavourites(), country) !== -1;
 }
 
 /**
- * Toggle a country in or out of the favourites list
- * @param {string} countryName - The country name to toggle
+ * Update a heart button to reflect the favourite state
  * @param {HTMLElement} btn - The favourite button element
+ * @param {string} countryName - The country name (for labels)
+ * @param {boolean} favourited - Whether the country is saved
  */
-function toggleFavourite(countryName, btn) {
+function setFavButtonState(btn, countryName, favourited) {
+  if (favourited) {
+    btn.innerHTML = "&#9829;";
+    btn.classList.add("favourited");
+    btn.setAttribute("aria-label", "Remove " + countryName + " from favourites");
+    btn.setAttribute("title", "Remove from favourites");
+  } else {
+    btn.innerHTML = "&#9825;";
+    btn.classList.remove("favourited");
+    btn.setAttribute("aria-label", "Save " + countryName + " to favourites");
+    btn.setAttribute("title", "Save to favourites");
+  }
+}
+
+/**
+ * Toggle a country in or out of the favourites list.
+ * Buttons, badges and the favourites view update from the
+ * change event, so they stay as they were if saving fails.
+ * @param {object} country - The country to toggle
+ */
+function toggleFavourite(country) {
   var favs = getFavourites();
-  var index = favs.indexOf(countryName);
+  var index = findFavouriteIndex(favs, country);
 
   if (index !== -1) {
+    // Check before throwing away anything written in the journal
+    if (hasJournalEntries(favs[index].journal) &&
+        !window.confirm("Remove " + favs[index].name.common +
+          " from your favourites? Its journal notes, tags and dates will be deleted too.")) {
+      return;
+    }
+
     // Remove from favourites
     favs.splice(index, 1);
-    btn.innerHTML = "&#9825;";
-    btn.classList.remove("favourited");
-    btn.setAttribute("aria-label", "Save " + countryName + " to favourites");
-    btn.setAttribute("title", "Save to favourites");
   } else {
     // Add to favourites
-    favs.push(countryName);
-    btn.innerHTML = "&#9829;";
-    btn.classList.add("favourited");
-    btn.setAttribute("aria-label", "Remove " + countryName + " from favourites");
-    btn.setAttribute("title", "Remove from favourites");
+    favs.push(createFavouriteSnapshot(country));
   }
 
   saveFavourites(favs);
@@ -302,34 +711,190 @@ function toggleFavourite(countryName, btn) {
 
 /**
  * Create a favourite (heart) button for a country card
- * @param {string} countryName - The country name
+ * @param {object} country - The country the card shows
  * @returns {HTMLElement} The favourite button element
  */
-function createFavButton(countryName) {
+function createFavButton(country) {
+  var countryName = country.name && country.name.common
+    ? country.name.common
+    : "Unknown";
   var favBtn = document.createElement("button");
   favBtn.className = "fav-btn";
   favBtn.type = "button";
+  favBtn.dataset.code = country.cca3 || "";
+  favBtn.dataset.name = countryName;
 
-  if (isFavourite(countryName)) {
-    favBtn.innerHTML = "&#9829;";
-    favBtn.classList.add("favourited");
-    favBtn.setAttribute("aria-label", "Remove " + countryName + " from favourites");
-    favBtn.setAttribute("title", "Remove from favourites");
-  } else {
-    favBtn.innerHTML = "&#9825;";
-    favBtn.setAttribute("aria-label", "Save " + countryName + " to favourites");
-    favBtn.setAttribute("title", "Save to favourites");
-  }
+  setFavButtonState(favBtn, countryName, isFavourite(country));
 
   favBtn.addEventListener("click", function (event) {
     event.stopPropagation();
     event.preventDefault();
-    toggleFavourite(countryName, favBtn);
+    toggleFavourite(country);
   });
 
   return favBtn;
 }
 
+/**
+ * Add the favourites count badge to the main navigation
+ */
+function createFavouritesBadge() {
+  var link = document.querySelector('.nav-links a[href="favourites.html"]');
+  if (!link || link.querySelector(".fav-badge")) {
+    return;
+  }
+
+  var badge = document.createElement("span");
+  badge.className = "fav-badge";
+  badge.hidden = true;
+  link.appendChild(badge);
+}
+
+/**
+ * Bring every heart button and count badge on the page
+ * in line with the saved favourites
+ */
+function refreshFavouriteControls() {
+  var favs = getFavourites();
+
+  document.querySelectorAll(".fav-btn").forEach(function (btn) {
+    var country = { cca3: btn.dataset.code, name: { common: btn.dataset.name } };
+    setFavButtonState(btn, btn.dataset.name, findFavouriteIndex(favs, country) !== -1);
+  });
+
+  document.querySelectorAll(".fav-badge").forEach(function (badge) {
+    badge.hidden = favs.length === 0;
+    badge.innerHTML = favs.length + '<span class="sr-only"> saved</span>';
+  });
+}
+
+/* ──────────────────────────────────────────────
+   FEATURE 4: FAVOURITES VIEW (favourites.html)
+   Rebuilds saved countries as full cards and
+   map markers, using the shared display and
+   sort functions
+   Demonstrates: async/await, localStorage,
+   data migration, DOM manipulation
+   ────────────────────────────────────────────── */
+
+/** Leaflet map instance for favourites.html */
+let favMap = null;
+
+/** Array of map markers for favourites.html */
+let favMarkers = [];
+
+/**
+ * Fetch full country data for favourites saved by older
+ * versions (name only) and store the upgraded snapshots
+ * @returns {boolean} True if any favourite was upgraded
+ */
+async function upgradeLegacyFavourites() {
+  const favs = getFavourites();
+  let upgraded = false;
+
+  for (let i = 0; i < favs.length; i++) {
+    if (favs[i].cca3) {
+      continue;
+    }
+
+    try {
+      const data = await countryData.byName(favs[i].name.common, {
+        fullText: true
+      });
+
+      if (data.length > 0) {
+        favs[i] = createFavouriteSnapshot(data[0]);
+        upgraded = true;
+      }
+    } catch (error) {
+      // Keep the name-only entry and try again next visit
+      console.warn("Could not upgrade favourite:", favs[i].name.common);
+    }
+  }
+
+  if (upgraded) {
+    // Re-read so toggles made while fetching are not lost
+    const current = getFavourites();
+    for (let j = 0; j < favs.length; j++) {
+      const index = findFavouriteIndex(current, favs[j]);
+      if (index !== -1) {
+        // Keep journal edits made while fetching too
+        favs[j].journal = current[index].journal;
+        current[index] = favs[j];
+      }
+    }
+    saveFavourites(current);
+  }
+
+  return upgraded;
+}
+
+/**
+ * Render the saved favourites into the favourites view,
+ * keeping the order chosen in the sort dropdown
+ */
+function renderFavourites() {
+  const grid = document.getElementById("fav-grid");
+  if (!grid) {
+    return;
+  }
+
+  const favs = getFavourites();
+  const emptyState = document.getElementById("fav-empty");
+  const filterEmpty = document.getElementById("fav-filter-empty");
+  const countEl = document.getElementById("fav-count");
+
+  // Narrow the list by journal status and tag (journal.js)
+  let shown = favs;
+  if (typeof applyJournalFilters === "function") {
+    shown = applyJournalFilters(favs);
+  }
+
+  if (emptyState) {
+    emptyState.style.display = favs.length === 0 ? "block" : "none";
+  }
+  if (filterEmpty) {
+    filterEmpty.hidden = favs.length === 0 || shown.length > 0;
+  }
+  if (countEl) {
+    let count = favs.length + " saved destination" + (favs.length === 1 ? "" : "s");
+    if (shown.length !== favs.length) {
+      count = "Showing " + shown.length + " of " + count;
+    }
+    countEl.textContent = count;
+  }
+
+  const sortSelect = document.getElementById("sort-select");
+  const sortBy = sortSelect ? sortSelect.value : "name-asc";
+
+  displayResults(sortCountries(shown, sortBy) || shown, "fav-grid", favMap, favMarkers);
+}
+
+/**
+ * Initialise the favourites view if this page has one
+ */
+async function initFavouritesView() {
+  if (!document.getElementById("fav-grid")) {
+    return;
+  }
+
+  favMap = initMap("fav-map");
+  const favMapContainer = document.getElementById("fav-map-container");
+  if (favMapContainer) {
+    favMapContainer.classList.add("active");
+    setTimeout(function () {
+      if (favMap) {
+        favMap.invalidateSize();
+      }
+    }, 200);
+  }
+
+  renderFavourites();
+
+  // Upgraded favourites are saved, which renders the view again
+  await upgradeLegacyFavourites();
+}
+
 /* ──────────────────────────────────────────────
    INITIALISATION
    ────────────────────────────────────────────── */
@@ -337,4 +902,28 @@ function createFavButton(countryName) {
 document.addEventListener("DOMContentLoaded", function () {
   initRegionFilters();
   initSortControls();
-});
\ No newline at end of file
+  createFavouritesBadge();
+  refreshFavouriteControls();
+  initFavouritesView();
+});
+
+// Update hearts, badges and lists whenever the favourites change
+document.addEventListener(FAVOURITES_EVENT, function () {
+  refreshFavouriteControls();
+  renderFavourites();
+
+  if (typeof refreshJournalControls === "function") {
+    refreshJournalControls();
+  }
+
+  if (typeof renderTripPlanner === "function") {
+    renderTripPlanner();
+  }
+});
+
+// Pick up changes made in other tabs
+window.addEventListener("storage", function (event) {
+  if (event.key === FAVOURITES_KEY || event.key === null) {
+    notifyFavouritesChange(true);
+  }
+});
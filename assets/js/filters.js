@@ -0,0 +1,568 @@
+/* jshint esversion: 8, browser: true */
+/* global currentDisplayedResults, sortResults */
+/* ══════════════════════════════════════════════
+   filters.js - Faceted Result Filters
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - A filter panel over the results loaded on
+     destinations.html (by search or region)
+   - Facets: subregion, language, currency,
+     population and area ranges, landlocked, UN
+     member, driving side and independence
+   - Counts for every facet value
+   - Narrowing the cards and map markers without
+     any new API calls
+
+   Values within one facet are combined with OR
+   (Spanish or Portuguese), and different facets
+   with AND (Spanish and landlocked). Each value's
+   count assumes the other facets' choices, so it
+   shows how many results that value would show.
+
+   Demonstrates: higher-order functions, objects
+   as lookup tables, range inputs, fieldset and
+   legend for accessible grouped controls
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   FACET DEFINITIONS
+   "list" facets read one or more values from each
+   country; "range" facets read one number
+   ────────────────────────────────────────────── */
+
+/**
+ * Turn a true/false field into a facet value
+ * @param {*} value - The field value
+ * @returns {Array} - ["Yes"], ["No"], or [] if the field is missing
+ */
+function yesNoValue(value) {
+  if (typeof value !== "boolean") {
+    return [];
+  }
+  return [value ? "Yes" : "No"];
+}
+
+/** Every facet shown in the panel, in display order */
+const FACET_DEFINITIONS = [
+  {
+    id: "subregion",
+    label: "Subregion",
+    type: "list",
+    values: function (country) {
+      return country.subregion ? [country.subregion] : [];
+    }
+  },
+  {
+    id: "language",
+    label: "Language",
+    type: "list",
+    values: function (country) {
+      const languages = country.languages || {};
+      return Object.keys(languages).map(function (code) {
+        return languages[code];
+      });
+    }
+  },
+  {
+    id: "currency",
+    label: "Currency",
+    type: "list",
+    values: function (country) {
+      const currencies = country.currencies || {};
+      return Object.keys(currencies).map(function (code) {
+        return currencies[code].name + " (" + code + ")";
+      });
+    }
+  },
+  {
+    id: "population",
+    label: "Population",
+    type: "range",
+    value: function (country) {
+      return country.population;
+    }
+  },
+  {
+    id: "area",
+    label: "Area (km²)",
+    type: "range",
+    value: function (country) {
+      return country.area;
+    }
+  },
+  {
+    id: "landlocked",
+    label: "Landlocked",
+    type: "list",
+    values: function (country) {
+      return yesNoValue(country.landlocked);
+    }
+  },
+  {
+    id: "unMember",
+    label: "UN member",
+    type: "list",
+    values: function (country) {
+      return yesNoValue(country.unMember);
+    }
+  },
+  {
+    id: "drivingSide",
+    label: "Drives on the",
+    type: "list",
+    values: function (country) {
+      if (!country.car || !country.car.side) {
+        return [];
+      }
+      const side = country.car.side;
+      return [side.charAt(0).toUpperCase() + side.slice(1)];
+    }
+  },
+  {
+    id: "independent",
+    label: "Independent",
+    type: "list",
+    values: function (country) {
+      return yesNoValue(country.independent);
+    }
+  }
+];
+
+/* ──────────────────────────────────────────────
+   FILTER STATE
+   ────────────────────────────────────────────── */
+
+/** Grid the panel filters */
+const FACET_GRID_ID = "dest-grid";
+
+/** Ticked values for each list facet, e.g. { language: ["Spanish"] } */
+let facetSelections = {};
+
+/**
+ * Slider positions for each range facet, as indexes into the
+ * sorted values: { population: { values: [...], low: 0, high: 41 } }
+ */
+let facetRanges = {};
+
+/** Identifies the loaded result set, so sorting doesn't reset the panel */
+let facetBaseKey = "";
+
+/**
+ * Build a key that identifies a set of countries, whatever its order
+ * @param {Array} countries - Array of country objects
+ * @returns {string} - Key that is the same for the same countries
+ */
+function getResultSetKey(countries) {
+  return countries.map(function (country) {
+    return country.cca3 || country.name.common;
+  }).sort().join(",");
+}
+
+/* ──────────────────────────────────────────────
+   MATCHING
+   ────────────────────────────────────────────── */
+
+/**
+ * Check one country against one facet's current choice
+ * @param {object} facet - Entry from FACET_DEFINITIONS
+ * @param {object} country - Country object
+ * @returns {boolean} - True if the country passes
+ */
+function matchesFacet(facet, country) {
+  if (facet.type === "range") {
+    const range = facetRanges[facet.id];
+    if (!range || (range.low === 0 && range.high === range.values.length - 1)) {
+      return true;
+    }
+
+    const value = facet.value(country);
+    return typeof value === "number" &&
+      value >= range.values[range.low] &&
+      value <= range.values[range.high];
+  }
+
+  const selected = facetSelections[facet.id] || [];
+  if (selected.length === 0) {
+    return true;
+  }
+
+  return facet.values(country).some(function (value) {
+    return selected.indexOf(value) !== -1;
+  });
+}
+
+/**
+ * Check one country against every facet, optionally ignoring one
+ * (used to count what ticking a value in that facet would give)
+ * @param {object} country - Country object
+ * @param {string} skipId - ID of a facet to ignore, or ""
+ * @returns {boolean} - True if the country passes
+ */
+function matchesAllFacets(country, skipId) {
+  return FACET_DEFINITIONS.every(function (facet) {
+    return facet.id === skipId || matchesFacet(facet, country);
+  });
+}
+
+/**
+ * Count the filters currently narrowing the results
+ * @returns {number} - Ticked values plus moved range sliders
+ */
+function countActiveFacets() {
+  let count = 0;
+
+  Object.keys(facetSelections).forEach(function (id) {
+    count += facetSelections[id].length;
+  });
+  Object.keys(facetRanges).forEach(function (id) {
+    const range = facetRanges[id];
+    if (range.low > 0 || range.high < range.values.length - 1) {
+      count++;
+    }
+  });
+
+  return count;
+}
+
+/* ──────────────────────────────────────────────
+   BUILDING THE PANEL
+   Rebuilt when a different result set loads;
+   choices that still apply are kept, so a filter
+   carries over to the next region
+   ────────────────────────────────────────────── */
+
+/**
+ * Format a range facet value for display
+ * @param {number} value - The number
+ * @returns {string} - e.g. "1,234,567"
+ */
+function formatFacetNumber(value) {
+  return Math.round(value).toLocaleString();
+}
+
+/**
+ * Build the checkbox list for a list facet
+ * @param {object} facet - Entry from FACET_DEFINITIONS
+ * @param {Array} countries - The loaded result set
+ * @returns {HTMLElement|null} - The fieldset, or null if no country has a value
+ */
+function buildListFacet(facet, countries) {
+  const seen = {};
+  countries.forEach(function (country) {
+    facet.values(country).forEach(function (value) {
+      seen[value] = true;
+    });
+  });
+
+  const values = Object.keys(seen).sort(function (a, b) {
+    return a.localeCompare(b);
+  });
+
+  // Keep only choices that exist in the new results
+  facetSelections[facet.id] = (facetSelections[facet.id] || []).filter(function (value) {
+    return seen[value];
+  });
+
+  if (values.length === 0) {
+    return null;
+  }
+
+  const fieldset = document.createElement("fieldset");
+  fieldset.className = "facet-group";
+
+  let html = "<legend>" + facet.label + "</legend>" +
+    '<div class="facet-options">';
+  values.forEach(function (value, i) {
+    const inputId = "facet-" + facet.id + "-" + i;
+    const checked = facetSelections[facet.id].indexOf(value) !== -1;
+    html += '<label class="facet-option" for="' + inputId + '">' +
+      '<input type="checkbox" id="' + inputId + '"' + (checked ? " checked" : "") + ">" +
+      '<span class="facet-value"></span>' +
+      '<span class="facet-count"></span></label>';
+  });
+  html += "</div>";
+  fieldset.innerHTML = html;
+
+  // Set values as properties, so names with quotes are safe
+  fieldset.querySelectorAll("input").forEach(function (checkbox, i) {
+    checkbox.value = values[i];
+    checkbox.dataset.facet = facet.id;
+    checkbox.parentNode.querySelector(".facet-value").textContent = values[i];
+
+    checkbox.addEventListener("change", function () {
+      const selected = facetSelections[facet.id];
+      const index = selected.indexOf(this.value);
+      if (this.checked && index === -1) {
+        selected.push(this.value);
+      } else if (!this.checked && index !== -1) {
+        selected.splice(index, 1);
+      }
+      refreshFacetResults();
+    });
+  });
+
+  return fieldset;
+}
+
+/**
+ * Find the step closest to a value
+ * @param {Array} values - Sorted slider values
+ * @param {number} target - The value to match
+ * @returns {number} - Index into values
+ */
+function findNearestIndex(values, target) {
+  let nearest = 0;
+  values.forEach(function (value, i) {
+    if (Math.abs(value - target) < Math.abs(values[nearest] - target)) {
+      nearest = i;
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Build the minimum/maximum sliders for a range facet
+ * @param {object} facet - Entry from FACET_DEFINITIONS
+ * @param {Array} countries - The loaded result set
+ * @returns {HTMLElement|null} - The fieldset, or null if there's nothing to range over
+ */
+function buildRangeFacet(facet, countries) {
+  const values = [];
+  countries.forEach(function (country) {
+    const value = facet.value(country);
+    if (typeof value === "number" && values.indexOf(value) === -1) {
+      values.push(value);
+    }
+  });
+  values.sort(function (a, b) {
+    return a - b;
+  });
+
+  // Slider steps are the countries' own values, so a few huge
+  // countries don't squash everyone else into one end
+  if (values.length < 2) {
+    delete facetRanges[facet.id];
+    return null;
+  }
+  const max = values.length - 1;
+  const range = { values: values, low: 0, high: max };
+
+  // Carry a narrowed range over as values, moved to the nearest
+  // steps in the new results (an end left open stays open)
+  const previous = facetRanges[facet.id];
+  if (previous) {
+    if (previous.low > 0) {
+      range.low = findNearestIndex(values, previous.values[previous.low]);
+    }
+    if (previous.high < previous.values.length - 1) {
+      range.high = Math.max(range.low,
+        findNearestIndex(values, previous.values[previous.high]));
+    }
+  }
+  facetRanges[facet.id] = range;
+
+  const fieldset = document.createElement("fieldset");
+  fieldset.className = "facet-group facet-range";
+  fieldset.innerHTML = "<legend>" + facet.label + "</legend>" +
+    '<label for="facet-' + facet.id + '-min">Minimum</label>' +
+    '<input type="range" id="facet-' + facet.id + '-min" min="0" max="' + max + '" value="' + range.low + '">' +
+    '<label for="facet-' + facet.id + '-max">Maximum</label>' +
+    '<input type="range" id="facet-' + facet.id + '-max" min="0" max="' + max + '" value="' + range.high + '">' +
+    '<output class="facet-range-value" for="facet-' + facet.id + '-min facet-' +
+    facet.id + '-max"></output>';
+
+  const minInput = fieldset.querySelector("#facet-" + facet.id + "-min");
+  const maxInput = fieldset.querySelector("#facet-" + facet.id + "-max");
+  const output = fieldset.querySelector("output");
+
+  /**
+   * Read both sliders, keeping the minimum below the maximum
+   * @param {HTMLInputElement} moved - The slider the user moved
+   */
+  function updateRange(moved) {
+    let low = parseInt(minInput.value, 10);
+    let high = parseInt(maxInput.value, 10);
+
+    if (low > high) {
+      if (moved === minInput) {
+        high = low;
+        maxInput.value = high;
+      } else {
+        low = high;
+        minInput.value = low;
+      }
+    }
+
+    range.low = low;
+    range.high = high;
+    showRange();
+  }
+
+  /**
+   * Show the selected range as text next to the sliders
+   */
+  function showRange() {
+    const text = formatFacetNumber(values[range.low]) + " – " +
+      formatFacetNumber(values[range.high]);
+    output.textContent = text;
+    minInput.setAttribute("aria-valuetext", formatFacetNumber(values[range.low]));
+    maxInput.setAttribute("aria-valuetext", formatFacetNumber(values[range.high]));
+  }
+
+  [minInput, maxInput].forEach(function (slider) {
+    // Update the label while dragging, the results once released
+    slider.addEventListener("input", function () {
+      updateRange(slider);
+    });
+    slider.addEventListener("change", refreshFacetResults);
+  });
+
+  showRange();
+  return fieldset;
+}
+
+/**
+ * Rebuild every facet for a newly loaded result set
+ * @param {Array} countries - The loaded result set
+ */
+function buildFacetPanel(countries) {
+  const panel = document.getElementById("facet-panel");
+  const groups = document.getElementById("facet-groups");
+  if (!panel || !groups) {
+    return;
+  }
+
+  groups.innerHTML = "";
+
+  // Filtering one or no results isn't useful
+  if (countries.length < 2) {
+    facetSelections = {};
+    facetRanges = {};
+    panel.hidden = true;
+    return;
+  }
+
+  FACET_DEFINITIONS.forEach(function (facet) {
+    const group = facet.type === "range"
+      ? buildRangeFacet(facet, countries)
+      : buildListFacet(facet, countries);
+    if (group) {
+      groups.appendChild(group);
+    }
+  });
+
+  panel.hidden = false;
+}
+
+/* ──────────────────────────────────────────────
+   APPLYING THE FILTERS
+   ────────────────────────────────────────────── */
+
+/**
+ * Update the per-value counts, the active filter count
+ * and the "showing X of Y" status
+ * @param {Array} countries - The loaded result set
+ * @param {number} shown - How many countries pass the filters
+ */
+function updateFacetCounts(countries, shown) {
+  const checkboxes = document.querySelectorAll("#facet-groups input[type='checkbox']");
+
+  checkboxes.forEach(function (checkbox) {
+    const facet = FACET_DEFINITIONS.find(function (definition) {
+      return definition.id === checkbox.dataset.facet;
+    });
+
+    const count = countries.filter(function (country) {
+      return facet.values(country).indexOf(checkbox.value) !== -1 &&
+        matchesAllFacets(country, facet.id);
+    }).length;
+
+    const label = checkbox.parentNode;
+    label.querySelector(".facet-count").textContent = count;
+    label.classList.toggle("facet-empty", count === 0 && !checkbox.checked);
+  });
+
+  const active = countActiveFacets();
+  const activeCount = document.getElementById("facet-active-count");
+  if (activeCount) {
+    activeCount.textContent = active > 0 ? "(" + active + " active)" : "";
+  }
+
+  const clearBtn = document.getElementById("facet-clear-btn");
+  if (clearBtn) {
+    clearBtn.disabled = active === 0;
+  }
+
+  const status = document.getElementById("facet-status");
+  if (status) {
+    if (active === 0) {
+      status.textContent = "";
+    } else if (shown === 0) {
+      status.textContent = "No countries match these filters. Try clearing some.";
+    } else {
+      status.textContent = "Showing " + shown + " of " + countries.length + " countries";
+    }
+  }
+}
+
+/**
+ * Narrow results about to be displayed to the chosen facets
+ * (called by displayResults in script.js)
+ * @param {Array} countries - Countries about to be displayed
+ * @param {string} gridId - ID of the grid they're going into
+ * @returns {Array} - The countries that pass the filters, in the same order
+ */
+function applyFacetFilters(countries, gridId) {
+  if (gridId !== FACET_GRID_ID || !document.getElementById("facet-panel")) {
+    return countries;
+  }
+
+  // A new search or region rebuilds the panel; a re-sort doesn't
+  const key = getResultSetKey(countries);
+  if (key !== facetBaseKey) {
+    facetBaseKey = key;
+    buildFacetPanel(countries);
+  }
+
+  const filtered = countries.filter(function (country) {
+    return matchesAllFacets(country, "");
+  });
+
+  updateFacetCounts(countries, filtered.length);
+  return filtered;
+}
+
+/**
+ * Re-display the loaded results after a filter changes,
+ * keeping the chosen sort order (sortResults is in features.js)
+ */
+function refreshFacetResults() {
+  const sortSelect = document.getElementById("sort-select");
+  if (currentDisplayedResults.length > 0 && typeof sortResults === "function") {
+    sortResults(sortSelect ? sortSelect.value : "name-asc");
+  }
+}
+
+/**
+ * Untick every value and reset every slider
+ */
+function clearFacetFilters() {
+  facetSelections = {};
+  facetRanges = {};
+
+  // Rebuild the panel controls from scratch
+  facetBaseKey = "";
+  refreshFacetResults();
+}
+
+/* ──────────────────────────────────────────────
+   INITIALISATION
+   ────────────────────────────────────────────── */
+
+document.addEventListener("DOMContentLoaded", function () {
+  const clearBtn = document.getElementById("facet-clear-btn");
+  if (clearBtn) {
+    clearBtn.addEventListener("click", clearFacetFilters);
+  }
+});
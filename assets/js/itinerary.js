@@ -0,0 +1,832 @@
+/* jshint esversion: 8, browser: true */
+/* global L, initMap, getFavourites */
+/* ══════════════════════════════════════════════
+   itinerary.js - Trip Planner
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - Named trips (itineraries) saved in localStorage,
+     each an ordered list of stops with a number of
+     nights
+   - An "Add to trip" button on every country card
+     (see createCountryCard in script.js), adding to
+     the trip currently open in the planner
+   - The planner on itinerary.html: choosing, naming
+     and deleting trips, adding favourites, setting
+     nights, and reordering stops by drag and drop,
+     the arrow keys or the up/down buttons
+   - An optional start date, giving every stop its
+     arrival and departure dates
+   - The route on the map as great-circle lines,
+     with the distance of each leg and in total
+
+   Demonstrates: localStorage, HTML Drag and Drop
+   API, keyboard events, trigonometry (haversine
+   distance and great-circle interpolation),
+   Leaflet polylines and divIcons
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   SETTINGS
+   ────────────────────────────────────────────── */
+
+/** LocalStorage key for saved trips */
+const ITINERARY_KEY = "wanderlust-itineraries";
+
+/** Name given to a trip created without one */
+const DEFAULT_TRIP_NAME = "My trip";
+
+/** Nights given to a newly added stop */
+const DEFAULT_NIGHTS = 2;
+
+/** Most nights allowed at one stop */
+const MAX_NIGHTS = 365;
+
+/** Mean radius of the Earth (km), for distances */
+const EARTH_RADIUS_KM = 6371;
+
+/** Rough length of each straight piece of a drawn route line (km) */
+const ROUTE_STEP_KM = 250;
+
+/** Milliseconds in a day, for working out stop dates */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* ──────────────────────────────────────────────
+   SAVED TRIPS
+   Stored as { activeId, trips: [{ id, name, startDate, stops }] }
+   where startDate is "YYYY-MM-DD" (or "" if not chosen)
+   and each stop is { cca3, name, flag, latlng, nights }
+   ────────────────────────────────────────────── */
+
+/**
+ * Read every saved trip
+ * @returns {object} - { activeId: string, trips: Array }
+ */
+function getItineraryData() {
+  try {
+    const data = JSON.parse(localStorage.getItem(ITINERARY_KEY));
+    if (data && Array.isArray(data.trips)) {
+      return data;
+    }
+  } catch (error) {
+    console.error("Error reading trips:", error);
+  }
+  return { activeId: "", trips: [] };
+}
+
+/**
+ * Save every trip and update the page
+ * @param {object} data - { activeId, trips }
+ */
+function saveItineraryData(data) {
+  try {
+    localStorage.setItem(ITINERARY_KEY, JSON.stringify(data));
+  } catch (error) {
+    console.error("Error saving trips:", error);
+  }
+  refreshTripControls();
+}
+
+/**
+ * Make an id for a new trip
+ * @returns {string} - e.g. "trip-lz3k9q0abc1"
+ */
+function createTripId() {
+  return "trip-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Create a new, empty trip and make it the active one
+ * @param {object} data - All trips (changed in place)
+ * @param {string} name - Trip name
+ * @returns {object} - The new trip
+ */
+function createTrip(data, name) {
+  const trip = {
+    id: createTripId(),
+    name: name,
+    startDate: "",
+    stops: []
+  };
+  data.trips.push(trip);
+  data.activeId = trip.id;
+  return trip;
+}
+
+/**
+ * Find the trip being planned, if there is one
+ * @param {object} data - All trips
+ * @returns {object|null} - The active trip
+ */
+function getActiveTrip(data) {
+  return data.trips.find(function (trip) {
+    return trip.id === data.activeId;
+  }) || data.trips[0] || null;
+}
+
+/**
+ * Work out when each stop starts and ends, from the trip's
+ * start date and the nights spent at the stops before it
+ * @param {object} trip - The trip
+ * @returns {Array|null} - { arrive, depart } Dates (midnight UTC)
+ *   for each stop, or null if the trip has no start date
+ */
+function getTripStopDates(trip) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(trip.startDate || "");
+  if (!match) {
+    return null;
+  }
+
+  let day = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return trip.stops.map(function (stop) {
+    const arrive = new Date(day);
+    day += stop.nights * DAY_MS;
+    return { arrive: arrive, depart: new Date(day) };
+  });
+}
+
+/**
+ * Build the stop saved for a country. Capitals make better
+ * stops than the middle of the country, where they're known.
+ * @param {object} country - Country object (or favourite snapshot)
+ * @returns {object} - { cca3, name, flag, latlng, nights }
+ */
+function createTripStop(country) {
+  const capitalPoint = country.capitalInfo && country.capitalInfo.latlng;
+
+  return {
+    cca3: country.cca3,
+    name: country.name && country.name.common ? country.name.common : country.cca3,
+    flag: country.flags && country.flags.png ? country.flags.png : "",
+    latlng: capitalPoint && capitalPoint.length === 2 ? capitalPoint : country.latlng,
+    nights: DEFAULT_NIGHTS
+  };
+}
+
+/**
+ * Check whether a country is a stop on the active trip
+ * @param {string} code - cca3 code
+ * @returns {boolean} - True if it is
+ */
+function isInActiveTrip(code) {
+  const trip = getActiveTrip(getItineraryData());
+  return Boolean(trip) && trip.stops.some(function (stop) {
+    return stop.cca3 === code;
+  });
+}
+
+/**
+ * Add a country to the end of the active trip (starting a
+ * trip if there isn't one), or take it off again
+ * @param {object} country - Country object
+ */
+function toggleTripStop(country) {
+  const data = getItineraryData();
+  const trip = getActiveTrip(data) || createTrip(data, DEFAULT_TRIP_NAME);
+  data.activeId = trip.id;
+
+  const index = trip.stops.findIndex(function (stop) {
+    return stop.cca3 === country.cca3;
+  });
+  if (index === -1) {
+    trip.stops.push(createTripStop(country));
+  } else {
+    trip.stops.splice(index, 1);
+  }
+
+  saveItineraryData(data);
+}
+
+/* ──────────────────────────────────────────────
+   CARD BUTTONS
+   ────────────────────────────────────────────── */
+
+/**
+ * Show whether a trip button's country is on the active trip
+ * @param {HTMLElement} btn - The trip button
+ * @param {boolean} added - True if it is a stop
+ */
+function setTripButtonState(btn, added) {
+  btn.setAttribute("aria-pressed", added ? "true" : "false");
+  btn.classList.toggle("in-trip", added);
+  btn.innerHTML = added ? "&#10003; In trip" : "+ Trip";
+}
+
+/**
+ * Create the "Add to trip" button for a country card
+ * @param {object} country - The country the card shows
+ * @returns {HTMLElement} - The button
+ */
+function createTripButton(country) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "trip-btn";
+  btn.dataset.code = country.cca3;
+  btn.setAttribute("aria-label", "Add " +
+    (country.name && country.name.common ? country.name.common : country.cca3) +
+    " to your trip");
+  setTripButtonState(btn, isInActiveTrip(country.cca3));
+
+  btn.addEventListener("click", function (event) {
+    event.stopPropagation();
+    toggleTripStop(country);
+  });
+
+  return btn;
+}
+
+/**
+ * Bring every trip button, and the planner if open, up to date
+ */
+function refreshTripControls() {
+  const trip = getActiveTrip(getItineraryData());
+  const codes = trip ? trip.stops.map(function (stop) {
+    return stop.cca3;
+  }) : [];
+
+  document.querySelectorAll(".trip-btn").forEach(function (btn) {
+    setTripButtonState(btn, codes.indexOf(btn.dataset.code) !== -1);
+  });
+  renderTripPlanner();
+}
+
+/* ──────────────────────────────────────────────
+   DISTANCES & ROUTE LINES
+   ────────────────────────────────────────────── */
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} - Angle in radians
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {Array} from - [lat, lng]
+ * @param {Array} to - [lat, lng]
+ * @returns {number} - Distance in km
+ */
+function getGreatCircleDistance(from, to) {
+  const dLat = toRadians(to[0] - from[0]);
+  const dLng = toRadians(to[1] - from[1]);
+  const a = Math.pow(Math.sin(dLat / 2), 2) +
+    Math.cos(toRadians(from[0])) * Math.cos(toRadians(to[0])) *
+    Math.pow(Math.sin(dLng / 2), 2);
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Points along the great circle between two places, so the
+ * route is drawn as the shortest path rather than a straight
+ * line on the flat map
+ * @param {Array} from - [lat, lng]
+ * @param {Array} to - [lat, lng]
+ * @returns {Array} - [lat, lng] points, from first to last
+ */
+function getGreatCirclePath(from, to) {
+  const lat1 = toRadians(from[0]);
+  const lng1 = toRadians(from[1]);
+  const lat2 = toRadians(to[0]);
+  const lng2 = toRadians(to[1]);
+  const angle = getGreatCircleDistance(from, to) / EARTH_RADIUS_KM;
+  const steps = Math.max(1, Math.ceil(angle * EARTH_RADIUS_KM / ROUTE_STEP_KM));
+
+  if (angle === 0) {
+    return [from, to];
+  }
+
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    // Spherical interpolation between the two points
+    const fraction = i / steps;
+    const a = Math.sin((1 - fraction) * angle) / Math.sin(angle);
+    const b = Math.sin(fraction * angle) / Math.sin(angle);
+    const x = a * Math.cos(lat1) * Math.cos(lng1) + b * Math.cos(lat2) * Math.cos(lng2);
+    const y = a * Math.cos(lat1) * Math.sin(lng1) + b * Math.cos(lat2) * Math.sin(lng2);
+    const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+
+    points.push([
+      Math.atan2(z, Math.sqrt(x * x + y * y)) * 180 / Math.PI,
+      Math.atan2(y, x) * 180 / Math.PI
+    ]);
+  }
+  return points;
+}
+
+/**
+ * Shift each longitude by whole turns so it's within 180° of
+ * the one before, so lines across the Pacific don't wrap the
+ * long way round the map
+ * @param {Array} points - [lat, lng] points (changed in place)
+ * @param {number} startLng - Longitude to continue from
+ * @returns {Array} - The same points
+ */
+function unwrapLongitudes(points, startLng) {
+  let previous = startLng;
+  points.forEach(function (point) {
+    while (point[1] - previous > 180) {
+      point[1] -= 360;
+    }
+    while (point[1] - previous < -180) {
+      point[1] += 360;
+    }
+    previous = point[1];
+  });
+  return points;
+}
+
+/**
+ * Format a distance for display
+ * @param {number} km - Distance in km
+ * @returns {string} - e.g. "9,870 km"
+ */
+function formatDistance(km) {
+  return Math.round(km).toLocaleString() + " km";
+}
+
+/* ──────────────────────────────────────────────
+   PLANNER (itinerary.html)
+   ────────────────────────────────────────────── */
+
+/** Leaflet map instance for itinerary.html */
+let tripMap = null;
+
+/** Layer holding the route line and stop markers */
+let tripRouteLayer = null;
+
+/** Index of the stop being dragged, or -1 */
+let draggedStopIndex = -1;
+
+/**
+ * Announce a change to screen reader users
+ * @param {string} message - What happened
+ */
+function announceTripChange(message) {
+  const live = document.getElementById("trip-live");
+  if (live) {
+    live.textContent = message;
+  }
+}
+
+/**
+ * Change the active trip and save
+ * @param {function} change - Called with (trip, data) to make the change
+ */
+function updateActiveTrip(change) {
+  const data = getItineraryData();
+  const trip = getActiveTrip(data);
+  if (!trip) {
+    return;
+  }
+  change(trip, data);
+  saveItineraryData(data);
+}
+
+/**
+ * Move a stop to a new position in the active trip
+ * @param {number} from - Current index
+ * @param {number} to - New index
+ */
+function moveTripStop(from, to) {
+  updateActiveTrip(function (trip) {
+    if (to < 0 || to >= trip.stops.length || from === to) {
+      return;
+    }
+    const stop = trip.stops.splice(from, 1)[0];
+    trip.stops.splice(to, 0, stop);
+    announceTripChange(stop.name + " moved to stop " + (to + 1) + " of " + trip.stops.length + ".");
+  });
+}
+
+/**
+ * Focus a control in the stops list, falling back to its
+ * stop's handle if the control is missing or disabled
+ * @param {HTMLElement} list - The stops list
+ * @param {string} key - data-focus value, e.g. "up-2"
+ */
+function focusStopControl(list, key) {
+  let control = list.querySelector('[data-focus="' + key + '"]');
+  if (!control || control.disabled) {
+    control = list.querySelector('[data-focus="handle-' + key.split("-")[1] + '"]');
+  }
+  if (control) {
+    control.focus();
+  }
+}
+
+/**
+ * Fill the trip chooser and name field
+ * @param {object} data - All trips
+ * @param {object} trip - The active trip, or null
+ */
+function renderTripChooser(data, trip) {
+  const select = document.getElementById("trip-select");
+  const nameInput = document.getElementById("trip-name");
+  const startInput = document.getElementById("trip-start");
+  const deleteBtn = document.getElementById("trip-delete-btn");
+
+  select.innerHTML = "";
+  data.trips.forEach(function (item) {
+    const option = document.createElement("option");
+    option.value = item.id;
+    option.textContent = item.name + " (" + item.stops.length + " stop" +
+      (item.stops.length === 1 ? "" : "s") + ")";
+    option.selected = trip && item.id === trip.id;
+    select.appendChild(option);
+  });
+  select.disabled = data.trips.length === 0;
+
+  // Don't overwrite the name while it's being typed
+  if (document.activeElement !== nameInput) {
+    nameInput.value = trip ? trip.name : "";
+  }
+  nameInput.disabled = !trip;
+  startInput.value = trip && trip.startDate ? trip.startDate : "";
+  startInput.disabled = !trip;
+  deleteBtn.disabled = !trip;
+}
+
+/**
+ * Fill the "Add a favourite" list with favourites not yet on the trip
+ * @param {object} trip - The active trip, or null
+ */
+function renderFavouriteChooser(trip) {
+  const select = document.getElementById("trip-add-favourite");
+  const favs = typeof getFavourites === "function" ? getFavourites() : [];
+  const onTrip = trip ? trip.stops.map(function (stop) {
+    return stop.cca3;
+  }) : [];
+
+  const available = favs.filter(function (fav) {
+    return fav.cca3 && fav.latlng && onTrip.indexOf(fav.cca3) === -1;
+  });
+
+  let html = '<option value="">' +
+    (available.length > 0 ? "Choose a favourite…" : "No favourites to add") + "</option>";
+  available.forEach(function (fav) {
+    html += '<option value="' + fav.cca3 + '">' + fav.name.common + "</option>";
+  });
+  select.innerHTML = html;
+  select.disabled = available.length === 0;
+}
+
+/**
+ * Format a stop's dates for display
+ * @param {object} dates - { arrive, depart } from getTripStopDates
+ * @returns {string} - e.g. "12 Mar – 15 Mar 2027"
+ */
+function formatStopDates(dates) {
+  const options = { day: "numeric", month: "short", timeZone: "UTC" };
+  const arrive = dates.arrive.toLocaleDateString(undefined, options);
+  const depart = dates.depart.toLocaleDateString(undefined,
+    { day: "numeric", month: "short", year: "numeric", timeZone: "UTC" });
+
+  if (dates.arrive.getTime() === dates.depart.getTime()) {
+    return "Day visit, " + depart;
+  }
+  return arrive + " – " + depart;
+}
+
+/**
+ * Build the list item for one stop
+ * @param {object} stop - The stop
+ * @param {number} index - Its position
+ * @param {number} count - Number of stops
+ * @param {object} next - The following stop, or undefined
+ * @param {object} dates - { arrive, depart }, or null if the trip has no start date
+ * @returns {HTMLElement} - The list item
+ */
+function createTripStopItem(stop, index, count, next, dates) {
+  const item = document.createElement("li");
+  item.className = "trip-stop";
+  item.draggable = true;
+  item.dataset.index = index;
+
+  let html = '<div class="trip-stop-main">' +
+    '<button type="button" class="trip-handle" data-index="' + index + '" data-focus="handle-' + index +
+    '" aria-label="Reorder ' + stop.name + ", stop " + (index + 1) + " of " + count +
+    '. Use the up and down arrow keys to move it.">&#10303;</button>' +
+    '<span class="trip-stop-number" aria-hidden="true">' + (index + 1) + "</span>";
+  if (stop.flag) {
+    html += '<img class="trip-stop-flag" src="' + stop.flag + '" alt="" onerror="this.style.display=\'none\'">';
+  }
+  html += '<span class="trip-stop-name">' + stop.name + "</span>" +
+    '<label class="trip-nights">Nights <input type="number" min="0" max="' + MAX_NIGHTS +
+    '" value="' + stop.nights + '" data-nights="' + index + '" data-focus="nights-' + index +
+    '" aria-label="Nights in ' + stop.name + '"></label>' +
+    '<button type="button" class="trip-icon-btn" data-move="' + (index - 1) + '" data-from="' + index +
+    '" data-focus="up-' + index + '" aria-label="Move ' + stop.name + ' up"' +
+    (index === 0 ? " disabled" : "") + ">&#x2191;</button>" +
+    '<button type="button" class="trip-icon-btn" data-move="' + (index + 1) + '" data-from="' + index +
+    '" data-focus="down-' + index + '" aria-label="Move ' + stop.name + ' down"' +
+    (index === count - 1 ? " disabled" : "") + ">&#x2193;</button>" +
+    '<button type="button" class="trip-icon-btn trip-remove" data-remove="' + index +
+    '" data-focus="remove-' + index + '" aria-label="Remove ' + stop.name + ' from the trip">&times;</button>' +
+    "</div>";
+
+  if (dates) {
+    html += '<p class="trip-dates">' + formatStopDates(dates) + "</p>";
+  }
+  if (next) {
+    html += '<p class="trip-leg">&#x2193; ' +
+      formatDistance(getGreatCircleDistance(stop.latlng, next.latlng)) + " to " + next.name + "</p>";
+  }
+
+  item.innerHTML = html;
+  return item;
+}
+
+/**
+ * Draw the route on the planner map: numbered markers and
+ * great-circle lines between them
+ * @param {Array} stops - The trip's stops
+ */
+function renderTripMap(stops) {
+  if (!tripMap) {
+    return;
+  }
+  if (!tripRouteLayer) {
+    tripRouteLayer = L.featureGroup().addTo(tripMap);
+  }
+  tripRouteLayer.clearLayers();
+
+  const mapped = stops.filter(function (stop) {
+    return stop.latlng && stop.latlng.length === 2;
+  });
+  if (mapped.length === 0) {
+    return;
+  }
+
+  // Work along the route, keeping each point within 180° of the last
+  let previousLng = mapped[0].latlng[1];
+  let route = [];
+
+  mapped.forEach(function (stop, i) {
+    const point = unwrapLongitudes([[stop.latlng[0], stop.latlng[1]]], previousLng)[0];
+
+    if (i > 0) {
+      const leg = getGreatCirclePath(mapped[i - 1].latlng, stop.latlng);
+      route = route.concat(unwrapLongitudes(leg, previousLng).slice(1));
+      point[1] = route[route.length - 1][1];
+    } else {
+      route.push(point);
+    }
+    previousLng = point[1];
+
+    L.marker(point, {
+      icon: L.divIcon({
+        className: "trip-marker",
+        html: "<span>" + (stops.indexOf(stop) + 1) + "</span>",
+        iconSize: [28, 28]
+      }),
+      title: stop.name
+    }).bindPopup("<strong>" + stop.name + "</strong><br>" +
+      stop.nights + " night" + (stop.nights === 1 ? "" : "s"))
+      .addTo(tripRouteLayer);
+  });
+
+  if (route.length > 1) {
+    L.polyline(route, {
+      color: "#E8913A",
+      weight: 3,
+      opacity: 0.9,
+      dashArray: "8 6"
+    }).addTo(tripRouteLayer);
+  }
+
+  tripMap.fitBounds(tripRouteLayer.getBounds().pad(0.2), { maxZoom: 6 });
+}
+
+/**
+ * Redraw the planner from the saved trips
+ */
+function renderTripPlanner() {
+  const list = document.getElementById("trip-stops");
+  if (!list) {
+    return;
+  }
+
+  const data = getItineraryData();
+  const trip = getActiveTrip(data);
+  const stops = trip ? trip.stops : [];
+
+  renderTripChooser(data, trip);
+  renderFavouriteChooser(trip);
+
+  // Keep focus on the same control when the list is redrawn
+  const focused = document.activeElement;
+  const focusKey = focused && list.contains(focused) ? focused.dataset.focus : "";
+
+  list.innerHTML = "";
+  const dates = trip ? getTripStopDates(trip) : null;
+  stops.forEach(function (stop, i) {
+    list.appendChild(createTripStopItem(stop, i, stops.length, stops[i + 1], dates && dates[i]));
+  });
+
+  if (focusKey) {
+    focusStopControl(list, focusKey);
+  }
+
+  document.getElementById("trip-empty").hidden = stops.length > 0;
+
+  // Totals
+  let distance = 0;
+  let nights = 0;
+  stops.forEach(function (stop, i) {
+    nights += stop.nights;
+    if (i > 0) {
+      distance += getGreatCircleDistance(stops[i - 1].latlng, stop.latlng);
+    }
+  });
+  let summary = "";
+  if (stops.length > 0) {
+    summary = stops.length + " stop" + (stops.length === 1 ? "" : "s") + " · " +
+      nights + " night" + (nights === 1 ? "" : "s") + " · " +
+      formatDistance(distance) + " in total";
+  }
+  document.getElementById("trip-summary").textContent = summary;
+
+  renderTripMap(stops);
+}
+
+/**
+ * Set up drag and drop reordering on the stops list
+ * @param {HTMLElement} list - The stops list
+ */
+function initStopDragging(list) {
+  list.addEventListener("dragstart", function (event) {
+    const item = event.target.closest(".trip-stop");
+    if (!item) {
+      return;
+    }
+    draggedStopIndex = parseInt(item.dataset.index, 10);
+    item.classList.add("dragging");
+    event.dataTransfer.effectAllowed = "move";
+    // Firefox won't start a drag without some data
+    event.dataTransfer.setData("text/plain", item.dataset.index);
+  });
+
+  list.addEventListener("dragover", function (event) {
+    const item = event.target.closest(".trip-stop");
+    if (draggedStopIndex === -1 || !item) {
+      return;
+    }
+    event.preventDefault();
+    list.querySelectorAll(".drop-target").forEach(function (other) {
+      other.classList.remove("drop-target");
+    });
+    item.classList.add("drop-target");
+  });
+
+  list.addEventListener("drop", function (event) {
+    const item = event.target.closest(".trip-stop");
+    if (draggedStopIndex === -1 || !item) {
+      return;
+    }
+    event.preventDefault();
+    const from = draggedStopIndex;
+    draggedStopIndex = -1;
+    moveTripStop(from, parseInt(item.dataset.index, 10));
+  });
+
+  list.addEventListener("dragend", function () {
+    draggedStopIndex = -1;
+    list.querySelectorAll(".dragging, .drop-target").forEach(function (item) {
+      item.classList.remove("dragging", "drop-target");
+    });
+  });
+}
+
+/**
+ * Set up the planner controls on itinerary.html
+ */
+function initTripPlanner() {
+  const list = document.getElementById("trip-stops");
+
+  tripMap = initMap("trip-map");
+
+  document.getElementById("trip-select").addEventListener("change", function () {
+    const data = getItineraryData();
+    data.activeId = this.value;
+    saveItineraryData(data);
+  });
+
+  document.getElementById("trip-new-btn").addEventListener("click", function () {
+    const data = getItineraryData();
+    createTrip(data, "Trip " + (data.trips.length + 1));
+    saveItineraryData(data);
+    document.getElementById("trip-name").focus();
+    document.getElementById("trip-name").select();
+  });
+
+  document.getElementById("trip-name").addEventListener("change", function () {
+    const name = this.value.trim() || DEFAULT_TRIP_NAME;
+    updateActiveTrip(function (trip) {
+      trip.name = name;
+    });
+    this.value = name;
+  });
+
+  document.getElementById("trip-start").addEventListener("change", function () {
+    const startDate = /^\d{4}-\d{2}-\d{2}$/.test(this.value) ? this.value : "";
+    updateActiveTrip(function (trip) {
+      trip.startDate = startDate;
+    });
+  });
+
+  document.getElementById("trip-delete-btn").addEventListener("click", function () {
+    const data = getItineraryData();
+    const trip = getActiveTrip(data);
+    if (!trip || !window.confirm('Delete the trip "' + trip.name + '"?')) {
+      return;
+    }
+    data.trips.splice(data.trips.indexOf(trip), 1);
+    data.activeId = data.trips.length > 0 ? data.trips[0].id : "";
+    saveItineraryData(data);
+    announceTripChange('Trip "' + trip.name + '" deleted.');
+  });
+
+  document.getElementById("trip-add-favourite").addEventListener("change", function () {
+    const code = this.value;
+    const fav = getFavourites().find(function (item) {
+      return item.cca3 === code;
+    });
+    if (fav) {
+      toggleTripStop(fav);
+      announceTripChange(fav.name.common + " added to the trip.");
+    }
+  });
+
+  list.addEventListener("click", function (event) {
+    const moveBtn = event.target.closest("[data-move]");
+    const removeBtn = event.target.closest("[data-remove]");
+
+    if (moveBtn) {
+      // Keep focus on the same button as it moves with its stop
+      const to = parseInt(moveBtn.dataset.move, 10);
+      moveTripStop(parseInt(moveBtn.dataset.from, 10), to);
+      focusStopControl(list, moveBtn.dataset.focus.split("-")[0] + "-" + to);
+    } else if (removeBtn) {
+      updateActiveTrip(function (trip) {
+        const stop = trip.stops.splice(parseInt(removeBtn.dataset.remove, 10), 1)[0];
+        announceTripChange(stop.name + " removed from the trip.");
+      });
+    }
+  });
+
+  list.addEventListener("change", function (event) {
+    const input = event.target.closest("[data-nights]");
+    if (!input) {
+      return;
+    }
+    const nights = Math.min(MAX_NIGHTS, Math.max(0, parseInt(input.value, 10) || 0));
+    updateActiveTrip(function (trip) {
+      trip.stops[parseInt(input.dataset.nights, 10)].nights = nights;
+    });
+  });
+
+  // Arrow keys on a stop's handle move the stop
+  list.addEventListener("keydown", function (event) {
+    const handle = event.target.closest(".trip-handle");
+    if (!handle || (event.key !== "ArrowUp" && event.key !== "ArrowDown")) {
+      return;
+    }
+    event.preventDefault();
+
+    const from = parseInt(handle.dataset.index, 10);
+    const to = event.key === "ArrowUp" ? from - 1 : from + 1;
+    moveTripStop(from, to);
+
+    focusStopControl(list, "handle-" + to);
+  });
+
+  initStopDragging(list);
+  renderTripPlanner();
+
+  setTimeout(function () {
+    if (tripMap) {
+      tripMap.invalidateSize();
+    }
+  }, 200);
+}
+
+/* ──────────────────────────────────────────────
+   INITIALISATION
+   ────────────────────────────────────────────── */
+
+document.addEventListener("DOMContentLoaded", function () {
+  if (document.getElementById("trip-stops")) {
+    initTripPlanner();
+  }
+});
+
+// Keep buttons and the planner in step with changes made in other tabs
+window.addEventListener("storage", function (event) {
+  if (event.key === ITINERARY_KEY || event.key === null) {
+    refreshTripControls();
+  }
+});
@@ -0,0 +1,468 @@
+/* jshint esversion: 8, browser: true */
+/* global getFavourites, saveFavourites, findFavouriteIndex, normaliseJournal, parseJournalTags,
+   getCountryKey, renderFavourites, setVisited, JOURNAL_STATUSES, JOURNAL_NOTES_LIMIT */
+/* ══════════════════════════════════════════════
+   journal.js - Travel Journal
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - A journal on every saved country: a status
+     (wishlist, planned or visited), free-form tags,
+     notes and optional visit dates (the data itself
+     is kept with the favourites, see features.js)
+   - The journal button, summary and editor on
+     country cards (see createCountryCard in
+     script.js), shown once a country is saved
+   - Filtering favourites.html by status and tag
+
+   Demonstrates: forms and validation, keyboard
+   events, focus management, DOM manipulation
+   with textContent for user-written text
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   SETTINGS
+   ────────────────────────────────────────────── */
+
+/** Characters of a note shown on a card before it is cut short */
+const NOTES_PREVIEW_LENGTH = 140;
+
+/** Counter giving each editor's fields their own ids */
+let journalEditorCount = 0;
+
+/* ──────────────────────────────────────────────
+   SAVING
+   ────────────────────────────────────────────── */
+
+/**
+ * Find the saved favourite for a country
+ * @param {Array} favs - Favourites from getFavourites
+ * @param {object} country - The country (or a { cca3, name } lookup)
+ * @returns {object} - The favourite, or null if it isn't saved
+ */
+function findJournalFavourite(favs, country) {
+  const index = findFavouriteIndex(favs, country);
+  return index === -1 ? null : favs[index];
+}
+
+/**
+ * Save a country's journal
+ * @param {object} country - The country
+ * @param {object} journal - The new journal fields
+ * @returns {boolean} - True if it was saved
+ */
+function saveFavouriteJournal(country, journal) {
+  const favs = getFavourites();
+  const fav = findJournalFavourite(favs, country);
+  if (!fav) {
+    return false;
+  }
+
+  fav.journal = normaliseJournal(journal);
+  if (!saveFavourites(favs)) {
+    return false;
+  }
+
+  // The "Visited" status and the visited tracker (visited.js) agree
+  if (fav.cca3 && typeof setVisited === "function") {
+    setVisited(fav.cca3, fav.journal.status === "visited");
+  }
+  return true;
+}
+
+/**
+ * Format a journal's visit dates for display
+ * @param {object} journal - The journal
+ * @returns {string} - e.g. "12 Mar 2026 – 20 Mar 2026", or ""
+ */
+function formatJournalDates(journal) {
+  const options = { day: "numeric", month: "short", year: "numeric", timeZone: "UTC" };
+  const format = function (value) {
+    return new Date(value + "T00:00:00Z").toLocaleDateString(undefined, options);
+  };
+
+  if (journal.visitedFrom && journal.visitedTo) {
+    if (journal.visitedFrom === journal.visitedTo) {
+      return format(journal.visitedFrom);
+    }
+    return format(journal.visitedFrom) + " – " + format(journal.visitedTo);
+  }
+  if (journal.visitedFrom) {
+    return "From " + format(journal.visitedFrom);
+  }
+  if (journal.visitedTo) {
+    return "Until " + format(journal.visitedTo);
+  }
+  return "";
+}
+
+/* ──────────────────────────────────────────────
+   CARD CONTROLS
+   A "✎ Status" button, a summary of the tags,
+   dates and notes, and an editor opened from
+   the button
+   ────────────────────────────────────────────── */
+
+/**
+ * Fill in a card's journal button and summary
+ * @param {HTMLElement} wrapper - The card's .card-journal element
+ * @param {object} fav - The saved favourite, or null if not saved
+ */
+function renderJournalControls(wrapper, fav) {
+  wrapper.hidden = !fav;
+  if (!fav) {
+    closeJournalEditor(wrapper, false);
+    return;
+  }
+
+  const journal = normaliseJournal(fav.journal);
+  const btn = wrapper.querySelector(".journal-btn");
+  btn.className = "journal-btn status-" + journal.status;
+  btn.innerHTML = "&#9998; " + JOURNAL_STATUSES[journal.status];
+  btn.setAttribute("aria-label", "Journal for " + fav.name.common + ": " +
+    JOURNAL_STATUSES[journal.status] + ". Edit status, tags, notes and dates");
+
+  const summary = wrapper.querySelector(".journal-summary");
+  summary.innerHTML = "";
+
+  if (journal.tags.length > 0) {
+    const tags = document.createElement("ul");
+    tags.className = "journal-tags";
+    tags.setAttribute("aria-label", "Tags");
+    journal.tags.forEach(function (tag) {
+      const item = document.createElement("li");
+      item.textContent = tag;
+      tags.appendChild(item);
+    });
+    summary.appendChild(tags);
+  }
+
+  const dates = formatJournalDates(journal);
+  if (dates) {
+    const datesEl = document.createElement("p");
+    datesEl.className = "journal-dates-text";
+    datesEl.innerHTML = "&#128197; ";
+    datesEl.appendChild(document.createTextNode(dates));
+    summary.appendChild(datesEl);
+  }
+
+  if (journal.notes) {
+    const notes = document.createElement("p");
+    notes.className = "journal-notes";
+    notes.textContent = journal.notes;
+    if (journal.notes.length > NOTES_PREVIEW_LENGTH) {
+      notes.textContent = journal.notes.slice(0, NOTES_PREVIEW_LENGTH).trim() + "…";
+      notes.title = journal.notes;
+    }
+    summary.appendChild(notes);
+  }
+
+  summary.hidden = summary.children.length === 0;
+}
+
+/**
+ * Create the journal controls for a country card. They stay
+ * hidden until the country is saved as a favourite.
+ * @param {object} country - The country the card shows
+ * @returns {HTMLElement} - The .card-journal element
+ */
+function createJournalControls(country) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "card-journal";
+  wrapper.dataset.country = getCountryKey(country);
+  wrapper.dataset.code = country.cca3 || "";
+  wrapper.dataset.name = country.name && country.name.common ? country.name.common : "";
+  wrapper.innerHTML = '<button type="button" class="journal-btn" aria-expanded="false"></button>' +
+    '<div class="journal-summary"></div>';
+
+  wrapper.querySelector(".journal-btn").addEventListener("click", function (event) {
+    event.stopPropagation();
+    if (wrapper.querySelector(".journal-editor")) {
+      closeJournalEditor(wrapper, true);
+    } else {
+      openJournalEditor(wrapper, country);
+    }
+  });
+
+  renderJournalControls(wrapper, findJournalFavourite(getFavourites(), country));
+  return wrapper;
+}
+
+/**
+ * Bring every card's journal controls in line with the
+ * saved favourites (called when the favourites change)
+ */
+function refreshJournalControls() {
+  const favs = getFavourites();
+
+  document.querySelectorAll(".card-journal").forEach(function (wrapper) {
+    const lookup = { cca3: wrapper.dataset.code, name: { common: wrapper.dataset.name } };
+    renderJournalControls(wrapper, findJournalFavourite(favs, lookup));
+  });
+}
+
+/* ──────────────────────────────────────────────
+   EDITOR
+   ────────────────────────────────────────────── */
+
+/**
+ * Open the journal editor under a card's journal button
+ * @param {HTMLElement} wrapper - The card's .card-journal element
+ * @param {object} country - The country the card shows
+ */
+function openJournalEditor(wrapper, country) {
+  const fav = findJournalFavourite(getFavourites(), country);
+  if (!fav) {
+    return;
+  }
+
+  const journal = normaliseJournal(fav.journal);
+  const id = "journal-" + (++journalEditorCount);
+  const btn = wrapper.querySelector(".journal-btn");
+
+  let statusOptions = "";
+  Object.keys(JOURNAL_STATUSES).forEach(function (status) {
+    statusOptions += '<option value="' + status + '">' + JOURNAL_STATUSES[status] + "</option>";
+  });
+
+  const form = document.createElement("form");
+  form.className = "journal-editor";
+  form.id = id;
+  form.noValidate = true;
+  form.setAttribute("aria-label", "Journal for " + fav.name.common);
+  form.innerHTML =
+    '<div class="journal-field">' +
+      '<label for="' + id + '-status">Status</label>' +
+      '<select id="' + id + '-status" name="status">' + statusOptions + "</select>" +
+    "</div>" +
+    '<div class="journal-field">' +
+      '<label for="' + id + '-tags">Tags</label>' +
+      '<input type="text" id="' + id + '-tags" name="tags" autocomplete="off" ' +
+        'placeholder="e.g. beaches, food" aria-describedby="' + id + '-tags-hint">' +
+      '<small id="' + id + '-tags-hint" class="journal-hint">Separate tags with commas</small>' +
+    "</div>" +
+    '<fieldset class="journal-field journal-visit">' +
+      "<legend>Visit dates (optional)</legend>" +
+      '<label for="' + id + '-from">From</label>' +
+      '<input type="date" id="' + id + '-from" name="visitedFrom">' +
+      '<label for="' + id + '-to">To</label>' +
+      '<input type="date" id="' + id + '-to" name="visitedTo">' +
+    "</fieldset>" +
+    '<div class="journal-field">' +
+      '<label for="' + id + '-notes">Notes</label>' +
+      '<textarea id="' + id + '-notes" name="notes" rows="4" maxlength="' +
+        JOURNAL_NOTES_LIMIT + '"></textarea>' +
+    "</div>" +
+    '<p class="journal-error" role="alert"></p>' +
+    '<div class="journal-buttons">' +
+      '<button type="submit" class="journal-save">Save</button>' +
+      '<button type="button" class="journal-cancel">Cancel</button>' +
+    "</div>";
+
+  // Fill the fields through .value so notes are never read as HTML
+  form.elements.status.value = journal.status;
+  form.elements.tags.value = journal.tags.join(", ");
+  form.elements.visitedFrom.value = journal.visitedFrom;
+  form.elements.visitedTo.value = journal.visitedTo;
+  form.elements.notes.value = journal.notes;
+
+  // Typing in the editor shouldn't open the country's detail page
+  form.addEventListener("click", function (event) {
+    event.stopPropagation();
+  });
+
+  form.addEventListener("keydown", function (event) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      closeJournalEditor(wrapper, true);
+    }
+  });
+
+  form.querySelector(".journal-cancel").addEventListener("click", function () {
+    closeJournalEditor(wrapper, true);
+  });
+
+  form.addEventListener("submit", function (event) {
+    event.preventDefault();
+    submitJournalEditor(form, wrapper, country);
+  });
+
+  wrapper.insertBefore(form, wrapper.querySelector(".journal-summary"));
+  btn.setAttribute("aria-expanded", "true");
+  btn.setAttribute("aria-controls", id);
+  form.elements.status.focus();
+}
+
+/**
+ * Close a card's journal editor without saving
+ * @param {HTMLElement} wrapper - The card's .card-journal element
+ * @param {boolean} restoreFocus - True to move focus back to the button
+ */
+function closeJournalEditor(wrapper, restoreFocus) {
+  const form = wrapper.querySelector(".journal-editor");
+  const btn = wrapper.querySelector(".journal-btn");
+  if (!form) {
+    return;
+  }
+
+  form.remove();
+  btn.setAttribute("aria-expanded", "false");
+  btn.removeAttribute("aria-controls");
+  if (restoreFocus) {
+    btn.focus();
+  }
+}
+
+/**
+ * Check and save the journal editor's fields
+ * @param {HTMLFormElement} form - The editor
+ * @param {HTMLElement} wrapper - The card's .card-journal element
+ * @param {object} country - The country the card shows
+ */
+function submitJournalEditor(form, wrapper, country) {
+  const error = form.querySelector(".journal-error");
+  const from = form.elements.visitedFrom.value;
+  const to = form.elements.visitedTo.value;
+
+  if (from && to && to < from) {
+    error.textContent = "The visit can't end before it starts.";
+    form.elements.visitedTo.focus();
+    return;
+  }
+
+  const saved = saveFavouriteJournal(country, {
+    status: form.elements.status.value,
+    tags: parseJournalTags(form.elements.tags.value),
+    notes: form.elements.notes.value,
+    visitedFrom: from,
+    visitedTo: to
+  });
+
+  if (!saved) {
+    error.textContent = "Your journal couldn't be saved. Please try again.";
+    return;
+  }
+
+  // Saving can redraw the card (on favourites.html), so find the
+  // button again before handing focus back to it
+  let target = wrapper;
+  if (!wrapper.isConnected) {
+    target = Array.from(document.querySelectorAll(".card-journal")).find(function (item) {
+      return item.dataset.country === wrapper.dataset.country;
+    });
+  }
+
+  closeJournalEditor(wrapper, false);
+  if (target) {
+    target.querySelector(".journal-btn").focus();
+  }
+}
+
+/* ──────────────────────────────────────────────
+   FILTERS (favourites.html)
+   ────────────────────────────────────────────── */
+
+/**
+ * Refill the status and tag filters with what's saved,
+ * keeping the current choice when it still exists
+ * @param {Array} favs - Every saved favourite
+ * @param {HTMLSelectElement} statusSelect - The status filter
+ * @param {HTMLSelectElement} tagSelect - The tag filter
+ */
+function renderJournalFilterOptions(favs, statusSelect, tagSelect) {
+  const statusCounts = {};
+  const tagCounts = {};
+  const tagLabels = {};
+
+  favs.forEach(function (fav) {
+    const journal = normaliseJournal(fav.journal);
+    statusCounts[journal.status] = (statusCounts[journal.status] || 0) + 1;
+    journal.tags.forEach(function (tag) {
+      const key = tag.toLowerCase();
+      tagCounts[key] = (tagCounts[key] || 0) + 1;
+      tagLabels[key] = tagLabels[key] || tag;
+    });
+  });
+
+  const status = statusSelect.value;
+  statusSelect.innerHTML = '<option value="">All (' + favs.length + ")</option>";
+  Object.keys(JOURNAL_STATUSES).forEach(function (key) {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = JOURNAL_STATUSES[key] + " (" + (statusCounts[key] || 0) + ")";
+    statusSelect.appendChild(option);
+  });
+  statusSelect.value = status;
+
+  const tag = tagSelect.value;
+  const tagKeys = Object.keys(tagCounts).sort(function (a, b) {
+    return tagLabels[a].localeCompare(tagLabels[b]);
+  });
+  tagSelect.innerHTML = '<option value="">All tags</option>';
+  tagKeys.forEach(function (key) {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = tagLabels[key] + " (" + tagCounts[key] + ")";
+    tagSelect.appendChild(option);
+  });
+  tagSelect.value = tagKeys.indexOf(tag) !== -1 ? tag : "";
+  tagSelect.disabled = tagKeys.length === 0;
+}
+
+/**
+ * Refresh the filters and return the favourites that pass them
+ * (used by renderFavourites in features.js)
+ * @param {Array} favs - Every saved favourite
+ * @returns {Array} - The favourites to show
+ */
+function applyJournalFilters(favs) {
+  const statusSelect = document.getElementById("fav-status-filter");
+  const tagSelect = document.getElementById("fav-tag-filter");
+  if (!statusSelect || !tagSelect) {
+    return favs;
+  }
+
+  renderJournalFilterOptions(favs, statusSelect, tagSelect);
+  const status = statusSelect.value;
+  const tag = tagSelect.value;
+
+  return favs.filter(function (fav) {
+    const journal = normaliseJournal(fav.journal);
+    if (status && journal.status !== status) {
+      return false;
+    }
+    return !tag || journal.tags.some(function (item) {
+      return item.toLowerCase() === tag;
+    });
+  });
+}
+
+/**
+ * Hook up the status and tag filters on favourites.html
+ */
+function initJournalFilters() {
+  const statusSelect = document.getElementById("fav-status-filter");
+  const tagSelect = document.getElementById("fav-tag-filter");
+  if (!statusSelect || !tagSelect) {
+    return;
+  }
+
+  statusSelect.addEventListener("change", renderFavourites);
+  tagSelect.addEventListener("change", renderFavourites);
+
+  const clearBtn = document.getElementById("fav-filter-clear");
+  if (clearBtn) {
+    clearBtn.addEventListener("click", function () {
+      statusSelect.value = "";
+      tagSelect.value = "";
+      renderFavourites();
+      statusSelect.focus();
+    });
+  }
+}
+
+/* ──────────────────────────────────────────────
+   INITIALISATION
+   ────────────────────────────────────────────── */
+
+document.addEventListener("DOMContentLoaded", initJournalFilters);
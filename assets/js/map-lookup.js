@@ -0,0 +1,122 @@
+/* jshint esversion: 8, browser: true */
+/* global destMap, findCountryAt, searchDestinations, setActiveRegionButton, updateDestinationsState, getCountryKey, showCardForMarker, openMarkerPopup, showFeedback */
+/* ══════════════════════════════════════════════
+   map-lookup.js - Map Click Lookup
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - Finding the country under a click anywhere
+     on the destinations map (findCountryAt in
+     borders.js - no geocoding service needed)
+   - Showing it as a "code:" search, the same way a
+     typed search is shown, so it gets a card, a
+     marker and a shareable URL, then opening its
+     popup
+   - A friendly message for clicks on open water
+   - In the detail view, opening the clicked
+     country's detail instead
+
+   Demonstrates: Leaflet map events, setTimeout /
+   clearTimeout, async/await, request tokens for
+   race conditions
+   ══════════════════════════════════════════════ */
+
+/** Wait after a click before looking it up, so a double-click zoom isn't treated as two lookups (ms) */
+const MAP_CLICK_DELAY = 300;
+
+/** Pending click lookup timer */
+let mapClickTimer = null;
+
+/** Increases with every lookup, so only the latest click is shown */
+let mapLookupRequest = 0;
+
+/**
+ * Find the country at a clicked point and show it
+ * @param {object} latlng - Leaflet LatLng of the click
+ */
+async function lookupCountryAt(latlng) {
+  mapLookupRequest++;
+  const request = mapLookupRequest;
+  const main = document.getElementById("main-content");
+  const detailOpen = main && main.classList.contains("detail-open");
+
+  let code;
+  try {
+    code = await findCountryAt(latlng);
+  } catch (error) {
+    console.error("Error finding the clicked country:", error);
+    showFeedback("dest-feedback",
+      "Unable to look up countries on the map right now. Please try again.", "error");
+    return;
+  }
+
+  // A later click has replaced this one
+  if (request !== mapLookupRequest) {
+    return;
+  }
+
+  if (!code) {
+    if (!detailOpen) {
+      showFeedback("dest-feedback",
+        "No country here, just open water. Try clicking on land.", "info");
+    }
+    return;
+  }
+
+  // The detail view hides the results, so switch to that country's detail
+  if (detailOpen) {
+    window.location.hash = "#/country/" + code;
+    return;
+  }
+
+  // Show the country exactly as if its code had been searched for
+  const query = "code:" + code;
+  const input = document.getElementById("dest-search-input");
+  if (input) {
+    input.value = query;
+  }
+  setActiveRegionButton("all");
+
+  // Keep the chosen sort order
+  const sortSelect = document.getElementById("sort-select");
+  const countries = await searchDestinations(
+    query, "all", sortSelect ? sortSelect.value : "name-asc"
+  );
+  if (countries.length === 0 || request !== mapLookupRequest) {
+    return;
+  }
+
+  // Record it in the address bar (defined in url-state.js)
+  if (typeof updateDestinationsState === "function") {
+    updateDestinationsState({
+      q: query,
+      region: "all",
+      sort: sortSelect ? sortSelect.value : "name-asc"
+    });
+  }
+
+  const key = getCountryKey(countries[0]);
+  showCardForMarker("dest-grid", key);
+  openMarkerPopup("dest-grid", key);
+}
+
+/* ──────────────────────────────────────────────
+   INITIALISATION
+   ────────────────────────────────────────────── */
+
+document.addEventListener("DOMContentLoaded", function () {
+  if (!destMap) {
+    return;
+  }
+
+  destMap.on("click", function (event) {
+    clearTimeout(mapClickTimer);
+    mapClickTimer = setTimeout(function () {
+      lookupCountryAt(event.latlng);
+    }, MAP_CLICK_DELAY);
+  });
+
+  destMap.on("dblclick", function () {
+    clearTimeout(mapClickTimer);
+  });
+});
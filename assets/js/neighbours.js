@@ -0,0 +1,380 @@
+/* jshint esversion: 8, browser: true */
+/* global L, countryData, getCountryDetailHref, setResultsHeading, destMap, mainMap, updateDestinationsState, applyDestinationsState, destinationsState, applyHomeState, recordHomeSearch, loadBorders */
+/* ══════════════════════════════════════════════
+   neighbours.js - Neighbouring Countries
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - The "Borders" chips on every country card (see
+     createCountryCard in script.js) and in the
+     detail view (see country-detail.js), each with
+     the neighbour's flag and name
+   - Looking the neighbours up in batches: every
+     code asked for while a page of cards is drawn
+     goes into one countryData.byCodes call (a
+     single /alpha?codes= request), and each code
+     is only ever looked up once
+   - A clear "No land borders" state for island
+     nations and other countries without neighbours
+   - Hopping to a neighbour: its card is loaded in
+     place on index.html and destinations.html (or
+     its detail view, from the detail view), with a
+     dashed line drawn on the map from the country
+     the user came from
+
+   Demonstrates: batching with setTimeout, Promise
+   caching with Map, event delegation, Leaflet
+   polylines, async/await
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   SETTINGS & STATE
+   ────────────────────────────────────────────── */
+
+/** Line drawn from a country to the neighbour the user picked */
+const NEIGHBOUR_HOP_STYLE = {
+  color: "#E8913A",
+  weight: 3,
+  dashArray: "6 8",
+  opacity: 0.9
+};
+
+/** Lookups by cca3 code: a Promise of the neighbour, or null if unknown */
+const neighbourRequests = new Map();
+
+/** Neighbours already loaded, by cca3 code (for drawing hop lines) */
+const neighbourCountries = {};
+
+/** Codes waiting for the next batch: [{ code, resolve, reject }] */
+let neighbourQueue = [];
+
+/** Timer that sends the waiting batch */
+let neighbourTimer = null;
+
+/** The hop in progress: { from: { cca3, name, latlng }, to: cca3 } */
+let pendingHop = null;
+
+/** Hop line currently drawn on each map */
+const hopLines = new Map();
+
+/* ──────────────────────────────────────────────
+   BATCHED LOOKUPS
+   Cards are drawn one after another in the same
+   task, so waiting for a zero-delay timer collects
+   the codes of a whole page of cards
+   ────────────────────────────────────────────── */
+
+/**
+ * Keep just the fields a chip and a hop line need
+ * @param {object} country - Country object from REST Countries API
+ * @returns {object} - { cca3, name, flags, latlng }
+ */
+function trimNeighbour(country) {
+  return {
+    cca3: country.cca3,
+    name: country.name && country.name.common ? country.name.common : country.cca3,
+    flags: country.flags || null,
+    latlng: country.latlng || null
+  };
+}
+
+/**
+ * Look up everything in the queue with one request
+ */
+async function flushNeighbourQueue() {
+  const queue = neighbourQueue;
+  neighbourQueue = [];
+  neighbourTimer = null;
+
+  try {
+    const countries = await countryData.byCodes(queue.map(function (item) {
+      return item.code;
+    }));
+
+    countries.forEach(function (country) {
+      if (country.cca3) {
+        neighbourCountries[country.cca3] = trimNeighbour(country);
+      }
+    });
+    queue.forEach(function (item) {
+      item.resolve(neighbourCountries[item.code] || null);
+    });
+  } catch (error) {
+    queue.forEach(function (item) {
+      // Forget the failed lookup so the next card tries again
+      neighbourRequests.delete(item.code);
+      item.reject(error);
+    });
+  }
+}
+
+/**
+ * Look up one neighbour, joining the next batch unless
+ * it's already loaded or on its way
+ * @param {string} code - cca3 code
+ * @returns {Promise} - Resolves to the neighbour, or null if unknown
+ */
+function requestNeighbour(code) {
+  if (!neighbourRequests.has(code)) {
+    neighbourRequests.set(code, new Promise(function (resolve, reject) {
+      neighbourQueue.push({ code: code, resolve: resolve, reject: reject });
+    }));
+
+    if (!neighbourTimer) {
+      neighbourTimer = setTimeout(flushNeighbourQueue, 0);
+    }
+  }
+  return neighbourRequests.get(code);
+}
+
+/**
+ * Look up a country's neighbours
+ * @param {Array} codes - cca3 codes from country.borders
+ * @returns {Promise} - Resolves to an Array in the same order
+ *   (null for any code that wasn't found)
+ */
+function loadNeighbours(codes) {
+  return Promise.all(codes.map(requestNeighbour));
+}
+
+/* ──────────────────────────────────────────────
+   CHIPS
+   Chips start out showing the code and are
+   filled in with the flag and name once the batch
+   returns (if it fails, the codes stay)
+   ────────────────────────────────────────────── */
+
+/**
+ * Link for a chip: the neighbour's card on destinations.html,
+ * or its detail view when the chip is in a detail view
+ * @param {string} code - cca3 code
+ * @param {boolean} inDetail - True for the detail view
+ * @returns {string} - The chip URL
+ */
+function getNeighbourHref(code, inDetail) {
+  if (inDetail) {
+    return getCountryDetailHref(code);
+  }
+  return "destinations.html?q=" + encodeURIComponent("code:" + code);
+}
+
+/**
+ * Build the neighbour chips for a country
+ * @param {object} country - Country object from REST Countries API
+ * @param {boolean} inDetail - True for the detail view
+ * @returns {string} - HTML for the chips, "" if the borders aren't
+ *   known (e.g. a favourite saved before they were recorded)
+ */
+function buildNeighbourChipsHTML(country, inDetail) {
+  if (!Array.isArray(country.borders)) {
+    return "";
+  }
+  if (country.borders.length === 0) {
+    return '<span class="neighbours-none">&#127965; No land borders</span>';
+  }
+
+  let html = '<ul class="neighbour-list" aria-label="Neighbouring countries">';
+  country.borders.forEach(function (code) {
+    html += '<li><a class="neighbour-chip" href="' + getNeighbourHref(code, inDetail) +
+      '" data-code="' + code + '">' + code + "</a></li>";
+  });
+  html += "</ul>";
+  return html;
+}
+
+/**
+ * Fill a chip in with the neighbour's flag and name, or turn
+ * it into plain text if the code wasn't found
+ * @param {HTMLElement} chip - The .neighbour-chip link
+ * @param {object|null} neighbour - See trimNeighbour
+ */
+function fillNeighbourChip(chip, neighbour) {
+  if (!neighbour) {
+    chip.removeAttribute("href");
+    chip.classList.add("neighbour-unknown");
+    return;
+  }
+
+  chip.textContent = "";
+  const flag = neighbour.flags ? neighbour.flags.png || neighbour.flags.svg : "";
+  if (flag) {
+    const img = document.createElement("img");
+    img.className = "neighbour-flag";
+    img.src = flag;
+    img.alt = "";
+    img.loading = "lazy";
+    chip.appendChild(img);
+  }
+  chip.appendChild(document.createTextNode(neighbour.name));
+}
+
+/**
+ * Load the neighbours behind a set of chips and listen for
+ * the user picking one
+ * @param {HTMLElement} container - Element holding the .neighbour-list
+ * @param {object} country - The country the chips belong to
+ */
+async function initNeighbourChips(container, country) {
+  const list = container.querySelector(".neighbour-list");
+  if (!list) {
+    return;
+  }
+
+  const origin = {
+    cca3: country.cca3,
+    name: country.name && country.name.common ? country.name.common : country.cca3,
+    latlng: country.latlng || null
+  };
+  list.addEventListener("click", function (event) {
+    handleNeighbourClick(event, origin);
+  });
+
+  const chips = list.querySelectorAll(".neighbour-chip");
+  try {
+    const neighbours = await loadNeighbours(country.borders);
+    chips.forEach(function (chip, index) {
+      fillNeighbourChip(chip, neighbours[index]);
+    });
+  } catch (error) {
+    console.warn("Could not load neighbouring countries:", error);
+  }
+}
+
+/**
+ * Create the "Borders" row for a country card
+ * @param {object} country - Country object from REST Countries API
+ * @returns {HTMLElement|null} - The row, or null if the borders aren't known
+ */
+function createNeighbourList(country) {
+  const chips = buildNeighbourChipsHTML(country, false);
+  if (!chips) {
+    return null;
+  }
+
+  const row = document.createElement("div");
+  row.className = "card-neighbours";
+  row.innerHTML = '<span class="neighbours-label">Borders</span>' + chips;
+  initNeighbourChips(row, country);
+  return row;
+}
+
+/* ──────────────────────────────────────────────
+   HOPPING TO A NEIGHBOUR
+   ────────────────────────────────────────────── */
+
+/**
+ * Handle a click on a chip. Detail view chips follow their
+ * #/country/ link; card chips load the neighbour's card in
+ * place where the page has a search, and otherwise go to
+ * destinations.html.
+ * @param {Event} event - Click event from a .neighbour-list
+ * @param {object} origin - { cca3, name, latlng } of the chips' country
+ */
+function handleNeighbourClick(event, origin) {
+  const chip = event.target.closest(".neighbour-chip[href]");
+  if (!chip) {
+    return;
+  }
+
+  pendingHop = { from: origin, to: chip.dataset.code };
+
+  if (chip.closest("#country-detail")) {
+    return;
+  }
+  if (document.getElementById("dest-grid") && typeof applyDestinationsState === "function") {
+    event.preventDefault();
+    loadNeighbourCard(chip.dataset.code, "dest-grid");
+  } else if (document.getElementById("results-grid") && typeof applyHomeState === "function") {
+    event.preventDefault();
+    loadNeighbourCard(chip.dataset.code, "results-grid");
+  }
+}
+
+/**
+ * Show a neighbour's card as a code search, recorded in the
+ * address bar like any other, then draw the hop on the map
+ * @param {string} code - The neighbour's cca3 code
+ * @param {string} gridId - "dest-grid" or "results-grid"
+ */
+async function loadNeighbourCard(code, gridId) {
+  const query = "code:" + code;
+  const fromName = pendingHop ? pendingHop.from.name : "";
+  let mapInstance;
+
+  if (gridId === "dest-grid") {
+    updateDestinationsState({ q: query, region: "all" });
+    await applyDestinationsState(destinationsState);
+    mapInstance = destMap;
+  } else {
+    await applyHomeState({ q: query });
+    recordHomeSearch(query);
+    mapInstance = mainMap;
+  }
+
+  const grid = document.getElementById(gridId);
+  const link = grid ? grid.querySelector('.dest-card[data-country="' + code + '"] .card-link') : null;
+  if (!link) {
+    pendingHop = null;
+    return;
+  }
+
+  if (fromName) {
+    const heading = gridId === "dest-grid" ? "dest-results-title" : "results-title";
+    setResultsHeading(heading, "Neighbour of " + fromName);
+  }
+  link.focus();
+
+  showNeighbourHop(mapInstance, neighbourCountries[code]);
+}
+
+/**
+ * Remove the hop line from a map
+ * @param {object} mapInstance - Leaflet map instance
+ */
+function clearNeighbourHop(mapInstance) {
+  if (hopLines.has(mapInstance)) {
+    hopLines.get(mapInstance).remove();
+    hopLines.delete(mapInstance);
+  }
+}
+
+/**
+ * Draw a dashed line from the previous country to the one just
+ * shown, if it was reached through a chip, and fit both ends in
+ * view. Any earlier line is removed either way.
+ * @param {object} mapInstance - Leaflet map instance
+ * @param {object} country - The country now shown ({ cca3, name, latlng })
+ */
+async function showNeighbourHop(mapInstance, country) {
+  const hop = pendingHop;
+  pendingHop = null;
+
+  if (!mapInstance) {
+    return;
+  }
+  clearNeighbourHop(mapInstance);
+
+  if (!hop || !country || hop.to !== country.cca3 ||
+      !hop.from.latlng || !country.latlng) {
+    return;
+  }
+
+  // borders.js fits the map to the new country's outline once the
+  // borders load - wait for that, then widen the view to the hop
+  if (typeof loadBorders === "function") {
+    try {
+      await loadBorders();
+    } catch (error) {
+      // The line is still drawn, just without the outline
+    }
+  }
+
+  const name = country.name && country.name.common ? country.name.common : country.name;
+  const line = L.polyline([hop.from.latlng, country.latlng], NEIGHBOUR_HOP_STYLE)
+    .bindTooltip(hop.from.name + " &#x2192; " + name)
+    .addTo(mapInstance);
+
+  clearNeighbourHop(mapInstance);
+  hopLines.set(mapInstance, line);
+  mapInstance.fitBounds(line.getBounds().pad(0.5), { maxZoom: 6 });
+}
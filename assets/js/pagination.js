@@ -0,0 +1,244 @@
+/* jshint esversion: 8, browser: true */
+/* global appendCountryCards, getCountryKey, announceResultsCount */
+/* ══════════════════════════════════════════════
+   pagination.js - Result Pages
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - Showing the destinations grid a page of cards
+     at a time, so "All Regions" can list every
+     country without a huge page
+   - Previous / Next and numbered page controls
+   - Announcing the range being shown ("Showing
+     25–48 of 250 countries")
+
+   Sorting and filtering happen on the full set
+   before it is split into pages (see displayResults
+   in script.js), and the map marks every result,
+   not just the current page, so turning a page
+   only redraws the cards.
+
+   Demonstrates: array slicing, Math.ceil,
+   event listeners, aria-current, nav landmark
+   ══════════════════════════════════════════════ */
+
+/** Cards per page (divides evenly into 2, 3 or 4 columns) */
+const RESULTS_PAGE_SIZE = 24;
+
+/** Grid that is split into pages */
+const PAGED_GRID_ID = "dest-grid";
+
+/** Page currently shown (1-based) */
+let resultsPage = 1;
+
+/** Identifies the list being paged, so a new list starts at page 1 */
+let pagedResultsKey = "";
+
+/** Every result being paged, in display order */
+let pagedResults = [];
+
+/* ──────────────────────────────────────────────
+   CHOOSING THE PAGE
+   ────────────────────────────────────────────── */
+
+/**
+ * Cut the results about to be displayed down to the current page
+ * (called by displayResults in script.js). A different list, or the
+ * same list in a different order, goes back to page 1.
+ * @param {Array} countries - Every result, sorted and filtered
+ * @param {string} gridId - ID of the grid they're going into
+ * @returns {Array} - The countries on the current page
+ */
+function getResultsPage(countries, gridId) {
+  if (gridId !== PAGED_GRID_ID) {
+    return countries;
+  }
+
+  const key = countries.map(getCountryKey).join(",");
+
+  if (key !== pagedResultsKey) {
+    pagedResultsKey = key;
+    resultsPage = 1;
+  }
+  pagedResults = countries;
+
+  const total = countries.length;
+  const pageCount = Math.max(1, Math.ceil(total / RESULTS_PAGE_SIZE));
+  resultsPage = Math.min(resultsPage, pageCount);
+
+  const start = (resultsPage - 1) * RESULTS_PAGE_SIZE;
+  const page = countries.slice(start, start + RESULTS_PAGE_SIZE);
+
+  renderPagination(total, pageCount);
+
+  // Announce the range for screen readers (features.js)
+  if (typeof announceResultsCount === "function") {
+    const activeRegionBtn = document.querySelector(".filter-btn.active");
+    announceResultsCount(
+      total,
+      activeRegionBtn ? activeRegionBtn.dataset.region : "all",
+      start + 1,
+      start + page.length
+    );
+  }
+
+  return page;
+}
+
+/**
+ * Redraw the cards for the current page. The map markers
+ * already cover every result, so they are left alone.
+ */
+function renderResultsPage() {
+  const grid = document.getElementById(PAGED_GRID_ID);
+  if (!grid) {
+    return;
+  }
+
+  grid.innerHTML = "";
+  appendCountryCards(grid, getResultsPage(pagedResults, PAGED_GRID_ID));
+}
+
+/**
+ * Show another page of the current results
+ * @param {number} page - Page number (1-based)
+ */
+function goToResultsPage(page) {
+  resultsPage = page;
+  renderResultsPage();
+
+  const grid = document.getElementById(PAGED_GRID_ID);
+  if (grid) {
+    grid.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+}
+
+/**
+ * Turn to the page holding a country, e.g. when its map
+ * marker is clicked (called by showCardForMarker in script.js)
+ * @param {string} gridId - ID of the grid holding the card
+ * @param {string} key - Country key (see getCountryKey)
+ */
+function showResultOnPage(gridId, key) {
+  if (gridId !== PAGED_GRID_ID) {
+    return;
+  }
+
+  const keys = pagedResults.map(getCountryKey);
+  const index = keys.indexOf(key);
+  if (index === -1) {
+    return;
+  }
+
+  const page = Math.floor(index / RESULTS_PAGE_SIZE) + 1;
+  if (page !== resultsPage) {
+    resultsPage = page;
+    renderResultsPage();
+  }
+}
+
+/* ──────────────────────────────────────────────
+   PAGE CONTROLS
+   ────────────────────────────────────────────── */
+
+/**
+ * List the page numbers to show as buttons: the first and
+ * last pages and those either side of the current one, with
+ * null where pages are skipped
+ * @param {number} pageCount - Total number of pages
+ * @returns {Array} - e.g. [1, null, 4, 5, 6, null, 11]
+ */
+function getPageNumbers(pageCount) {
+  const numbers = [];
+
+  for (let page = 1; page <= pageCount; page++) {
+    const nearCurrent = Math.abs(page - resultsPage) <= 1;
+    if (page === 1 || page === pageCount || nearCurrent) {
+      numbers.push(page);
+    } else if (numbers[numbers.length - 1] !== null) {
+      numbers.push(null);
+    }
+  }
+
+  return numbers;
+}
+
+/**
+ * Build a page control button
+ * @param {string} label - Button text
+ * @param {number} page - Page it goes to
+ * @param {string} ariaLabel - Accessible name
+ * @param {boolean} disabled - True if it can't be used
+ * @returns {HTMLButtonElement} - The button
+ */
+function createPageButton(label, page, ariaLabel, disabled) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "page-btn";
+  btn.textContent = label;
+  btn.setAttribute("aria-label", ariaLabel);
+  btn.disabled = disabled;
+
+  btn.addEventListener("click", function () {
+    goToResultsPage(page);
+  });
+
+  return btn;
+}
+
+/**
+ * Draw the page controls below the grid, or hide them
+ * when everything fits on one page
+ * @param {number} total - Number of results
+ * @param {number} pageCount - Number of pages
+ */
+function renderPagination(total, pageCount) {
+  const nav = document.getElementById("dest-pagination");
+  if (!nav) {
+    return;
+  }
+
+  nav.innerHTML = "";
+  nav.hidden = pageCount <= 1;
+  if (nav.hidden) {
+    return;
+  }
+
+  const first = (resultsPage - 1) * RESULTS_PAGE_SIZE + 1;
+  const last = Math.min(resultsPage * RESULTS_PAGE_SIZE, total);
+  const summary = document.createElement("p");
+  summary.className = "page-summary";
+  summary.textContent = "Showing " + first + "–" + last + " of " + total + " countries";
+  nav.appendChild(summary);
+
+  const controls = document.createElement("div");
+  controls.className = "page-controls";
+
+  controls.appendChild(createPageButton(
+    "← Previous", resultsPage - 1, "Previous page", resultsPage === 1
+  ));
+
+  getPageNumbers(pageCount).forEach(function (page) {
+    if (page === null) {
+      const gap = document.createElement("span");
+      gap.className = "page-gap";
+      gap.setAttribute("aria-hidden", "true");
+      gap.textContent = "…";
+      controls.appendChild(gap);
+      return;
+    }
+
+    const btn = createPageButton(String(page), page, "Page " + page, false);
+    if (page === resultsPage) {
+      btn.classList.add("active");
+      btn.setAttribute("aria-current", "page");
+    }
+    controls.appendChild(btn);
+  });
+
+  controls.appendChild(createPageButton(
+    "Next →", resultsPage + 1, "Next page", resultsPage === pageCount
+  ));
+
+  nav.appendChild(controls);
+}
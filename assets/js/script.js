@@ -1,5 +1,10 @@
 /* jshint esversion: 8, browser: true */
-/* global L, AbortController */
+/* global L, AbortController, countryData, addBaseLayers, favMap, applyFacetFilters,
+   getResultsPage, showResultOnPage, currentDisplayedResults:true, currentDisplayContext, sortCountries,
+   createFavButton, createCompareButton, createTripButton, createVisitedButton,
+   createJournalControls, createNeighbourList, clearNeighbourHop, createTimezonePanel,
+   createCurrencyConverter, shadeResultCountries, showCountryBorder, updateChoropleth,
+   updateDestinationsState, handOffHomeSearch, getChosenCountryCode */
 /* ══════════════════════════════════════════════
    script.js - Main Application Logic
    Wanderlust Travel - Holiday Destination Finder
@@ -8,6 +13,7 @@
    - Navigation (hamburger menu, back to top)
    - Search input validation
    - REST Countries API integration
+   - Offline data notices and clearing cached data
    - Leaflet.js interactive map
    - Destination card creation
    - Featured destinations loading
@@ -106,6 +112,147 @@ function toggleSpinner(spinnerId, show) {
   }
 }
 
+/* ──────────────────────────────────────────────
+   SEARCH MODES
+   A prefix chooses what to search by, e.g.
+   "lang:portuguese", "cur:eur", "capital:nairobi"
+   or "code:JP". Without a prefix the search is by
+   country name. Each mode has its own format rule,
+   results heading and data provider lookup.
+   ────────────────────────────────────────────── */
+
+/** Search modes, keyed by their canonical prefix */
+const SEARCH_MODES = {
+  name: {
+    // Commas and brackets for suggested names like "Cocos (Keeling) Islands"
+    pattern: /^[a-zA-ZÀ-ÿ\s\-',()]+$/,
+    formatMessage: "Please enter a valid country name (letters only).",
+    heading: function (term) {
+      return 'Results for "' + term + '"';
+    },
+    notFound: function (term) {
+      return 'No countries found matching "' + term + '". Try a different search.';
+    },
+    lookup: function (term, options) {
+      return countryData.byName(term, options);
+    }
+  },
+  capital: {
+    // Dots for names like "St. John's"
+    pattern: /^[a-zA-ZÀ-ÿ\s\-'.]+$/,
+    formatMessage: "Please enter a valid capital city (letters only), e.g. capital:nairobi.",
+    heading: function (term) {
+      return 'Countries with the capital "' + term + '"';
+    },
+    notFound: function (term) {
+      return 'No country has a capital matching "' + term + '".';
+    },
+    lookup: function (term, options) {
+      return countryData.byCapital(term, options);
+    }
+  },
+  lang: {
+    pattern: /^[a-zA-ZÀ-ÿ\s\-']+$/,
+    formatMessage: "Please enter a language name or code (letters only), e.g. lang:portuguese.",
+    heading: function (term) {
+      return 'Countries that speak "' + term + '"';
+    },
+    notFound: function (term) {
+      return 'No countries found where "' + term + '" is spoken. Try the full language name.';
+    },
+    lookup: function (term, options) {
+      return countryData.byLanguage(term, options);
+    }
+  },
+  cur: {
+    pattern: /^[a-zA-Z\s\-']+$/,
+    formatMessage: "Please enter a currency code or name (letters only), e.g. cur:eur.",
+    heading: function (term) {
+      return 'Countries using "' + term + '"';
+    },
+    notFound: function (term) {
+      return 'No countries found using the currency "' + term + '".';
+    },
+    lookup: function (term, options) {
+      return countryData.byCurrency(term, options);
+    }
+  },
+  code: {
+    // ISO 3166-1 alpha-2, alpha-3 or numeric
+    pattern: /^([a-zA-Z]{2,3}|[0-9]{3})$/,
+    formatMessage: "Please enter a 2 or 3 letter country code (e.g. JP or JPN) or a 3 digit number.",
+    heading: function (term) {
+      return 'Country code "' + term.toUpperCase() + '"';
+    },
+    notFound: function (term) {
+      return 'No country has the code "' + term.toUpperCase() + '".';
+    },
+    lookup: async function (term, options) {
+      const country = await countryData.byCode(term, options);
+      return country ? [country] : [];
+    }
+  }
+};
+
+/** Prefixes users can type, mapped to their search mode */
+const SEARCH_MODE_PREFIXES = {
+  name: "name",
+  country: "name",
+  capital: "capital",
+  lang: "lang",
+  language: "lang",
+  cur: "cur",
+  currency: "cur",
+  code: "code",
+  iso: "code"
+};
+
+/**
+ * Split a search into its mode and search term
+ * @param {string} value - The raw input value, e.g. "lang:portuguese"
+ * @returns {object} - { mode: string|null, prefix: string, term: string }
+ *   (mode is null for an unknown prefix)
+ */
+function parseSearchQuery(value) {
+  const trimmed = value.trim();
+  const match = /^([a-zA-Z]+)\s*:\s*(.*)$/.exec(trimmed);
+
+  if (!match) {
+    return { mode: "name", prefix: "", term: trimmed };
+  }
+
+  return {
+    mode: SEARCH_MODE_PREFIXES[match[1].toLowerCase()] || null,
+    prefix: match[1],
+    term: match[2].trim()
+  };
+}
+
+/**
+ * Heading describing the results of a search
+ * @param {string} query - The validated search, with any prefix
+ * @returns {string} - e.g. 'Countries that speak "portuguese"'
+ */
+function getSearchHeading(query) {
+  const search = parseSearchQuery(query);
+  return SEARCH_MODES[search.mode || "name"].heading(search.term);
+}
+
+/**
+ * Set a results heading, hiding it when there's no text
+ * @param {string} elementId - ID of the heading element
+ * @param {string} text - Heading text, or "" to hide it
+ */
+function setResultsHeading(elementId, text) {
+  const heading = document.getElementById(elementId);
+  if (!heading) {
+    return;
+  }
+
+  heading.textContent = text;
+  heading.hidden = !text;
+}
+
 /* ──────────────────────────────────────────────
    INPUT VALIDATION
    Validates search input before making API calls
@@ -116,6 +263,7 @@ function toggleSpinner(spinnerId, show) {
 
 /**
  * Validates search input with multiple checks
+ * (the format rule depends on the search mode)
  * @param {string} value - The raw input value
  * @returns {object} - { valid: boolean, message: string }
  */
@@ -128,7 +276,27 @@ function validateSearchInput(value) {
     };
   }
 
-  const trimmed = value.trim();
+  const search = parseSearchQuery(value);
+
+  // MODE CHECK - is the prefix one we know?
+  if (!search.mode) {
+    return {
+      valid: false,
+      message: 'Unknown search type "' + search.prefix +
+        ':". Try capital:, lang:, cur: or code:.'
+    };
+  }
+
+  const mode = SEARCH_MODES[search.mode];
+  const trimmed = search.term;
+
+  // PRESENCE CHECK - is there anything after the prefix?
+  if (trimmed === "") {
+    return {
+      valid: false,
+      message: 'Please enter something to search for after "' + search.prefix + ':".'
+    };
+  }
 
   // LENGTH CHECK - is it too short?
   if (trimmed.length < 2) {
@@ -146,11 +314,11 @@ function validateSearchInput(value) {
     };
   }
 
-  // FORMAT CHECK - only letters, spaces, hyphens, apostrophes allowed
-  if (!/^[a-zA-ZÀ-ÿ\s\-']+$/.test(trimmed)) {
+  // FORMAT CHECK - characters allowed for this search mode
+  if (!mode.pattern.test(trimmed)) {
     return {
       valid: false,
-      message: "Please enter a valid country name (letters only)."
+      message: mode.formatMessage
     };
   }
 
@@ -161,6 +329,7 @@ function validateSearchInput(value) {
 /* ──────────────────────────────────────────────
    REST COUNTRIES API INTEGRATION
    Fetches country data from the free REST Countries API
+   (or whichever backend data-provider.js is set up for)
    Demonstrates: async/await, try/catch/finally,
    AbortController for race conditions,
    HTTP status handling, error handling (criterion 2.8)
@@ -175,7 +344,7 @@ function validateSearchInput(value) {
  * Uses AbortController to cancel previous requests if user
  * searches again quickly (prevents race conditions)
  * 
- * @param {string} query - The country name to search for
+ * @param {string} query - The validated search, with any mode prefix
  * @param {string} feedbackId - ID of the feedback element
  * @param {string} spinnerId - ID of the spinner element
  * @returns {Array} - Array of country objects, or empty array on error
@@ -191,34 +360,19 @@ async function searchCountries(query, feedbackId, spinnerId) {
   // Show loading spinner (progress indicator - distinction requirement)
   toggleSpinner(spinnerId, true);
 
-  try {
-    // Make the API request with abort signal
-    const response = await fetch(
-      "https://restcountries.com/v3.1/name/" + encodeURIComponent(query.trim()),
-      { signal: currentAbortController.signal }
-    );
+  // Work out what to search by (name, capital, language...)
+  const search = parseSearchQuery(query);
+  const mode = SEARCH_MODES[search.mode || "name"];
 
-    // Handle different HTTP status codes
-    if (!response.ok) {
-      if (response.status === 404) {
-        // No countries found matching the search
-        showFeedback(
-          feedbackId,
-          'No countries found matching "' + query + '". Try a different search.',
-          "info"
-        );
-        return [];
-      }
-      // Other HTTP errors (500, 429, etc.)
-      throw new Error("HTTP error: " + response.status);
-    }
-
-    // Parse the JSON response
-    const data = await response.json();
+  try {
+    // Look up the countries with abort signal (see data-provider.js)
+    const data = await mode.lookup(search.term, {
+      signal: currentAbortController.signal
+    });
 
-    // Validate the response data
+    // No countries found matching the search
     if (!data || !Array.isArray(data) || data.length === 0) {
-      showFeedback(feedbackId, "No results found. Try another search.", "info");
+      showFeedback(feedbackId, mode.notFound(search.term), "info");
       return [];
     }
 
@@ -246,6 +400,59 @@ async function searchCountries(query, feedbackId, spinnerId) {
   }
 }
 
+/* ──────────────────────────────────────────────
+   CACHED DATA
+   Country lookups are cached in the browser (see
+   cache.js and data-provider.js). These functions
+   tell the user when they're seeing saved data and
+   let them clear it.
+   ────────────────────────────────────────────── */
+
+/**
+ * Tells the user the results come from saved data because
+ * the latest data couldn't be fetched. The browser only knows
+ * for sure when there's no connection at all; any other failure
+ * (e.g. the API returning a server error) is reported as the
+ * data being unavailable rather than the user being offline.
+ * @param {number} storedAt - When the saved data was fetched (ms timestamp)
+ */
+function notifyOfflineData(storedAt) {
+  const feedbackId = document.getElementById("dest-feedback") ?
+    "dest-feedback" :
+    "search-feedback";
+  const savedOn = new Date(storedAt).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric"
+  });
+
+  const reason = navigator.onLine === false ?
+    "You appear to be offline" :
+    "The latest country data couldn't be loaded";
+  showFeedback(
+    feedbackId,
+    reason + " - showing saved data from " + savedOn + ".",
+    "info"
+  );
+}
+
+const clearCacheBtn = document.getElementById("clear-cache-btn");
+
+if (clearCacheBtn) {
+  clearCacheBtn.addEventListener("click", async function () {
+    const btn = this;
+    btn.disabled = true;
+
+    await countryData.clearCache();
+
+    btn.textContent = "Cached data cleared";
+    setTimeout(function () {
+      btn.textContent = "Clear cached data";
+      btn.disabled = false;
+    }, 3000);
+  });
+}
+
 /* ──────────────────────────────────────────────
    MAP INITIALISATION
    Creates a Leaflet.js map with OpenStreetMap tiles
@@ -266,16 +473,42 @@ function initMap(elementId) {
 
   const map = L.map(mapElement).setView([20, 0], 2);
 
-  // Add OpenStreetMap tile layer (free, no API key needed)
-  L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-    attribution:
-      '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-    maxZoom: 18
-  }).addTo(map);
+  // Background map with a style switcher and offline fallback (tiles.js)
+  if (typeof addBaseLayers === "function") {
+    addBaseLayers(map);
+  } else {
+    // Add OpenStreetMap tile layer (free, no API key needed)
+    L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+      attribution:
+        '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+      maxZoom: 18
+    }).addTo(map);
+  }
 
   return map;
 }
 
+/* ──────────────────────────────────────────────
+   COUNTRY DETAIL LINKS
+   Every country has a deep-linkable detail view on
+   destinations.html (see country-detail.js)
+   ────────────────────────────────────────────── */
+
+/**
+ * Builds the link to a country's detail view
+ * Uses a bare hash on destinations.html so the current
+ * search in the query string is kept
+ * @param {string} code - The country's cca3 code (e.g. "JPN")
+ * @returns {string} - The detail view URL
+ */
+function getCountryDetailHref(code) {
+  const route = "#/country/" + encodeURIComponent(code);
+  if (document.getElementById("dest-grid")) {
+    return route;
+  }
+  return "destinations.html" + route;
+}
+
 /* ──────────────────────────────────────────────
    DESTINATION CARD CREATION
    Builds HTML cards from country API data
@@ -287,13 +520,19 @@ function initMap(elementId) {
 /**
  * Creates a destination card element from country data
  * @param {object} country - Country object from REST Countries API
+ * @param {object} options - Optional: { readOnly: true } leaves out the
+ *   favourite, compare and trip buttons (e.g. for a shared list preview)
  * @returns {HTMLElement} - The card DOM element
  */
-function createCountryCard(country) {
+function createCountryCard(country, options) {
+  const readOnly = Boolean(options && options.readOnly);
   const card = document.createElement("div");
   card.className = "dest-card";
   card.setAttribute("role", "article");
 
+  // Lets the card find its map marker (see linkCardsToMarkers)
+  card.dataset.country = getCountryKey(country);
+
   // Extract data safely with fallbacks for missing fields
   const name = country.name && country.name.common
     ? country.name.common
@@ -325,13 +564,18 @@ function createCountryCard(country) {
     ? country.capital[0]
     : "N/A";
 
-  // Get currencies (loop through object values)
+  // Get currencies with their code and symbol, e.g. "Euro (EUR €)"
   let currencies = "N/A";
   if (country.currencies) {
     const currencyNames = [];
     const currencyKeys = Object.keys(country.currencies);
     for (let i = 0; i < currencyKeys.length; i++) {
-      currencyNames.push(country.currencies[currencyKeys[i]].name);
+      const currency = country.currencies[currencyKeys[i]];
+      let label = currency.name + " (" + currencyKeys[i];
+      if (currency.symbol) {
+        label += " " + currency.symbol;
+      }
+      currencyNames.push(label + ")");
     }
     currencies = currencyNames.join(", ");
   }
@@ -365,7 +609,12 @@ function createCountryCard(country) {
   }
 
   cardHTML += '<div class="card-body">';
-  cardHTML += '<h3 class="card-title">' + name + "</h3>";
+  if (country.cca3) {
+    cardHTML += '<h3 class="card-title"><a class="card-link" href="' +
+      getCountryDetailHref(country.cca3) + '">' + name + "</a></h3>";
+  } else {
+    cardHTML += '<h3 class="card-title">' + name + "</h3>";
+  }
   cardHTML += '<div class="card-region">&#128205; ' + region;
   if (subregion) {
     cardHTML += " &middot; " + subregion;
@@ -388,6 +637,7 @@ function createCountryCard(country) {
   if (lat !== null && lng !== null) {
     cardHTML += '<button class="card-btn" data-lat="' + lat +
       '" data-lng="' + lng + '" data-name="' + name +
+      '" data-code="' + (country.cca3 || "") +
       '">View on Map &#x2192;</button>';
   }
 
@@ -401,13 +651,82 @@ function createCountryCard(country) {
     mapBtn.addEventListener("click", function () {
       const btnLat = parseFloat(this.dataset.lat);
       const btnLng = parseFloat(this.dataset.lng);
-      flyToCountry(btnLat, btnLng);
+      flyToCountry(btnLat, btnLng, this.dataset.code);
     });
   }
 
+  // Local time in the country's zones (defined in timezones.js)
+  if (typeof createTimezonePanel === "function") {
+    const timePanel = createTimezonePanel(country);
+    if (timePanel) {
+      card.querySelector(".card-body").insertBefore(timePanel, mapBtn);
+    }
+  }
+
+  // Currency converter from the user's home currency
+  // (defined in currency.js)
+  if (typeof createCurrencyConverter === "function") {
+    const converter = createCurrencyConverter(country);
+    if (converter) {
+      card.querySelector(".card-body").insertBefore(converter, mapBtn);
+    }
+  }
+
+  // Neighbouring countries as chips, above the map button
+  // (defined in neighbours.js)
+  if (typeof createNeighbourList === "function") {
+    const neighbours = createNeighbourList(country);
+    if (neighbours) {
+      card.querySelector(".card-body").insertBefore(neighbours, mapBtn);
+    }
+  }
+
+  // Clicking anywhere else on the card opens the detail view
+  // (except in the timezone list, which opens and closes)
+  const cardLink = card.querySelector(".card-link");
+  if (cardLink) {
+    card.classList.add("clickable");
+    card.addEventListener("click", function (event) {
+      if (event.target.closest("a, button, details")) {
+        return;
+      }
+      cardLink.click();
+    });
+  }
+
+  if (readOnly) {
+    return card;
+  }
+
+  // Add the "Add to compare" (compare.js), "Add to trip"
+  // (itinerary.js) and "Mark visited" (visited.js) buttons
+  // side by side
+  if (country.cca3) {
+    const actions = document.createElement("div");
+    actions.className = "card-actions";
+    if (typeof createCompareButton === "function") {
+      actions.appendChild(createCompareButton(country));
+    }
+    if (typeof createTripButton === "function" && country.latlng) {
+      actions.appendChild(createTripButton(country));
+    }
+    if (typeof createVisitedButton === "function") {
+      actions.appendChild(createVisitedButton(country));
+    }
+    if (actions.children.length > 0) {
+      card.querySelector(".card-body").appendChild(actions);
+    }
+  }
+
+  // Journal status, tags and notes, shown once the country
+  // is saved (journal.js)
+  if (typeof createJournalControls === "function") {
+    card.querySelector(".card-body").appendChild(createJournalControls(country));
+  }
+
   // Add favourite heart button (defined in features.js)
   if (typeof createFavButton === "function") {
-    const favBtn = createFavButton(name);
+    const favBtn = createFavButton(country);
     card.appendChild(favBtn);
   }
 
@@ -416,19 +735,31 @@ function createCountryCard(country) {
 
 /* ──────────────────────────────────────────────
    FLY TO COUNTRY ON MAP
-   Smoothly moves the map to a specific location
+   Smoothly moves the map to a specific location,
+   outlining the country's borders when they're
+   available (see borders.js)
    ────────────────────────────────────────────── */
 
 /**
- * Flies the active map to specific coordinates
+ * Flies the active map to a country: fitted to its outline
+ * if it has one, otherwise centred on its coordinates
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
+ * @param {string} code - The country's cca3 code (optional)
  */
-function flyToCountry(lat, lng) {
+async function flyToCountry(lat, lng, code) {
   // Determine which map is currently active
-  const activeMap = mainMap || destMap;
+  // (favMap is defined in features.js for favourites.html)
+  const activeMap = mainMap || destMap ||
+    (typeof favMap !== "undefined" ? favMap : null);
   if (activeMap) {
-    activeMap.flyTo([lat, lng], 5, { duration: 1.5 });
+    let outlined = false;
+    if (code && typeof showCountryBorder === "function") {
+      outlined = await showCountryBorder(activeMap, code, true);
+    }
+    if (!outlined) {
+      activeMap.flyTo([lat, lng], 5, { duration: 1.5 });
+    }
 
     // Scroll to map container so user can see it
     const mapContainer = document.querySelector(".map-container.active");
@@ -438,6 +769,208 @@ function flyToCountry(lat, lng) {
   }
 }
 
+/* ──────────────────────────────────────────────
+   RESULT MARKERS
+   Result markers go in one layer per map: a
+   cluster group (Leaflet.markercluster) that
+   splits as you zoom in, or a plain group if the
+   plugin failed to load. Each card is linked to
+   its marker: hovering or focusing the card
+   highlights the marker, and clicking the marker
+   scrolls to the card.
+   Demonstrates: Map, event delegation, feature
+   detection, closest()
+   ────────────────────────────────────────────── */
+
+/** Result marker layer for each Leaflet map */
+const resultLayers = new Map();
+
+/**
+ * Markers for each grid's results, so cards can find them:
+ * { gridId: { layer: object, markers: { key: marker } } }
+ */
+const resultMarkers = {};
+
+/**
+ * Identify a country for linking its card and marker
+ * @param {object} country - Country object from REST Countries API
+ * @returns {string} - The cca3 code, or the name if there isn't one
+ */
+function getCountryKey(country) {
+  if (country.cca3) {
+    return country.cca3;
+  }
+  return country.name && country.name.common ? country.name.common : "";
+}
+
+/**
+ * Get (creating it the first time) the layer holding a map's result markers
+ * @param {object} mapInstance - Leaflet map instance
+ * @returns {object} - Cluster group, or feature group without the plugin
+ */
+function getResultsLayer(mapInstance) {
+  if (!resultLayers.has(mapInstance)) {
+    const layer = typeof L.markerClusterGroup === "function"
+      ? L.markerClusterGroup({ showCoverageOnHover: false })
+      : L.featureGroup();
+    layer.addTo(mapInstance);
+    resultLayers.set(mapInstance, layer);
+  }
+  return resultLayers.get(mapInstance);
+}
+
+/**
+ * Build the popup shown when a result marker is clicked
+ * @param {object} country - Country object from REST Countries API
+ * @returns {string} - Popup HTML
+ */
+function createMarkerPopup(country) {
+  const name = country.name && country.name.common
+    ? country.name.common
+    : "Unknown";
+  const capital = country.capital && country.capital.length > 0
+    ? country.capital[0]
+    : "N/A";
+  const population = country.population
+    ? country.population.toLocaleString()
+    : "N/A";
+
+  let popupHTML = '<div class="map-popup">';
+  if (country.flags && country.flags.png) {
+    popupHTML += '<img class="popup-flag" src="' + country.flags.png +
+      '" alt="Flag of ' + name + '" onerror="this.style.display=\'none\'">';
+  }
+  popupHTML += "<strong>" + name + "</strong><br>" +
+    "Capital: " + capital + "<br>" +
+    "Population: " + population;
+  if (country.cca3) {
+    popupHTML += '<br><a class="popup-link" href="' +
+      getCountryDetailHref(country.cca3) + '">Open details &#x2192;</a>';
+  }
+  popupHTML += "</div>";
+
+  return popupHTML;
+}
+
+/**
+ * Highlight or un-highlight the marker for a card
+ * (a marker hidden in a cluster highlights the cluster)
+ * @param {string} gridId - ID of the grid the card is in
+ * @param {string} key - Country key (see getCountryKey)
+ * @param {boolean} highlighted - True to highlight
+ */
+function setMarkerHighlight(gridId, key, highlighted) {
+  const entry = resultMarkers[gridId];
+  const marker = entry ? entry.markers[key] : null;
+  if (!marker) {
+    return;
+  }
+
+  const visible = typeof entry.layer.getVisibleParent === "function"
+    ? entry.layer.getVisibleParent(marker)
+    : marker;
+  const element = visible ? visible.getElement() : null;
+
+  if (element) {
+    element.classList.toggle("marker-highlight", highlighted);
+    visible.setZIndexOffset(highlighted ? 1000 : 0);
+  }
+}
+
+/**
+ * Scroll to and briefly highlight the card for a marker,
+ * turning to its page first if needed (pagination.js)
+ * @param {string} gridId - ID of the grid holding the card
+ * @param {string} key - Country key (see getCountryKey)
+ */
+function showCardForMarker(gridId, key) {
+  const grid = document.getElementById(gridId);
+  if (!grid) {
+    return;
+  }
+
+  const selector = '.dest-card[data-country="' + key.replace(/"/g, '\\"') + '"]';
+  let card = grid.querySelector(selector);
+  if (!card && typeof showResultOnPage === "function") {
+    showResultOnPage(gridId, key);
+    card = grid.querySelector(selector);
+  }
+  if (!card) {
+    return;
+  }
+
+  grid.querySelectorAll(".card-highlight").forEach(function (other) {
+    other.classList.remove("card-highlight");
+  });
+  card.classList.add("card-highlight");
+  card.scrollIntoView({ behavior: "smooth", block: "nearest" });
+
+  setTimeout(function () {
+    card.classList.remove("card-highlight");
+  }, 2500);
+}
+
+/**
+ * Open the popup of a result's marker, first zooming in
+ * far enough to pull it out of its cluster
+ * @param {string} gridId - ID of the grid the result is in
+ * @param {string} key - Country key (see getCountryKey)
+ */
+function openMarkerPopup(gridId, key) {
+  const entry = resultMarkers[gridId];
+  const marker = entry ? entry.markers[key] : null;
+  if (!marker) {
+    return;
+  }
+
+  if (typeof entry.layer.zoomToShowLayer === "function") {
+    entry.layer.zoomToShowLayer(marker, function () {
+      marker.openPopup();
+    });
+  } else {
+    marker.openPopup();
+  }
+}
+
+/**
+ * Link a grid's cards to their markers. Listeners go on the
+ * grid itself, so cards redrawn later (e.g. another page)
+ * are linked too.
+ * @param {HTMLElement} grid - The cards grid
+ */
+function linkCardsToMarkers(grid) {
+  /**
+   * Highlight the marker for the card an event happened in
+   * @param {Event} event - mouseover/mouseout/focusin/focusout
+   * @param {boolean} highlighted - True to highlight
+   */
+  function handleCardEvent(event, highlighted) {
+    const card = event.target.closest(".dest-card");
+    if (!card || !card.dataset.country) {
+      return;
+    }
+
+    // Ignore moves between elements inside the same card
+    if (event.relatedTarget && card.contains(event.relatedTarget)) {
+      return;
+    }
+    setMarkerHighlight(grid.id, card.dataset.country, highlighted);
+  }
+
+  grid.addEventListener("mouseover", function (event) {
+    handleCardEvent(event, true);
+  });
+  grid.addEventListener("mouseout", function (event) {
+    handleCardEvent(event, false);
+  });
+  grid.addEventListener("focusin", function (event) {
+    handleCardEvent(event, true);
+  });
+  grid.addEventListener("focusout", function (event) {
+    handleCardEvent(event, false);
+  });
+}
+
 /* ──────────────────────────────────────────────
    DISPLAY SEARCH RESULTS
    Shows country cards and map markers
@@ -445,6 +978,20 @@ function flyToCountry(lat, lng) {
    DOM manipulation, Leaflet marker management
    ────────────────────────────────────────────── */
 
+/**
+ * Adds a card for each country to a grid, without buttons that
+ * change saved data if the grid is marked data-read-only
+ * (also used by pagination.js when the page is turned)
+ * @param {HTMLElement} grid - The cards grid
+ * @param {Array} countries - Array of country objects
+ */
+function appendCountryCards(grid, countries) {
+  const cardOptions = { readOnly: grid.hasAttribute("data-read-only") };
+  for (let i = 0; i < countries.length; i++) {
+    grid.appendChild(createCountryCard(countries[i], cardOptions));
+  }
+}
+
 /**
  * Displays country results as cards and map markers
  * @param {Array} countries - Array of country objects from API
@@ -463,53 +1010,81 @@ function displayResults(countries, gridId, mapInstance, markerArray) {
     currentDisplayContext.markerArray = markerArray;
   }
 
+  // Show only countries passing the filter panel (filters.js)
+  if (typeof applyFacetFilters === "function") {
+    countries = applyFacetFilters(countries, gridId);
+  }
+
   const grid = document.getElementById(gridId);
   if (!grid) {
     return;
   }
 
+  // Link cards to markers the first time this grid is used
+  if (!resultMarkers[gridId]) {
+    resultMarkers[gridId] = { layer: null, markers: {} };
+    linkCardsToMarkers(grid);
+  }
+
   // Clear previous results
   grid.innerHTML = "";
 
   // Clear previous map markers to prevent duplicates
-  for (let i = 0; i < markerArray.length; i++) {
-    markerArray[i].remove();
+  const layer = mapInstance ? getResultsLayer(mapInstance) : null;
+  if (layer) {
+    layer.clearLayers();
   }
   markerArray.length = 0;
+  resultMarkers[gridId] = { layer: layer, markers: {} };
 
-  // Loop through countries and create cards + markers
-  for (let i = 0; i < countries.length; i++) {
-    const country = countries[i];
+  // New results replace any line to a neighbour (neighbours.js)
+  if (mapInstance && typeof clearNeighbourHop === "function") {
+    clearNeighbourHop(mapInstance);
+  }
 
-    // Create and add the card to the grid
-    const card = createCountryCard(country);
-    grid.appendChild(card);
+  // Add a marker for every country that has coordinates
+  countries.forEach(function (country) {
+    if (!layer || !country.latlng || country.latlng.length < 2) {
+      return;
+    }
 
-    // Add a map marker if the country has coordinates
-    if (country.latlng && country.latlng.length >= 2 && mapInstance) {
-      const countryName = country.name && country.name.common
-        ? country.name.common
-        : "Unknown";
-      const capital = country.capital && country.capital.length > 0
-        ? country.capital[0]
-        : "N/A";
+    const key = getCountryKey(country);
+    const marker = L.marker([country.latlng[0], country.latlng[1]])
+      .bindPopup(createMarkerPopup(country));
 
-      // Create marker with popup information
-      const marker = L.marker([country.latlng[0], country.latlng[1]])
-        .addTo(mapInstance)
-        .bindPopup(
-          "<strong>" + countryName + "</strong><br>" +
-          "Capital: " + capital
-        );
+    marker.on("click", function () {
+      showCardForMarker(gridId, key);
+    });
 
-      markerArray.push(marker);
-    }
+    layer.addLayer(marker);
+    markerArray.push(marker);
+    resultMarkers[gridId].markers[key] = marker;
+  });
+
+  // Cards may be shown a page at a time (pagination.js),
+  // but the map marks every result
+  let pageCountries = countries;
+  if (typeof getResultsPage === "function") {
+    pageCountries = getResultsPage(countries, gridId);
   }
 
+  // Create and add the cards to the grid
+  appendCountryCards(grid, pageCountries);
+
   // Fit the map to show all markers
-  if (markerArray.length > 0 && mapInstance) {
-    const group = L.featureGroup(markerArray);
-    mapInstance.fitBounds(group.getBounds().pad(0.3));
+  if (markerArray.length > 0 && layer) {
+    mapInstance.fitBounds(layer.getBounds().pad(0.3));
+  }
+
+  // Shade the countries themselves, refitting to their
+  // real extent once the borders have loaded (borders.js)
+  if (mapInstance && typeof shadeResultCountries === "function") {
+    shadeResultCountries(mapInstance, countries);
+  }
+
+  // Colour them by the chosen measure, if any (choropleth.js)
+  if (mapInstance && typeof updateChoropleth === "function") {
+    updateChoropleth(mapInstance, countries);
   }
 }
 
@@ -522,6 +1097,65 @@ function displayResults(countries, gridId, mapInstance, markerArray) {
    ────────────────────────────────────────────── */
 const searchForm = document.getElementById("search-form");
 
+/**
+ * Runs a home page search and shows the results inline
+ * (used by the search form and when restoring a ?q= URL)
+ * @param {string} query - The validated search term
+ * @returns {Array} - Array of country objects found
+ */
+async function searchHome(query) {
+  // Show results section
+  const resultsSection = document.getElementById("results-section");
+  if (resultsSection) {
+    resultsSection.style.display = "block";
+  }
+
+  // Initialise map if not already done
+  if (!mainMap) {
+    mainMap = initMap("map");
+  }
+
+  // Show the map container
+  const mapContainer = document.getElementById("map-container");
+  if (mapContainer) {
+    mapContainer.classList.add("active");
+    // Fix Leaflet rendering issue when container was hidden
+    setTimeout(function () {
+      if (mainMap) {
+        mainMap.invalidateSize();
+      }
+    }, 200);
+  }
+
+  // Call the API
+  const countries = await searchCountries(
+    query, "search-feedback", "search-spinner"
+  );
+
+  // Display results if we got any
+  if (countries.length > 0) {
+    // Update the results heading
+    const resultsTitle = document.getElementById("results-title");
+    const resultsCount = document.getElementById("results-count");
+
+    if (resultsTitle) {
+      resultsTitle.textContent = getSearchHeading(query);
+    }
+    if (resultsCount) {
+      resultsCount.textContent = countries.length + " destination" +
+        (countries.length > 1 ? "s" : "") + " found";
+    }
+
+    // Display the cards and markers
+    displayResults(countries, "results-grid", mainMap, mainMarkers);
+
+    // Scroll to results
+    resultsSection.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+
+  return countries;
+}
+
 if (searchForm) {
   searchForm.addEventListener("submit", async function (event) {
     event.preventDefault();
@@ -537,54 +1171,14 @@ if (searchForm) {
       return;
     }
 
-    // Show results section
-    const resultsSection = document.getElementById("results-section");
-    if (resultsSection) {
-      resultsSection.style.display = "block";
-    }
-
-    // Initialise map if not already done
-    if (!mainMap) {
-      mainMap = initMap("map");
-    }
-
-    // Show the map container
-    const mapContainer = document.getElementById("map-container");
-    if (mapContainer) {
-      mapContainer.classList.add("active");
-      // Fix Leaflet rendering issue when container was hidden
-      setTimeout(function () {
-        if (mainMap) {
-          mainMap.invalidateSize();
-        }
-      }, 200);
+    // Continue the search on destinations.html (defined in url-state.js)
+    if (typeof handOffHomeSearch === "function") {
+      handOffHomeSearch(query.trim());
+      return;
     }
 
-    // Call the API
-    const countries = await searchCountries(
-      query, "search-feedback", "search-spinner"
-    );
-
-    // Display results if we got any
-    if (countries.length > 0) {
-      // Update the results heading
-      const resultsTitle = document.getElementById("results-title");
-      const resultsCount = document.getElementById("results-count");
-
-      if (resultsTitle) {
-        resultsTitle.textContent = 'Results for "' + query.trim() + '"';
-      }
-      if (resultsCount) {
-        resultsCount.textContent = countries.length + " destination" +
-          (countries.length > 1 ? "s" : "") + " found";
-      }
-
-      // Display the cards and markers
-      displayResults(countries, "results-grid", mainMap, mainMarkers);
-
-      // Scroll to results
-      resultsSection.scrollIntoView({ behavior: "smooth", block: "start" });
-    }
+    // Without url-state.js, show the results here instead
+    await searchHome(query);
   });
 }
 
@@ -594,6 +1188,52 @@ if (searchForm) {
    ────────────────────────────────────────────── */
 const destSearchForm = document.getElementById("dest-search-form");
 
+/**
+ * Runs a destinations page search, optionally narrowed
+ * to the selected region, and displays the results
+ * @param {string} query - The validated search term
+ * @param {string} region - Region to narrow to, or "all"
+ * @param {string} sortBy - Sort order to show them in (optional,
+ *   see sortCountries in features.js)
+ * @param {string} code - cca3 code to look up instead of the query,
+ *   for a chosen suggestion (optional, see typeahead.js)
+ * @returns {Array} - Array of country objects displayed
+ */
+async function searchDestinations(query, region, sortBy, code) {
+  // Call the API
+  let countries = await searchCountries(
+    code ? "code:" + code : query, "dest-feedback", "dest-spinner"
+  );
+
+  // Keep only matches in the selected region
+  if (countries.length > 0 && region && region !== "all") {
+    countries = countries.filter(function (country) {
+      return country.region === region;
+    });
+
+    if (countries.length === 0) {
+      showFeedback(
+        "dest-feedback",
+        'No countries matching "' + query.trim() + '" in ' + region + ".",
+        "info"
+      );
+    }
+  }
+
+  // Sort first, so the results are only drawn once
+  if (countries.length > 0 && sortBy && typeof sortCountries === "function") {
+    countries = sortCountries(countries, sortBy) || countries;
+  }
+
+  // Display results
+  if (countries.length > 0) {
+    setResultsHeading("dest-results-title", getSearchHeading(query));
+    displayResults(countries, "dest-grid", destMap, destMarkers);
+  }
+
+  return countries;
+}
+
 if (destSearchForm) {
   // Initialise the destinations map on page load
   destMap = initMap("dest-map");
@@ -621,14 +1261,32 @@ if (destSearchForm) {
       return;
     }
 
-    // Call the API
-    const countries = await searchCountries(
-      query, "dest-feedback", "dest-spinner"
+    // Search within the currently selected region button
+    const activeRegionBtn = document.querySelector(".filter-btn.active");
+    const region = activeRegionBtn ? activeRegionBtn.dataset.region : "all";
+
+    // Keep the chosen sort order
+    const sortSelect = document.getElementById("sort-select");
+
+    // A chosen suggestion is looked up by its code, while the
+    // heading and address bar keep its name (typeahead.js)
+    const code = typeof getChosenCountryCode === "function" ?
+      getChosenCountryCode(input) :
+      "";
+
+    const countries = await searchDestinations(
+      query, region, sortSelect ? sortSelect.value : "name-asc", code
     );
 
-    // Display results
     if (countries.length > 0) {
-      displayResults(countries, "dest-grid", destMap, destMarkers);
+      // Record the search in the address bar (defined in url-state.js)
+      if (typeof updateDestinationsState === "function") {
+        updateDestinationsState({
+          q: query.trim(),
+          region: region,
+          sort: sortSelect ? sortSelect.value : "name-asc"
+        });
+      }
     }
   });
 }
@@ -661,18 +1319,13 @@ if (featuredGrid) {
   (async function loadFeaturedDestinations() {
     for (let i = 0; i < featuredCountries.length; i++) {
       try {
-        const response = await fetch(
-          "https://restcountries.com/v3.1/name/" +
-          encodeURIComponent(featuredCountries[i]) +
-          "?fullText=true"
-        );
-
-        if (response.ok) {
-          const data = await response.json();
-          if (data && data.length > 0) {
-            const card = createCountryCard(data[0]);
-            featuredGrid.appendChild(card);
-          }
+        const data = await countryData.byName(featuredCountries[i], {
+          fullText: true
+        });
+
+        if (data.length > 0) {
+          const card = createCountryCard(data[0]);
+          featuredGrid.appendChild(card);
         }
       } catch (error) {
         // Silently skip failed featured items
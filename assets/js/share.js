@@ -0,0 +1,571 @@
+/* jshint esversion: 8, browser: true */
+/* global countryData, initMap, displayResults, showFeedback, toggleSpinner, getFavourites,
+   saveFavourites, findFavouriteIndex, createFavouriteSnapshot, getCompareList, getCompareHref,
+   getItineraryData, saveItineraryData, getActiveTrip, createTrip, createTripStop,
+   getTripStopDates, formatStopDates, COMPARE_LIMIT, DEFAULT_TRIP_NAME, MAX_NIGHTS,
+   CompressionStream, DecompressionStream */
+/* ══════════════════════════════════════════════
+   share.js - Share Links
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - "Share" buttons (any [data-share] button) that
+     put the favourites, the compare set or the open
+     trip into a link, as country codes in the URL
+     fragment, compressed where the browser can
+   - The shared.html preview: the shared countries
+     as read-only cards and map markers, with the
+     choice to save them to the visitor's own
+     favourites (or as a trip, or to compare)
+
+   Everything is in the link itself: the fragment
+   (after #) is never sent to a server.
+
+   Demonstrates: Compression Streams API, base64url
+   encoding, URL fragments, Clipboard API,
+   Promise.all
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   SETTINGS
+   ────────────────────────────────────────────── */
+
+/** Page that shows shared lists */
+const SHARE_PAGE = "shared.html";
+
+/** Version of the link format, the first field of a shared list */
+const SHARE_FORMAT = "1";
+
+/** One-letter names for what's being shared */
+const SHARE_TYPES = {
+  favourites: "f",
+  compare: "c",
+  trip: "t"
+};
+
+/** Most countries a link can hold */
+const SHARE_LIMIT = 250;
+
+/* ──────────────────────────────────────────────
+   ENCODING
+   A shared list is written as short text, e.g.
+     1|f|JPNITABRA                    favourites
+     1|c|JPNITA                       compare set
+     1|t|20270312|JPN3ITA2|Asia loop  trip: start date,
+                                      codes with nights, name
+   then deflated (if that makes it shorter) and base64url
+   encoded, after "z" (deflated) or "p" (plain).
+   ────────────────────────────────────────────── */
+
+/**
+ * Encode bytes as base64url (safe in URLs, no padding)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - base64url text
+ */
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach(function (byte) {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decode base64url text to bytes
+ * @param {string} text - base64url text
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, function (char) {
+    return char.charCodeAt(0);
+  });
+}
+
+/**
+ * Deflate or inflate bytes with the Compression Streams API
+ * @param {Uint8Array} bytes - Bytes to transform
+ * @param {boolean} compress - True to deflate, false to inflate
+ * @returns {Promise<Uint8Array>} - The transformed bytes
+ */
+async function transformBytes(bytes, compress) {
+  let transform = new DecompressionStream("deflate-raw");
+  if (compress) {
+    transform = new CompressionStream("deflate-raw");
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Turn a shared list's text into a URL fragment value
+ * @param {string} text - e.g. "1|f|JPNITA"
+ * @returns {Promise<string>} - e.g. "pMXxmfEpQTklU"
+ */
+async function encodeShareText(text) {
+  const bytes = new TextEncoder().encode(text);
+  let encoded = "p" + bytesToBase64Url(bytes);
+
+  // Older browsers can't compress, and short lists don't shrink
+  if (typeof CompressionStream === "function") {
+    try {
+      const deflated = "z" + bytesToBase64Url(await transformBytes(bytes, true));
+      if (deflated.length < encoded.length) {
+        encoded = deflated;
+      }
+    } catch (error) {
+      console.warn("Could not compress share link:", error);
+    }
+  }
+  return encoded;
+}
+
+/**
+ * Turn a URL fragment value back into a shared list's text
+ * @param {string} value - From encodeShareText
+ * @returns {Promise<string>} - The text
+ * @throws {Error} - If it can't be read
+ */
+async function decodeShareText(value) {
+  const bytes = base64UrlToBytes(value.slice(1));
+
+  if (value.charAt(0) === "z") {
+    if (typeof DecompressionStream !== "function") {
+      throw new Error("This browser can't open compressed links. Try a newer browser.");
+    }
+    return new TextDecoder().decode(await transformBytes(bytes, false));
+  }
+  if (value.charAt(0) === "p") {
+    return new TextDecoder().decode(bytes);
+  }
+  throw new Error("Unknown link format.");
+}
+
+/**
+ * Write a shared list as text
+ * @param {object} list - { type, codes, nights?, startDate?, name? }
+ * @returns {string} - Text for encodeShareText
+ */
+function formatShareText(list) {
+  const fields = [SHARE_FORMAT, SHARE_TYPES[list.type]];
+
+  if (list.type === "trip") {
+    fields.push(
+      list.startDate.replace(/-/g, ""),
+      list.codes.map(function (code, i) {
+        return code + list.nights[i];
+      }).join(""),
+      list.name
+    );
+  } else {
+    fields.push(list.codes.join(""));
+  }
+  return fields.join("|");
+}
+
+/**
+ * Read a shared list's text, checking every field
+ * @param {string} text - From decodeShareText
+ * @returns {object|null} - { type, codes, nights, startDate, name }, or null if invalid
+ */
+function parseShareText(text) {
+  const fields = text.split("|");
+  const type = Object.keys(SHARE_TYPES).find(function (key) {
+    return SHARE_TYPES[key] === fields[1];
+  });
+  if (fields[0] !== SHARE_FORMAT || !type) {
+    return null;
+  }
+
+  const list = { type: type, codes: [], nights: [], startDate: "", name: "" };
+  const pattern = type === "trip" ? /([A-Z]{3})(\d{1,3})/g : /([A-Z]{3})()/g;
+  const body = type === "trip" ? fields[3] : fields[2];
+  if (!body || body.replace(pattern, "") !== "") {
+    return null;
+  }
+
+  let match = pattern.exec(body);
+  while (match && list.codes.length < SHARE_LIMIT) {
+    if (list.codes.indexOf(match[1]) === -1) {
+      list.codes.push(match[1]);
+      list.nights.push(Math.min(MAX_NIGHTS, Number(match[2]) || 0));
+    }
+    match = pattern.exec(body);
+  }
+
+  if (type === "trip") {
+    const date = /^(\d{4})(\d{2})(\d{2})$/.exec(fields[2]);
+    list.startDate = date ? date[1] + "-" + date[2] + "-" + date[3] : "";
+    // The name is last, so it may contain "|"
+    list.name = fields.slice(4).join("|").replace(/[<>"]/g, "").trim().slice(0, 60) ||
+      DEFAULT_TRIP_NAME;
+  }
+  return list;
+}
+
+/* ──────────────────────────────────────────────
+   SHARE BUTTONS
+   ────────────────────────────────────────────── */
+
+/**
+ * Get the list a share button shares
+ * @param {string} type - "favourites", "compare" or "trip"
+ * @returns {object|null} - { type, codes, ... }, or null if empty
+ */
+function getShareList(type) {
+  let codes = [];
+  const list = { type: type };
+
+  if (type === "favourites") {
+    codes = getFavourites().map(function (fav) {
+      return fav.cca3;
+    });
+  } else if (type === "compare") {
+    codes = getCompareList().map(function (item) {
+      return item.cca3;
+    });
+  } else if (type === "trip") {
+    const trip = getActiveTrip(getItineraryData());
+    const stops = trip ? trip.stops : [];
+    codes = stops.map(function (stop) {
+      return stop.cca3;
+    });
+    list.nights = stops.map(function (stop) {
+      return stop.nights;
+    });
+    list.startDate = trip ? trip.startDate || "" : "";
+    list.name = trip ? trip.name : "";
+  }
+
+  // Legacy favourites have no code yet, and can't be shared
+  list.codes = codes.filter(function (code) {
+    return /^[A-Z]{3}$/.test(code);
+  }).slice(0, SHARE_LIMIT);
+  return list.codes.length > 0 ? list : null;
+}
+
+/**
+ * Show a link in a box under the feedback message, so it can
+ * be copied by hand if the clipboard isn't available
+ * @param {HTMLElement} feedback - The feedback element
+ * @param {string} url - The link
+ */
+function showShareOutput(feedback, url) {
+  let output = feedback.nextElementSibling;
+  if (!output || !output.classList.contains("share-output")) {
+    output = document.createElement("input");
+    output.type = "text";
+    output.className = "share-output";
+    output.readOnly = true;
+    output.setAttribute("aria-label", "Share link");
+    feedback.parentNode.insertBefore(output, feedback.nextSibling);
+  }
+  output.value = url;
+  output.select();
+}
+
+/**
+ * Build the link for a share button and copy it
+ * @param {HTMLElement} btn - The button clicked
+ */
+async function shareFromButton(btn) {
+  const type = btn.dataset.share;
+  const feedbackId = btn.dataset.shareFeedback;
+  const list = getShareList(type);
+
+  if (!list) {
+    const empty = {
+      favourites: "Save some favourites to share first.",
+      compare: "Add some countries to compare first.",
+      trip: "Add some stops to your trip first."
+    };
+    showFeedback(feedbackId, empty[type], "error");
+    return;
+  }
+
+  const url = new URL(SHARE_PAGE, window.location.href);
+  url.search = "";
+  url.hash = "s=" + await encodeShareText(formatShareText(list));
+
+  showShareOutput(document.getElementById(feedbackId), url.href);
+  try {
+    await navigator.clipboard.writeText(url.href);
+    showFeedback(feedbackId, "Link copied - anyone you send it to can see and save these countries.", "success");
+  } catch (error) {
+    showFeedback(feedbackId, "Copy the link below to share it.", "info");
+  }
+}
+
+/* ──────────────────────────────────────────────
+   PREVIEW (shared.html)
+   ────────────────────────────────────────────── */
+
+/** Leaflet map instance for shared.html */
+let shareMap = null;
+
+/** Markers on the preview map */
+let shareMarkers = [];
+
+/** The shared list being previewed */
+let sharedList = null;
+
+/** Shared countries that were found, in the shared order */
+let sharedCountries = [];
+
+/** Increases with every link read, so only the latest one is shown */
+let shareLoadRequest = 0;
+
+/**
+ * Describe the shared list for the preview heading
+ * @returns {string} - e.g. "A trip: Asia loop"
+ */
+function getShareTitle() {
+  const count = sharedCountries.length;
+  const countries = count + (count === 1 ? " destination" : " destinations");
+
+  if (sharedList.type === "trip") {
+    return "A trip: " + sharedList.name;
+  }
+  if (sharedList.type === "compare") {
+    return countries + " to compare";
+  }
+  return countries + " shared with you";
+}
+
+/**
+ * Describe a shared trip: stops, nights and dates
+ * @returns {string} - e.g. "3 stops · 9 nights · 12 Mar – 21 Mar 2027"
+ */
+function getShareTripSummary() {
+  let nights = 0;
+  const stops = sharedCountries.map(function (country) {
+    const stopNights = sharedList.nights[sharedList.codes.indexOf(country.cca3)];
+    nights += stopNights;
+    return { nights: stopNights };
+  });
+
+  let summary = stops.length + (stops.length === 1 ? " stop" : " stops") + " · " +
+    nights + (nights === 1 ? " night" : " nights");
+
+  const dates = getTripStopDates({ startDate: sharedList.startDate, stops: stops });
+  if (dates && dates.length > 0) {
+    summary += " · " + formatStopDates({ arrive: dates[0].arrive, depart: dates[dates.length - 1].depart });
+  }
+  return summary;
+}
+
+/**
+ * Show the preview of the loaded countries
+ */
+function renderSharePreview() {
+  const hasCountries = sharedCountries.length > 0;
+
+  document.getElementById("share-empty").hidden = hasCountries;
+  document.getElementById("share-content").hidden = !hasCountries;
+  if (!hasCountries) {
+    return;
+  }
+
+  document.getElementById("share-title").textContent = getShareTitle();
+  document.getElementById("share-summary").textContent =
+    sharedList.type === "trip" ? getShareTripSummary() : "";
+
+  const saveTripBtn = document.getElementById("share-save-trip");
+  saveTripBtn.hidden = sharedList.type !== "trip";
+
+  const compareLink = document.getElementById("share-open-compare");
+  compareLink.hidden = sharedList.type !== "compare" || sharedCountries.length < 2;
+  compareLink.href = getCompareHref(sharedCountries.slice(0, COMPARE_LIMIT).map(function (country) {
+    return country.cca3;
+  }));
+
+  const mapContainer = document.getElementById("share-map-container");
+  mapContainer.classList.add("active");
+  if (!shareMap) {
+    shareMap = initMap("share-map");
+  }
+  displayResults(sharedCountries, "share-grid", shareMap, shareMarkers);
+  setTimeout(function () {
+    if (shareMap) {
+      shareMap.invalidateSize();
+    }
+  }, 200);
+}
+
+/**
+ * Look up a link's countries in one batched request, falling back
+ * to one request per country if the batch fails, so one failure
+ * doesn't lose the rest
+ * @param {Array} codes - cca3 codes from the link
+ * @returns {Array} - For each code: the country, null if it wasn't
+ *   found, or undefined if it couldn't be loaded
+ */
+async function loadSharedCountries(codes) {
+  try {
+    const countries = await countryData.byCodes(codes);
+    return codes.map(function (code) {
+      return countries.find(function (country) {
+        return country.cca3 === code;
+      }) || null;
+    });
+  } catch (error) {
+    console.warn("Batched lookup failed, loading shared countries one by one:", error);
+  }
+
+  return Promise.all(codes.map(function (code) {
+    return countryData.byCode(code).catch(function (error) {
+      console.error("Error loading shared country " + code + ":", error);
+      return undefined;
+    });
+  }));
+}
+
+/**
+ * Read the link and load its countries
+ */
+async function loadSharedList() {
+  shareLoadRequest++;
+  const request = shareLoadRequest;
+  const match = /(?:^#|&)s=([\w-]+)/.exec(window.location.hash);
+  let list = null;
+
+  if (match) {
+    try {
+      list = parseShareText(await decodeShareText(match[1]));
+    } catch (error) {
+      console.error("Could not read share link:", error);
+    }
+  }
+
+  // The hash has changed again while this link was being read
+  if (request !== shareLoadRequest) {
+    return;
+  }
+
+  if (!list) {
+    sharedList = null;
+    sharedCountries = [];
+    renderSharePreview();
+    if (match) {
+      showFeedback("share-feedback", "This share link is incomplete or damaged. Ask for it to be sent again.", "error");
+    }
+    return;
+  }
+
+  toggleSpinner("share-spinner", true);
+
+  const results = await loadSharedCountries(list.codes);
+
+  // A newer link is loading - leave the preview to it
+  if (request !== shareLoadRequest) {
+    return;
+  }
+
+  toggleSpinner("share-spinner", false);
+
+  const countries = [];
+  let failed = false;
+  results.forEach(function (country) {
+    if (country) {
+      countries.push(country);
+    } else if (country === undefined) {
+      failed = true;
+    }
+  });
+  // Only now replace what's previewed, so the list and its
+  // countries always come from the same link
+  sharedList = list;
+  sharedCountries = countries;
+
+  if (failed) {
+    showFeedback("share-feedback",
+      "Some countries couldn't be loaded. Please check your connection and try again.", "error");
+  } else if (sharedCountries.length < sharedList.codes.length) {
+    showFeedback("share-feedback", "Some of the shared countries couldn't be found.", "info");
+  }
+
+  renderSharePreview();
+}
+
+/**
+ * Add the shared countries to the visitor's favourites,
+ * skipping any already saved
+ */
+function saveSharedFavourites() {
+  const favs = getFavourites();
+  let added = 0;
+
+  sharedCountries.forEach(function (country) {
+    if (findFavouriteIndex(favs, country) === -1) {
+      favs.push(createFavouriteSnapshot(country));
+      added++;
+    }
+  });
+  if (!saveFavourites(favs)) {
+    return;
+  }
+
+  const skipped = sharedCountries.length - added;
+  let message = "Added " + added + (added === 1 ? " destination" : " destinations") + " to your favourites.";
+  if (added === 0) {
+    message = "These are all in your favourites already.";
+  } else if (skipped > 0) {
+    message += " " + skipped + (skipped === 1 ? " was" : " were") + " already saved.";
+  }
+  showFeedback("share-feedback", message, "success");
+}
+
+/**
+ * Save a shared trip as a new trip in the planner
+ */
+function saveSharedTrip() {
+  const data = getItineraryData();
+  const trip = createTrip(data, sharedList.name);
+  trip.startDate = sharedList.startDate;
+
+  sharedCountries.forEach(function (country) {
+    const stop = createTripStop(country);
+    stop.nights = sharedList.nights[sharedList.codes.indexOf(country.cca3)];
+    trip.stops.push(stop);
+  });
+  saveItineraryData(data);
+
+  const btn = document.getElementById("share-save-trip");
+  btn.disabled = true;
+  btn.textContent = "Saved as a trip";
+  showFeedback("share-feedback", 'Saved as "' + trip.name + '" - open Trips to see it.', "success");
+}
+
+/**
+ * Set up shared.html
+ */
+function initSharePage() {
+  document.getElementById("share-save-favourites").addEventListener("click", saveSharedFavourites);
+  document.getElementById("share-save-trip").addEventListener("click", saveSharedTrip);
+
+  // Another link pasted into the address bar
+  window.addEventListener("hashchange", function () {
+    const saveTripBtn = document.getElementById("share-save-trip");
+    saveTripBtn.disabled = false;
+    saveTripBtn.textContent = "Save as a trip";
+    loadSharedList();
+  });
+
+  loadSharedList();
+}
+
+/* ──────────────────────────────────────────────
+   INITIALISATION
+   ────────────────────────────────────────────── */
+
+document.addEventListener("DOMContentLoaded", function () {
+  document.querySelectorAll("[data-share]").forEach(function (btn) {
+    btn.addEventListener("click", function () {
+      shareFromButton(btn);
+    });
+  });
+
+  if (document.getElementById("share-grid")) {
+    initSharePage();
+  }
+});
@@ -0,0 +1,86 @@
+/* jshint esversion: 8, browser: true */
+/* ══════════════════════════════════════════════
+   sw-register.js - Service Worker Registration
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - Registering sw.js so the site works offline
+   - Showing an "update available" banner when a new
+     version has been deployed
+   - Reloading onto the new version once the user
+     accepts
+
+   Demonstrates: feature detection, Service Worker
+   registration and lifecycle events, DOM creation
+   ══════════════════════════════════════════════ */
+
+/** Set once the user accepts an update, so only that reloads the page */
+let updateAccepted = false;
+
+/**
+ * Show a banner offering to reload onto the new version
+ * @param {ServiceWorker} worker - The installed, waiting worker
+ */
+function showUpdateBanner(worker) {
+  if (document.getElementById("update-banner")) {
+    return;
+  }
+
+  const banner = document.createElement("div");
+  banner.id = "update-banner";
+  banner.className = "update-banner";
+  banner.setAttribute("role", "status");
+  banner.innerHTML = "<span>A new version of Wanderlust is available.</span>" +
+    '<button type="button" class="update-btn">Reload</button>';
+
+  banner.querySelector(".update-btn").addEventListener("click", function () {
+    this.disabled = true;
+    updateAccepted = true;
+    // The controllerchange listener reloads once it takes over
+    worker.postMessage({ type: "SKIP_WAITING" });
+  });
+
+  document.body.appendChild(banner);
+}
+
+/**
+ * Watch a worker that is installing and offer the update
+ * once it is ready (only if an older version is in control)
+ * @param {ServiceWorker} worker - The installing worker
+ */
+function trackInstallingWorker(worker) {
+  worker.addEventListener("statechange", function () {
+    if (worker.state === "installed" && navigator.serviceWorker.controller) {
+      showUpdateBanner(worker);
+    }
+  });
+}
+
+if ("serviceWorker" in navigator) {
+  window.addEventListener("load", async function () {
+    try {
+      const registration = await navigator.serviceWorker.register("sw.js");
+
+      // An update may already be waiting from an earlier visit
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration.waiting);
+      }
+
+      registration.addEventListener("updatefound", function () {
+        trackInstallingWorker(registration.installing);
+      });
+    } catch (error) {
+      // The site still works online without the service worker
+      console.warn("Service worker registration failed:", error);
+    }
+  });
+
+  // Reload once the accepted update has taken over (the first
+  // install also changes controller, but needs no reload)
+  navigator.serviceWorker.addEventListener("controllerchange", function () {
+    if (updateAccepted) {
+      updateAccepted = false;
+      window.location.reload();
+    }
+  });
+}
@@ -0,0 +1,407 @@
+/* jshint esversion: 8, browser: true */
+/* global L, loadBorders */
+/* ══════════════════════════════════════════════
+   tiles.js - Map Tile Providers
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - The background map styles each map can show:
+     OpenStreetMap and other servers that need no
+     key, satellite and terrain styles once a key
+     is configured, and any extra (e.g. self-hosted)
+     servers added in configuration
+   - A layer switcher on every map, remembering the
+     user's choice in localStorage
+   - Falling back when tiles keep failing to load
+     (e.g. offline, or the server is down) to a
+     bundled low-zoom tile set if one is configured,
+     or else to a plain outline map drawn from the
+     bundled borders, so the map is never a grey box
+
+   Demonstrates: configuration merging, Leaflet tile
+   and layer controls, Leaflet events, Map,
+   online/offline events, localStorage
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   CONFIGURATION
+   Set window.WANDERLUST_CONFIG.tiles (e.g. in the
+   git-ignored assets/js/config.js):
+   { defaultProvider: "osm",
+     keys: { maptiler: "...", thunderforest: "..." },
+     providers: [{ id, name, url, attribution,
+                   maxZoom, subdomains }],
+     offlineUrl: "assets/tiles/{z}/{x}/{y}.png",
+     offlineMaxZoom: 4 }
+   Extra providers are added after the built-in
+   ones, replacing any with the same id.
+   ────────────────────────────────────────────── */
+
+/** Attribution required by OpenStreetMap data */
+const OSM_ATTRIBUTION =
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+/**
+ * Built-in tile providers. keyName marks providers that need an
+ * API key from the configuration; they're hidden until it is set,
+ * and the key fills the {key} placeholder in the url.
+ */
+const TILE_PROVIDERS = [
+  {
+    id: "osm",
+    name: "OpenStreetMap",
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    attribution: OSM_ATTRIBUTION,
+    maxZoom: 18
+  },
+  {
+    id: "osm-hot",
+    name: "OpenStreetMap Humanitarian",
+    url: "https://{s}.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png",
+    attribution: OSM_ATTRIBUTION + ', style by <a href="https://www.hotosm.org/">HOT</a>, ' +
+      'hosted by <a href="https://openstreetmap.fr/">OpenStreetMap France</a>',
+    maxZoom: 19
+  },
+  {
+    id: "topo",
+    name: "Terrain (OpenTopoMap)",
+    url: "https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png",
+    attribution: OSM_ATTRIBUTION + ", SRTM | Style: &copy; " +
+      '<a href="https://opentopomap.org">OpenTopoMap</a> ' +
+      '(<a href="https://creativecommons.org/licenses/by-sa/3.0/">CC-BY-SA</a>)',
+    maxZoom: 17
+  },
+  {
+    id: "satellite",
+    name: "Satellite (MapTiler)",
+    url: "https://api.maptiler.com/maps/satellite/{z}/{x}/{y}.jpg?key={key}",
+    keyName: "maptiler",
+    attribution: '<a href="https://www.maptiler.com/copyright/">&copy; MapTiler</a> ' +
+      OSM_ATTRIBUTION,
+    maxZoom: 19,
+    tileSize: 512,
+    zoomOffset: -1
+  },
+  {
+    id: "landscape",
+    name: "Landscape (Thunderforest)",
+    url: "https://{s}.tile.thunderforest.com/landscape/{z}/{x}/{y}.png?apikey={key}",
+    keyName: "thunderforest",
+    attribution: 'Maps &copy; <a href="https://www.thunderforest.com/">Thunderforest</a>, ' +
+      OSM_ATTRIBUTION,
+    maxZoom: 18
+  }
+];
+
+/** LocalStorage key for the user's chosen provider */
+const TILE_PROVIDER_KEY = "wanderlust-tile-provider";
+
+/** Failed tiles in a row before falling back */
+const TILE_FAILURE_LIMIT = 6;
+
+/** Default tile settings */
+const DEFAULT_TILE_SETTINGS = {
+  defaultProvider: "osm",
+  keys: {},
+  providers: [],
+  offlineUrl: "",
+  offlineMaxZoom: 4
+};
+
+/** Land style for the outline map (the sea is the map background) */
+const OUTLINE_STYLE = {
+  color: "#8FA6BA",
+  weight: 0.6,
+  fillColor: "#F4F1EA",
+  fillOpacity: 1
+};
+
+/**
+ * Work out which tile settings apply on this page
+ * @returns {object} - Tile settings merged over the defaults
+ */
+function getTileSettings() {
+  const config = window.WANDERLUST_CONFIG && window.WANDERLUST_CONFIG.tiles;
+  return Object.assign({}, DEFAULT_TILE_SETTINGS, config || {});
+}
+
+/**
+ * List the providers that can be used with these settings
+ * @param {object} settings - Tile settings
+ * @returns {Array} - Provider definitions, built-in ones first
+ */
+function getAvailableTileProviders(settings) {
+  const extraIds = settings.providers.map(function (provider) {
+    return provider.id;
+  });
+
+  return TILE_PROVIDERS.filter(function (provider) {
+    return extraIds.indexOf(provider.id) === -1;
+  }).concat(settings.providers).filter(function (provider) {
+    return !provider.keyName || Boolean(settings.keys[provider.keyName]);
+  });
+}
+
+/**
+ * Read the user's saved provider choice
+ * @returns {string|null} - Provider id, or null if none is saved
+ */
+function getSavedTileProvider() {
+  try {
+    return localStorage.getItem(TILE_PROVIDER_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Remember the user's provider choice
+ * @param {string} id - Provider id
+ */
+function saveTileProvider(id) {
+  try {
+    localStorage.setItem(TILE_PROVIDER_KEY, id);
+  } catch (error) {
+    console.error("Error saving map style:", error);
+  }
+}
+
+/* ──────────────────────────────────────────────
+   BASE LAYERS
+   ────────────────────────────────────────────── */
+
+/**
+ * Create the tile layer for a provider
+ * @param {object} provider - Provider definition
+ * @param {object} settings - Tile settings (for API keys)
+ * @returns {object} - Leaflet tile layer
+ */
+function createProviderLayer(provider, settings) {
+  const options = {
+    attribution: provider.attribution || "",
+    maxZoom: provider.maxZoom || 18,
+    key: provider.keyName ? settings.keys[provider.keyName] : ""
+  };
+
+  if (provider.subdomains) {
+    options.subdomains = provider.subdomains;
+  }
+  if (provider.tileSize) {
+    options.tileSize = provider.tileSize;
+    options.zoomOffset = provider.zoomOffset || 0;
+  }
+
+  return L.tileLayer(provider.url, options);
+}
+
+/**
+ * Create the outline map: every country's border on a plain
+ * sea background, loaded from the bundled borders (borders.js)
+ * the first time it is shown
+ * @param {object} mapInstance - Leaflet map instance
+ * @returns {object} - Leaflet layer group
+ */
+function createOutlineLayer(mapInstance) {
+  // Own pane, so the outlines sit below result shading and markers
+  if (!mapInstance.getPane("outlinePane")) {
+    mapInstance.createPane("outlinePane").style.zIndex = 250;
+  }
+
+  const group = L.layerGroup();
+  let loading = false;
+
+  group.on("add", function () {
+    mapInstance.getContainer().classList.add("map-outline-base");
+    if (loading || group.getLayers().length > 0) {
+      return;
+    }
+
+    loading = true;
+    loadBorders().then(function (borders) {
+      group.addLayer(L.geoJSON({
+        type: "FeatureCollection",
+        features: Object.values(borders)
+      }, {
+        pane: "outlinePane",
+        style: OUTLINE_STYLE,
+        interactive: false,
+        attribution: 'Borders: <a href="https://www.naturalearthdata.com/">Natural Earth</a>'
+      }));
+    }).catch(function (error) {
+      console.warn("Could not load the outline map:", error);
+    }).then(function () {
+      loading = false;
+    });
+  });
+
+  group.on("remove", function () {
+    mapInstance.getContainer().classList.remove("map-outline-base");
+  });
+
+  return group;
+}
+
+/* ──────────────────────────────────────────────
+   FALLBACK
+   ────────────────────────────────────────────── */
+
+/** Tile state for each Leaflet map: { layers, chosen, fallback, usingFallback, switching, notice } */
+const mapTileStates = new Map();
+
+/**
+ * Swap a map's base layer without saving it as the user's choice
+ * @param {object} mapInstance - Leaflet map instance
+ * @param {object} state - The map's tile state
+ * @param {object} layer - Base layer to show
+ */
+function switchBaseLayer(mapInstance, state, layer) {
+  state.switching = true;
+  Object.keys(state.layers).forEach(function (id) {
+    if (state.layers[id] !== layer && mapInstance.hasLayer(state.layers[id])) {
+      mapInstance.removeLayer(state.layers[id]);
+    }
+  });
+  layer.addTo(mapInstance);
+  state.switching = false;
+}
+
+/**
+ * Show or hide the "tiles unavailable" notice on a map
+ * @param {object} mapInstance - Leaflet map instance
+ * @param {object} state - The map's tile state
+ * @param {boolean} visible - True to show it
+ */
+function setTileNotice(mapInstance, state, visible) {
+  if (!visible) {
+    if (state.notice) {
+      state.notice.remove();
+      state.notice = null;
+    }
+    return;
+  }
+
+  if (!state.notice) {
+    state.notice = L.control({ position: "bottomleft" });
+    state.notice.onAdd = function () {
+      const div = L.DomUtil.create("div", "map-notice");
+      div.setAttribute("role", "status");
+      div.textContent = "Map tiles couldn't be loaded, so a simplified map is shown.";
+      return div;
+    };
+    state.notice.addTo(mapInstance);
+  }
+}
+
+/**
+ * Fall back once a tile layer has failed several tiles in a row
+ * @param {object} mapInstance - Leaflet map instance
+ * @param {object} state - The map's tile state
+ * @param {object} layer - The tile layer to watch
+ */
+function watchTileFailures(mapInstance, state, layer) {
+  let failures = 0;
+
+  layer.on("tileload", function () {
+    failures = 0;
+  });
+
+  layer.on("tileerror", function () {
+    failures++;
+    if (failures < TILE_FAILURE_LIMIT || !mapInstance.hasLayer(layer)) {
+      return;
+    }
+    failures = 0;
+
+    // If the bundled tiles are the ones failing, use the outline
+    const fallback = layer === state.fallback ? state.layers.outline : state.fallback;
+    switchBaseLayer(mapInstance, state, fallback);
+    state.usingFallback = true;
+    setTileNotice(mapInstance, state, true);
+  });
+}
+
+/* ──────────────────────────────────────────────
+   SETTING UP A MAP
+   ────────────────────────────────────────────── */
+
+/**
+ * Add the background map and layer switcher to a map
+ * (called by initMap in script.js)
+ * @param {object} mapInstance - Leaflet map instance
+ */
+function addBaseLayers(mapInstance) {
+  const settings = getTileSettings();
+  const state = {
+    layers: {},
+    chosen: "",
+    fallback: null,
+    usingFallback: false,
+    switching: false,
+    notice: null
+  };
+  const baseLayers = {};
+
+  getAvailableTileProviders(settings).forEach(function (provider) {
+    const layer = createProviderLayer(provider, settings);
+    state.layers[provider.id] = layer;
+    baseLayers[provider.name] = layer;
+    watchTileFailures(mapInstance, state, layer);
+  });
+
+  // A bundled low-zoom tile set, stretched when zoomed in further
+  if (settings.offlineUrl) {
+    const offline = L.tileLayer(settings.offlineUrl, {
+      attribution: OSM_ATTRIBUTION,
+      maxNativeZoom: settings.offlineMaxZoom,
+      maxZoom: 18
+    });
+    state.layers.offline = offline;
+    baseLayers["Offline map"] = offline;
+    watchTileFailures(mapInstance, state, offline);
+  }
+
+  state.layers.outline = createOutlineLayer(mapInstance);
+  baseLayers["Outline (offline)"] = state.layers.outline;
+  state.fallback = state.layers.offline || state.layers.outline;
+
+  // The saved choice, else the configured default, else the first
+  const ids = Object.keys(state.layers);
+  const saved = getSavedTileProvider();
+  if (saved && ids.indexOf(saved) !== -1) {
+    state.chosen = saved;
+  } else if (ids.indexOf(settings.defaultProvider) !== -1) {
+    state.chosen = settings.defaultProvider;
+  } else {
+    state.chosen = ids[0];
+  }
+
+  state.layers[state.chosen].addTo(mapInstance);
+  L.control.layers(baseLayers, null, { position: "topright" }).addTo(mapInstance);
+  mapTileStates.set(mapInstance, state);
+
+  // Remember styles the user picks (not automatic fallbacks)
+  mapInstance.on("baselayerchange", function (event) {
+    if (state.switching) {
+      return;
+    }
+
+    const id = ids.find(function (key) {
+      return state.layers[key] === event.layer;
+    });
+    state.chosen = id;
+    state.usingFallback = false;
+    setTileNotice(mapInstance, state, false);
+    saveTileProvider(id);
+  });
+}
+
+// Coming back online, return fallen-back maps to the chosen style
+window.addEventListener("online", function () {
+  mapTileStates.forEach(function (state, mapInstance) {
+    if (state.usingFallback) {
+      switchBaseLayer(mapInstance, state, state.layers[state.chosen]);
+      state.usingFallback = false;
+      setTileNotice(mapInstance, state, false);
+    }
+  });
+});
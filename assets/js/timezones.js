@@ -0,0 +1,338 @@
+/* jshint esversion: 8, browser: true */
+/* ══════════════════════════════════════════════
+   timezones.js - Local Time & Timezones
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - The local time panel on every country card
+     (see createCountryCard in script.js) and in
+     the detail view (see country-detail.js)
+   - Turning the API's timezones ("UTC+09:00") into
+     the current time in each zone, kept ticking
+     once a minute
+   - How far ahead or behind the user each zone is
+   - A "good time to call?" hint from office hours
+   - Countries spread over several zones (e.g. the
+     US or Russia) show the range of local times,
+     with the full list behind a <details> toggle
+
+   The API gives fixed UTC offsets rather than
+   named zones, so daylight saving in the country
+   itself isn't accounted for.
+
+   Demonstrates: Date arithmetic, regular expressions,
+   setTimeout scheduling, <details>/<summary>,
+   data attributes
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   SETTINGS
+   ────────────────────────────────────────────── */
+
+/** Matches a timezone from the API: "UTC", "UTC+09:00", "UTC-03:30" */
+const UTC_OFFSET_PATTERN = /^UTC(?:([+-])(\d{2}):(\d{2}))?$/;
+
+/** Local hours counted as office hours, Monday to Friday */
+const OFFICE_HOURS = { start: 9, end: 17 };
+
+/** Local hours when a call is unlikely to wake anyone */
+const WAKING_HOURS = { start: 8, end: 21 };
+
+/** Day names, indexed by Date.getUTCDay() */
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/** Timer for the next tick of the clocks */
+let timezoneTimer = null;
+
+/* ──────────────────────────────────────────────
+   OFFSETS & LOCAL TIMES
+   ────────────────────────────────────────────── */
+
+/**
+ * Read a UTC offset from the API's timezone text
+ * @param {string} timezone - e.g. "UTC+05:45"
+ * @returns {number|null} - Minutes ahead of UTC (345), or null if unreadable
+ */
+function parseUtcOffset(timezone) {
+  const match = String(timezone).trim().match(UTC_OFFSET_PATTERN);
+  if (!match) {
+    return null;
+  }
+  if (!match[1]) {
+    return 0;
+  }
+
+  const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+  return match[1] === "+" ? minutes : -minutes;
+}
+
+/**
+ * List a country's distinct UTC offsets, west to east
+ * @param {object} country - Country object from REST Countries API
+ * @returns {Array} - Offsets in minutes
+ */
+function getCountryOffsets(country) {
+  const offsets = [];
+  (country.timezones || []).forEach(function (timezone) {
+    const offset = parseUtcOffset(timezone);
+    if (offset !== null && offsets.indexOf(offset) === -1) {
+      offsets.push(offset);
+    }
+  });
+
+  return offsets.sort(function (a, b) {
+    return a - b;
+  });
+}
+
+/**
+ * Write an offset the way the API does
+ * @param {number} offset - Minutes ahead of UTC
+ * @returns {string} - e.g. "UTC+09:00", or "UTC" for 0
+ */
+function formatUtcOffset(offset) {
+  if (offset === 0) {
+    return "UTC";
+  }
+
+  const minutes = Math.abs(offset);
+  return "UTC" + (offset > 0 ? "+" : "-") +
+    String(Math.floor(minutes / 60)).padStart(2, "0") + ":" +
+    String(minutes % 60).padStart(2, "0");
+}
+
+/**
+ * The user's own UTC offset right now
+ * @returns {number} - Minutes ahead of UTC
+ */
+function getUserOffset() {
+  return -new Date().getTimezoneOffset();
+}
+
+/**
+ * Work out the time in a zone. The returned Date is shifted so
+ * that its UTC fields (getUTCHours etc.) read as the local time.
+ * @param {number} offset - Minutes ahead of UTC
+ * @returns {Date} - The shifted date
+ */
+function getZoneDate(offset) {
+  return new Date(Date.now() + offset * 60000);
+}
+
+/**
+ * Format a zone's local time, noting when it's already
+ * tomorrow (or still yesterday) for the user
+ * @param {number} offset - Minutes ahead of UTC
+ * @returns {string} - e.g. "Tue 14:05" or "Wed 02:05 (tomorrow)"
+ */
+function formatZoneTime(offset) {
+  const zone = getZoneDate(offset);
+  const user = getZoneDate(getUserOffset());
+
+  let text = WEEKDAY_NAMES[zone.getUTCDay()] + " " +
+    String(zone.getUTCHours()).padStart(2, "0") + ":" +
+    String(zone.getUTCMinutes()).padStart(2, "0");
+
+  // Compare calendar days, ignoring the time
+  const zoneDay = Date.UTC(zone.getUTCFullYear(), zone.getUTCMonth(), zone.getUTCDate());
+  const userDay = Date.UTC(user.getUTCFullYear(), user.getUTCMonth(), user.getUTCDate());
+  if (zoneDay > userDay) {
+    text += " (tomorrow)";
+  } else if (zoneDay < userDay) {
+    text += " (yesterday)";
+  }
+  return text;
+}
+
+/**
+ * Describe how far a zone is from the user
+ * @param {number} offset - Minutes ahead of UTC
+ * @returns {string} - e.g. "8h ahead of you", "5h 30m behind you"
+ */
+function formatOffsetFromUser(offset) {
+  const difference = offset - getUserOffset();
+  if (difference === 0) {
+    return "Same time as you";
+  }
+
+  const minutes = Math.abs(difference);
+  let text = Math.floor(minutes / 60) + "h";
+  if (minutes % 60 !== 0) {
+    text += " " + (minutes % 60) + "m";
+  }
+  return text + (difference > 0 ? " ahead of you" : " behind you");
+}
+
+/**
+ * Judge whether now is a good time to call a zone
+ * @param {number} offset - Minutes ahead of UTC
+ * @returns {object} - { level: "good" | "fair" | "poor", label }
+ */
+function getCallHint(offset) {
+  const zone = getZoneDate(offset);
+  const hour = zone.getUTCHours();
+  const weekday = zone.getUTCDay() !== 0 && zone.getUTCDay() !== 6;
+
+  if (weekday && hour >= OFFICE_HOURS.start && hour < OFFICE_HOURS.end) {
+    return { level: "good", label: "Good time to call" };
+  }
+  if (hour >= WAKING_HOURS.start && hour < WAKING_HOURS.end) {
+    return {
+      level: "fair",
+      label: weekday ? "Outside office hours" : "Weekend - offices closed"
+    };
+  }
+  return { level: "poor", label: "Probably asleep" };
+}
+
+/* ──────────────────────────────────────────────
+   THE TIME PANEL
+   The HTML holds each zone's offset in a
+   data-offset attribute; refreshTimezones fills in
+   the times and hints, and is run again every
+   minute while any panel is on the page
+   ────────────────────────────────────────────── */
+
+/**
+ * Build one zone's row (times are filled in by refreshTimezones)
+ * @param {number} offset - Minutes ahead of UTC
+ * @returns {string} - HTML for the row
+ */
+function buildZoneRow(offset) {
+  return '<li class="tz-zone" data-offset="' + offset + '">' +
+    '<span class="tz-time"></span> ' +
+    '<span class="tz-label">' + formatUtcOffset(offset) + "</span>" +
+    '<span class="tz-diff"></span>' +
+    '<span class="tz-hint"></span></li>';
+}
+
+/**
+ * Build the time panel for a country
+ * @param {object} country - Country object from REST Countries API
+ * @param {boolean} open - True to show every zone straight away
+ * @returns {string} - HTML for the panel, "" if there are no usable timezones
+ */
+function buildTimezoneHTML(country, open) {
+  const offsets = getCountryOffsets(country);
+  if (offsets.length === 0) {
+    return "";
+  }
+
+  // One zone: just the row
+  if (offsets.length === 1) {
+    return '<ul class="tz-list tz-single">' + buildZoneRow(offsets[0]) + "</ul>";
+  }
+
+  // Several zones: the range, with every zone behind a toggle
+  const first = offsets[0];
+  const last = offsets[offsets.length - 1];
+  let html = '<details class="tz-panel"' + (open ? " open" : "") + ">";
+  html += '<summary><span class="tz-range" data-first="' + first +
+    '" data-last="' + last + '"></span> ' +
+    '<span class="tz-label">' + formatUtcOffset(first) + " to " +
+    formatUtcOffset(last) + " &middot; " + offsets.length + " time zones</span>" +
+    '<span class="tz-hint tz-range-hint"></span></summary>';
+  html += '<ul class="tz-list">';
+  offsets.forEach(function (offset) {
+    html += buildZoneRow(offset);
+  });
+  html += "</ul></details>";
+  return html;
+}
+
+/**
+ * Show a call hint in an element, coloured by its level
+ * @param {HTMLElement} element - The .tz-hint element
+ * @param {object} hint - { level, label }
+ */
+function setCallHint(element, hint) {
+  element.textContent = hint.label;
+  element.className = element.className.replace(/\s*tz-hint-\w+/g, "") +
+    " tz-hint-" + hint.level;
+}
+
+/**
+ * Fill in (or update) the times and hints of every time
+ * panel inside an element
+ * @param {HTMLElement} root - Element to look in (e.g. document)
+ */
+function refreshTimezones(root) {
+  root.querySelectorAll(".tz-zone").forEach(function (row) {
+    const offset = parseInt(row.dataset.offset, 10);
+    row.querySelector(".tz-time").textContent = formatZoneTime(offset);
+    row.querySelector(".tz-diff").textContent = formatOffsetFromUser(offset);
+    setCallHint(row.querySelector(".tz-hint"), getCallHint(offset));
+  });
+
+  root.querySelectorAll(".tz-panel").forEach(function (panel) {
+    const range = panel.querySelector(".tz-range");
+    range.textContent = formatZoneTime(parseInt(range.dataset.first, 10)) +
+      " – " + formatZoneTime(parseInt(range.dataset.last, 10));
+
+    // Sum up the zones' hints for the collapsed view
+    const rows = panel.querySelectorAll(".tz-zone");
+    const good = panel.querySelectorAll(".tz-zone .tz-hint-good").length;
+    let hint;
+    if (good === rows.length) {
+      hint = { level: "good", label: "Good time to call" };
+    } else if (good > 0) {
+      hint = { level: "good", label: "Office hours in " + good + " of " + rows.length + " zones" };
+    } else if (panel.querySelector(".tz-zone .tz-hint-fair")) {
+      hint = { level: "fair", label: "Outside office hours" };
+    } else {
+      hint = { level: "poor", label: "Probably asleep" };
+    }
+    setCallHint(panel.querySelector(".tz-range-hint"), hint);
+  });
+}
+
+/**
+ * Keep the clocks ticking, updating on the minute. The timer
+ * stops itself once no panels are left on the page.
+ */
+function startTimezoneClock() {
+  if (timezoneTimer) {
+    return;
+  }
+
+  timezoneTimer = setTimeout(function () {
+    timezoneTimer = null;
+    if (!document.querySelector(".tz-zone")) {
+      return;
+    }
+    if (!document.hidden) {
+      refreshTimezones(document);
+    }
+    startTimezoneClock();
+  }, 60000 - Date.now() % 60000);
+}
+
+/**
+ * Create the time panel for a country card
+ * @param {object} country - Country object from REST Countries API
+ * @returns {HTMLElement|null} - The panel, or null without timezones
+ */
+function createTimezonePanel(country) {
+  const html = buildTimezoneHTML(country, false);
+  if (!html) {
+    return null;
+  }
+
+  const panel = document.createElement("div");
+  panel.className = "card-time";
+  panel.innerHTML = '<span class="tz-heading">&#128339; Local time</span>' + html;
+  refreshTimezones(panel);
+  startTimezoneClock();
+  return panel;
+}
+
+/* ──────────────────────────────────────────────
+   INITIALISATION
+   ────────────────────────────────────────────── */
+
+// Catch up straight away when coming back to a hidden tab
+document.addEventListener("visibilitychange", function () {
+  if (!document.hidden) {
+    refreshTimezones(document);
+  }
+});
@@ -0,0 +1,343 @@
+/* jshint esversion: 8, browser: true */
+/* global AbortController, countryData */
+/* ══════════════════════════════════════════════
+   typeahead.js - Search Suggestions
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - Suggesting countries as the user types in
+     search-input and dest-search-input
+   - Matching common and official names, alternate
+     spellings and ISO codes
+   - Keyboard control (arrows, Enter, Escape) and
+     mouse selection
+
+   Follows the WAI-ARIA combobox pattern: the input
+   has role="combobox" and points at the highlighted
+   option with aria-activedescendant.
+
+   Demonstrates: debouncing, AbortController for race
+   conditions, ARIA combobox/listbox, keyboard events
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   SETTINGS
+   ────────────────────────────────────────────── */
+
+/** Delay after the last keystroke before suggesting (ms) */
+const TYPEAHEAD_DELAY = 250;
+
+/** Most suggestions shown at once */
+const TYPEAHEAD_LIMIT = 8;
+
+/* ──────────────────────────────────────────────
+   MATCHING
+   ────────────────────────────────────────────── */
+
+/**
+ * Lower-case a string and strip accents, so "cote"
+ * matches "Côte d'Ivoire"
+ * @param {string} value - Text to normalise
+ * @returns {string} - Normalised text
+ */
+function normaliseForMatch(value) {
+  return value.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+/**
+ * Score how well a country matches the query (lower is better)
+ * @param {object} country - Country summary from countryData.index()
+ * @param {string} query - Normalised query
+ * @returns {number} - Score, or -1 for no match
+ */
+function scoreSuggestion(country, query) {
+  const common = normaliseForMatch(country.name.common);
+  const official = normaliseForMatch(country.name.official || "");
+  const codes = [country.cca2, country.cca3, country.ccn3].map(function (code) {
+    return code ? code.toLowerCase() : "";
+  });
+  const spellings = (country.altSpellings || []).map(normaliseForMatch);
+
+  if (codes.indexOf(query) !== -1) {
+    return 0;
+  }
+  if (common.indexOf(query) === 0) {
+    return 1;
+  }
+  if (common.indexOf(query) !== -1) {
+    return 2;
+  }
+  if (official.indexOf(query) !== -1) {
+    return 3;
+  }
+  for (let i = 0; i < spellings.length; i++) {
+    if (spellings[i].indexOf(query) !== -1) {
+      return 4;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the best matching countries for a query
+ * @param {Array} countries - Country summaries
+ * @param {string} query - Raw query text
+ * @returns {Array} - Up to TYPEAHEAD_LIMIT countries, best first
+ */
+function findSuggestions(countries, query) {
+  const normalised = normaliseForMatch(query.trim());
+  const matches = [];
+
+  for (let i = 0; i < countries.length; i++) {
+    const score = scoreSuggestion(countries[i], normalised);
+    if (score !== -1) {
+      matches.push({ country: countries[i], score: score });
+    }
+  }
+
+  matches.sort(function (a, b) {
+    return a.score - b.score ||
+      a.country.name.common.localeCompare(b.country.name.common);
+  });
+
+  return matches.slice(0, TYPEAHEAD_LIMIT).map(function (match) {
+    return match.country;
+  });
+}
+
+/* ──────────────────────────────────────────────
+   COMBOBOX
+   ────────────────────────────────────────────── */
+
+/**
+ * The code of the suggestion chosen in a search input, if its
+ * text hasn't been edited since (read by the submit handlers
+ * in script.js)
+ * @param {HTMLInputElement} input - The search input
+ * @returns {string} - cca3 code, or "" if no suggestion was chosen
+ */
+function getChosenCountryCode(input) {
+  return input.dataset.countryCode || "";
+}
+
+/**
+ * Turn a search input into an accessible combobox
+ * @param {string} inputId - ID of the search input
+ */
+function initTypeahead(inputId) {
+  const input = document.getElementById(inputId);
+  if (!input || !input.form) {
+    return;
+  }
+
+  const form = input.form;
+  const listId = inputId + "-suggestions";
+  let suggestions = [];
+  let activeIndex = -1;
+  let debounceTimer = null;
+  let abortController = null;
+
+  // Listbox sits after the form, which clips its overflow
+  const list = document.createElement("ul");
+  list.id = listId;
+  list.className = "typeahead-list";
+  list.setAttribute("role", "listbox");
+  list.setAttribute("aria-label", "Country suggestions");
+  list.hidden = true;
+  form.insertAdjacentElement("afterend", list);
+
+  // Screen reader announcement of how many suggestions there are
+  const status = document.createElement("p");
+  status.className = "sr-only";
+  status.setAttribute("role", "status");
+  list.insertAdjacentElement("afterend", status);
+
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-expanded", "false");
+  input.setAttribute("aria-controls", listId);
+
+  /**
+   * Hide the listbox and forget the highlighted option
+   */
+  function close() {
+    list.hidden = true;
+    list.innerHTML = "";
+    suggestions = [];
+    activeIndex = -1;
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+  }
+
+  /**
+   * Highlight one option
+   * @param {number} index - Option index, or -1 for none
+   */
+  function setActive(index) {
+    const options = list.querySelectorAll("[role='option']");
+    activeIndex = index;
+
+    options.forEach(function (option, i) {
+      option.setAttribute("aria-selected", i === index ? "true" : "false");
+    });
+
+    if (index >= 0) {
+      input.setAttribute("aria-activedescendant", options[index].id);
+      options[index].scrollIntoView({ block: "nearest" });
+    } else {
+      input.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  /**
+   * Search for the chosen country. The input shows its name,
+   * and its code is kept in data-country-code so the search
+   * finds exactly that country (a name search for "Niger"
+   * would also find Nigeria) - see getChosenCountryCode
+   * @param {number} index - Index of the chosen suggestion
+   */
+  function choose(index) {
+    const country = suggestions[index];
+    if (!country) {
+      return;
+    }
+
+    input.value = country.name.common;
+    if (country.cca3) {
+      input.dataset.countryCode = country.cca3;
+    }
+    close();
+    form.requestSubmit();
+  }
+
+  /**
+   * Show a list of suggestions
+   * @param {Array} countries - Countries to suggest
+   */
+  function render(countries) {
+    suggestions = countries;
+    activeIndex = -1;
+    list.innerHTML = "";
+
+    if (countries.length === 0) {
+      close();
+      status.textContent = "No suggestions";
+      return;
+    }
+
+    countries.forEach(function (country, i) {
+      const option = document.createElement("li");
+      option.id = listId + "-" + i;
+      option.className = "typeahead-option";
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", "false");
+
+      let html = "";
+      if (country.flags && country.flags.png) {
+        html += '<img class="typeahead-flag" src="' + country.flags.png +
+          '" alt="" loading="lazy" onerror="this.style.visibility=\'hidden\'">';
+      }
+      html += '<span class="typeahead-name">' + country.name.common + "</span>";
+      html += '<span class="typeahead-code">' + country.cca3 + "</span>";
+      option.innerHTML = html;
+
+      // mousedown (not click) so the input doesn't lose focus first
+      option.addEventListener("mousedown", function (event) {
+        event.preventDefault();
+        choose(i);
+      });
+
+      list.appendChild(option);
+    });
+
+    list.hidden = false;
+    input.setAttribute("aria-expanded", "true");
+    input.removeAttribute("aria-activedescendant");
+    status.textContent = countries.length + " suggestion" +
+      (countries.length === 1 ? "" : "s") + " available. Use the up and down arrows to choose.";
+  }
+
+  /**
+   * Fetch the country list and suggest matches for the input
+   */
+  async function suggest() {
+    const query = input.value.trim();
+
+    // Prefixed searches (e.g. "lang:portuguese") aren't country names
+    if (query.length < 2 || query.indexOf(":") !== -1) {
+      close();
+      return;
+    }
+
+    // Cancel any earlier lookup still in flight
+    if (abortController) {
+      abortController.abort();
+    }
+    abortController = new AbortController();
+
+    try {
+      const countries = await countryData.index({ signal: abortController.signal });
+
+      // The user may have kept typing while the list loaded
+      if (input.value.trim() !== query) {
+        return;
+      }
+      render(findSuggestions(countries, query));
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        // Suggestions are optional - searching still works without them
+        console.warn("Could not load suggestions:", error);
+        close();
+      }
+    }
+  }
+
+  input.addEventListener("input", function () {
+    // Editing the text drops the chosen suggestion
+    delete input.dataset.countryCode;
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(suggest, TYPEAHEAD_DELAY);
+  });
+
+  input.addEventListener("keydown", function (event) {
+    if (event.key === "Escape") {
+      if (!list.hidden) {
+        event.preventDefault();
+        close();
+      }
+      return;
+    }
+
+    if (list.hidden || suggestions.length === 0) {
+      return;
+    }
+
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      setActive((activeIndex + 1) % suggestions.length);
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      setActive(activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1);
+    } else if (event.key === "Enter" && activeIndex >= 0) {
+      event.preventDefault();
+      choose(activeIndex);
+    }
+  });
+
+  input.addEventListener("blur", close);
+
+  // A normal submit (typed text, no suggestion chosen) closes the list too
+  form.addEventListener("submit", function () {
+    clearTimeout(debounceTimer);
+    close();
+  });
+}
+
+/* ──────────────────────────────────────────────
+   INITIALISATION
+   ────────────────────────────────────────────── */
+
+document.addEventListener("DOMContentLoaded", function () {
+  initTypeahead("search-input");
+  initTypeahead("dest-search-input");
+});
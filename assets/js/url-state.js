@@ -0,0 +1,241 @@
+/* jshint esversion: 8, browser: true */
+/* global validateSearchInput, searchHome, searchDestinations, filterByRegion, setActiveRegionButton, displayResults, destMap, destMarkers, mainMap, mainMarkers */
+/* ══════════════════════════════════════════════
+   url-state.js - Shareable URL State
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - Reading search, region and sort from the URL
+   - Writing them back with the History API
+   - Restoring the page on load and on back/forward
+   - Handing home page searches off to destinations.html
+
+   Demonstrates: URLSearchParams, History API
+   (pushState, popstate), async/await, defensive
+   validation of untrusted input
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   READING & WRITING THE URL
+   e.g. destinations.html?q=japan&region=Asia&sort=pop-desc
+   ────────────────────────────────────────────── */
+
+/** Sort orders accepted from the URL (match the sort-select options) */
+const URL_SORT_OPTIONS = ["name-asc", "name-desc", "pop-desc", "pop-asc"];
+
+/** Regions accepted from the URL (match the .filter-btn data-region values) */
+const URL_REGIONS = ["all", "Africa", "Americas", "Asia", "Europe", "Oceania"];
+
+/** State currently shown on destinations.html */
+let destinationsState = { q: "", region: "", sort: "name-asc" };
+
+/** Query string of the state currently shown (hash changes don't alter it) */
+let appliedSearch = window.location.search;
+
+/**
+ * Read the page state from the address bar.
+ * Values that don't pass validation are ignored rather than
+ * trusted, because the URL can be edited by anyone.
+ * @returns {object} - { q: string, region: string, sort: string }
+ */
+function readUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  const state = { q: "", region: "", sort: "name-asc" };
+
+  const q = params.get("q");
+  if (q && validateSearchInput(q).valid) {
+    state.q = q.trim();
+  }
+
+  const region = params.get("region");
+  if (region && URL_REGIONS.indexOf(region) !== -1) {
+    state.region = region;
+  }
+
+  const sort = params.get("sort");
+  if (sort && URL_SORT_OPTIONS.indexOf(sort) !== -1) {
+    state.sort = sort;
+  }
+
+  return state;
+}
+
+/**
+ * Build a URL for a page from a state object.
+ * Default values are left out to keep shared links short.
+ * @param {string} page - Page path, e.g. "destinations.html"
+ * @param {object} state - { q, region, sort }
+ * @returns {string} - The page URL with its query string
+ */
+function buildStateUrl(page, state) {
+  const params = new URLSearchParams();
+
+  if (state.q) {
+    params.set("q", state.q);
+  }
+  // "all" only needs recording when browsing, not when searching
+  if (state.region && !(state.q && state.region === "all")) {
+    params.set("region", state.region);
+  }
+  if (state.sort && state.sort !== "name-asc") {
+    params.set("sort", state.sort);
+  }
+
+  const query = params.toString();
+  return page + (query ? "?" + query : "");
+}
+
+/**
+ * Push a new history entry unless the URL is unchanged
+ * @param {string} url - The new page URL
+ */
+function pushUrl(url) {
+  const current = window.location.pathname + window.location.search;
+  if (url !== current) {
+    history.pushState(null, "", url);
+    appliedSearch = window.location.search;
+  }
+}
+
+/* ──────────────────────────────────────────────
+   DESTINATIONS PAGE (destinations.html)
+   ────────────────────────────────────────────── */
+
+/**
+ * Merge changes into the destinations state and record it
+ * in the address bar (called after a search, region click
+ * or sort change)
+ * @param {object} changes - Any of { q, region, sort }
+ */
+function updateDestinationsState(changes) {
+  if (!document.getElementById("dest-grid")) {
+    return;
+  }
+
+  Object.assign(destinationsState, changes);
+  pushUrl(buildStateUrl(window.location.pathname, destinationsState));
+}
+
+/**
+ * Show a state on the destinations page: set the controls
+ * to match, then load the search or region it describes
+ * @param {object} state - { q, region, sort }
+ */
+async function applyDestinationsState(state) {
+  destinationsState = Object.assign({}, state);
+
+  const input = document.getElementById("dest-search-input");
+  if (input) {
+    input.value = state.q;
+  }
+  setActiveRegionButton(state.region || "all");
+
+  const sortSelect = document.getElementById("sort-select");
+  if (sortSelect) {
+    sortSelect.value = state.sort;
+  }
+
+  // The results come back already in the chosen order
+  if (state.q) {
+    await searchDestinations(state.q, state.region || "all", state.sort);
+  } else if (state.region) {
+    await filterByRegion(state.region, state.sort);
+  } else {
+    // Back to the untouched page - clear any results
+    displayResults([], "dest-grid", destMap, destMarkers);
+  }
+}
+
+/* ──────────────────────────────────────────────
+   HOME PAGE (index.html)
+   The search form hands off to the same search on
+   destinations.html. A home page URL that already
+   carries a search (an older link, or a hop to a
+   neighbour in neighbours.js) is still shown in
+   place, with a link to continue on destinations.html
+   ────────────────────────────────────────────── */
+
+/**
+ * Send a home page search on to destinations.html
+ * @param {string} query - The validated search term
+ */
+function handOffHomeSearch(query) {
+  window.location.assign(buildStateUrl("destinations.html", { q: query }));
+}
+
+/**
+ * Record a home page search in the address bar and point the
+ * "Open in Destinations" link at the same search
+ * @param {string} query - The search term
+ */
+function recordHomeSearch(query) {
+  pushUrl(buildStateUrl(window.location.pathname, { q: query }));
+  updateDestinationsLink(query);
+}
+
+/**
+ * Point the results "Open in Destinations" link at a search
+ * @param {string} query - The search term
+ */
+function updateDestinationsLink(query) {
+  const link = document.getElementById("results-dest-link");
+  if (link) {
+    link.href = buildStateUrl("destinations.html", { q: query });
+  }
+}
+
+/**
+ * Show the search described by the home page URL,
+ * or hide the results if there isn't one
+ * @param {object} state - { q, region, sort }
+ */
+async function applyHomeState(state) {
+  const input = document.getElementById("search-input");
+  const resultsSection = document.getElementById("results-section");
+
+  if (input) {
+    input.value = state.q;
+  }
+
+  if (state.q) {
+    await searchHome(state.q);
+    updateDestinationsLink(state.q);
+  } else if (resultsSection) {
+    resultsSection.style.display = "none";
+    displayResults([], "results-grid", mainMap, mainMarkers);
+  }
+}
+
+/* ──────────────────────────────────────────────
+   INITIALISATION
+   Restore state from the URL on load, and again
+   whenever the user steps back or forward
+   ────────────────────────────────────────────── */
+
+/**
+ * Apply the URL state to whichever page is open
+ */
+function applyUrlState() {
+  const state = readUrlState();
+  appliedSearch = window.location.search;
+
+  if (document.getElementById("dest-grid")) {
+    applyDestinationsState(state);
+  } else if (document.getElementById("search-form")) {
+    applyHomeState(state);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+  // Only restore on load when the URL actually carries state
+  if (window.location.search) {
+    applyUrlState();
+  }
+});
+
+window.addEventListener("popstate", function () {
+  // Stepping between hash routes (e.g. #/country/JPN) keeps the same search
+  if (window.location.search !== appliedSearch) {
+    applyUrlState();
+  }
+});
@@ -0,0 +1,471 @@
+/* jshint esversion: 8, browser: true */
+/* global countryData, getFavourites, saveFavourites, renderChoropleth */
+/* ══════════════════════════════════════════════
+   visited.js - Visited Countries Tracker
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - The countries the user has been to, saved in
+     localStorage and kept in step across tabs
+   - A "Mark visited" button on every country card
+     (see createCountryCard in script.js)
+   - Keeping a favourite's journal status (see
+     journal.js) in step: a favourite is "Visited"
+     exactly when its country is marked as visited
+   - The travel stats panel on destinations.html:
+     how much of the world has been visited, by
+     count, population and area, and for each
+     region and subregion
+   - The "Countries I've visited" map colouring is
+     drawn by choropleth.js from getVisitedCodes
+
+   Demonstrates: localStorage, custom events,
+   grouping with lookup objects, percentages,
+   async/await, DOM manipulation
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   SETTINGS
+   ────────────────────────────────────────────── */
+
+/** LocalStorage key for visited countries */
+const VISITED_KEY = "wanderlust-visited";
+
+/** Version of the stored format: { version, countries: [cca3, ...] } */
+const VISITED_VERSION = 1;
+
+/** Event fired on document whenever the visited list changes */
+const VISITED_EVENT = "wanderlust:visitedchange";
+
+/** Code pattern for a stored country */
+const VISITED_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/* ──────────────────────────────────────────────
+   SAVED COUNTRIES
+   ────────────────────────────────────────────── */
+
+/**
+ * Read the codes of the visited countries
+ * @returns {Array} - cca3 codes, e.g. ["FRA", "JPN"]
+ */
+function getVisitedCodes() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(VISITED_KEY));
+    if (!stored || !Array.isArray(stored.countries)) {
+      return [];
+    }
+
+    return stored.countries.filter(function (code, index) {
+      return VISITED_CODE_PATTERN.test(code) && stored.countries.indexOf(code) === index;
+    });
+  } catch (error) {
+    console.error("Error reading visited countries:", error);
+    return [];
+  }
+}
+
+/**
+ * Save the visited countries and let the page know
+ * @param {Array} codes - cca3 codes
+ * @returns {boolean} - True if they were saved
+ */
+function saveVisitedCodes(codes) {
+  try {
+    localStorage.setItem(VISITED_KEY, JSON.stringify({
+      version: VISITED_VERSION,
+      countries: codes
+    }));
+  } catch (error) {
+    console.error("Error saving visited countries:", error);
+    return false;
+  }
+
+  notifyVisitedChange(false);
+  return true;
+}
+
+/**
+ * Fire the visited change event on document
+ * @param {boolean} external - True if another tab made the change
+ */
+function notifyVisitedChange(external) {
+  document.dispatchEvent(new CustomEvent(VISITED_EVENT, {
+    detail: { countries: getVisitedCodes(), external: external }
+  }));
+}
+
+/**
+ * Check whether a country is marked as visited
+ * @param {string} code - cca3 code
+ * @returns {boolean} - True if it is
+ */
+function isVisited(code) {
+  return getVisitedCodes().indexOf(code) !== -1;
+}
+
+/**
+ * Set a favourite's journal status to match whether its
+ * country has been visited. Other statuses are left alone
+ * unless the country stops being visited.
+ * @param {string} code - cca3 code
+ * @param {boolean} visited - True if the country is visited
+ */
+function syncFavouriteVisited(code, visited) {
+  if (typeof getFavourites !== "function") {
+    return;
+  }
+
+  const favs = getFavourites();
+  const fav = favs.find(function (item) {
+    return item.cca3 === code;
+  });
+  if (!fav || (fav.journal.status === "visited") === visited) {
+    return;
+  }
+
+  fav.journal.status = visited ? "visited" : "wishlist";
+  saveFavourites(favs);
+}
+
+/**
+ * Mark a country as visited or not
+ * @param {string} code - cca3 code
+ * @param {boolean} visited - True to mark it as visited
+ */
+function setVisited(code, visited) {
+  const codes = getVisitedCodes();
+  const index = codes.indexOf(code);
+
+  if (visited && index === -1) {
+    codes.push(code);
+  } else if (!visited && index !== -1) {
+    codes.splice(index, 1);
+  } else {
+    return;
+  }
+
+  if (saveVisitedCodes(codes)) {
+    syncFavouriteVisited(code, visited);
+  }
+}
+
+/**
+ * Bring the visited list and the favourites' journals into
+ * agreement: a country counts as visited if either says so.
+ * Covers journals written before the tracker existed, and
+ * favourites saved on pages without this file.
+ */
+function syncVisitedFavourites() {
+  if (typeof getFavourites !== "function") {
+    return;
+  }
+
+  const codes = getVisitedCodes();
+  const favs = getFavourites();
+  let codesChanged = false;
+  let favsChanged = false;
+
+  favs.forEach(function (fav) {
+    if (!fav.cca3) {
+      return;
+    }
+    if (fav.journal.status === "visited" && codes.indexOf(fav.cca3) === -1) {
+      codes.push(fav.cca3);
+      codesChanged = true;
+    } else if (fav.journal.status !== "visited" && codes.indexOf(fav.cca3) !== -1) {
+      fav.journal.status = "visited";
+      favsChanged = true;
+    }
+  });
+
+  if (codesChanged) {
+    saveVisitedCodes(codes);
+  }
+  if (favsChanged) {
+    saveFavourites(favs);
+  }
+}
+
+/* ──────────────────────────────────────────────
+   CARD BUTTONS
+   ────────────────────────────────────────────── */
+
+/**
+ * Show whether a visited button's country has been visited
+ * @param {HTMLElement} btn - The visited button
+ * @param {boolean} visited - True if it has
+ */
+function setVisitedButtonState(btn, visited) {
+  btn.setAttribute("aria-pressed", visited ? "true" : "false");
+  btn.classList.toggle("visited", visited);
+  btn.innerHTML = visited ? "&#10003; Visited" : "Mark visited";
+}
+
+/**
+ * Create the "Mark visited" button for a country card
+ * @param {object} country - The country the card shows
+ * @returns {HTMLElement} - The button
+ */
+function createVisitedButton(country) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "visited-btn";
+  btn.dataset.code = country.cca3;
+  btn.setAttribute("aria-label", "I've been to " +
+    (country.name && country.name.common ? country.name.common : country.cca3));
+  setVisitedButtonState(btn, isVisited(country.cca3));
+
+  btn.addEventListener("click", function (event) {
+    event.stopPropagation();
+    setVisited(country.cca3, btn.getAttribute("aria-pressed") !== "true");
+  });
+
+  return btn;
+}
+
+/**
+ * Bring every visited button, the stats panel and the
+ * map colouring up to date
+ */
+function refreshVisitedControls() {
+  const codes = getVisitedCodes();
+
+  document.querySelectorAll(".visited-btn").forEach(function (btn) {
+    setVisitedButtonState(btn, codes.indexOf(btn.dataset.code) !== -1);
+  });
+
+  renderVisitedStats();
+
+  const metricSelect = document.getElementById("map-metric");
+  if (metricSelect && metricSelect.value === "visited" && typeof renderChoropleth === "function") {
+    renderChoropleth();
+  }
+}
+
+/* ──────────────────────────────────────────────
+   TRAVEL STATS (destinations.html)
+   ────────────────────────────────────────────── */
+
+/** Every country, loaded once for the world totals */
+let visitedWorldPromise = null;
+
+/**
+ * Load every country (once) for the world totals
+ * @returns {Promise<Array>} - Every country
+ */
+function loadVisitedWorld() {
+  if (!visitedWorldPromise) {
+    visitedWorldPromise = countryData.all();
+
+    // Allow a retry if the first load fails
+    visitedWorldPromise.catch(function () {
+      visitedWorldPromise = null;
+    });
+  }
+  return visitedWorldPromise;
+}
+
+/**
+ * Work out the visited totals for the world and each
+ * region and subregion
+ * @param {Array} countries - Every country
+ * @param {Array} codes - cca3 codes of the visited countries
+ * @returns {object} - { visited, total, population, worldPopulation,
+ *   area, worldArea, regions: [{ name, visited, total, subregions }] }
+ */
+function getVisitedStats(countries, codes) {
+  const stats = {
+    visited: 0,
+    total: countries.length,
+    population: 0,
+    worldPopulation: 0,
+    area: 0,
+    worldArea: 0,
+    regions: []
+  };
+  const regions = {};
+
+  countries.forEach(function (country) {
+    const visited = codes.indexOf(country.cca3) !== -1;
+    const population = typeof country.population === "number" ? country.population : 0;
+    const area = country.area > 0 ? country.area : 0;
+    const regionName = country.region || "Other";
+    const subregionName = country.subregion || regionName;
+
+    stats.worldPopulation += population;
+    stats.worldArea += area;
+    if (visited) {
+      stats.visited++;
+      stats.population += population;
+      stats.area += area;
+    }
+
+    if (!regions[regionName]) {
+      regions[regionName] = { name: regionName, visited: 0, total: 0, subregions: {} };
+    }
+    const region = regions[regionName];
+    if (!region.subregions[subregionName]) {
+      region.subregions[subregionName] = { name: subregionName, visited: 0, total: 0 };
+    }
+    const subregion = region.subregions[subregionName];
+
+    region.total++;
+    subregion.total++;
+    if (visited) {
+      region.visited++;
+      subregion.visited++;
+    }
+  });
+
+  const byName = function (a, b) {
+    return a.name.localeCompare(b.name);
+  };
+  stats.regions = Object.values(regions).sort(byName).map(function (region) {
+    region.subregions = Object.values(region.subregions).sort(byName);
+    return region;
+  });
+
+  return stats;
+}
+
+/**
+ * Format a share of a total as a percentage
+ * @param {number} part - The part
+ * @param {number} total - The total
+ * @returns {string} - e.g. "4.8%" (or "<0.1%" for tiny shares)
+ */
+function formatVisitedPercent(part, total) {
+  if (!total || !part) {
+    return "0%";
+  }
+
+  const percent = part / total * 100;
+  if (percent < 0.1) {
+    return "<0.1%";
+  }
+  return percent.toLocaleString(undefined, { maximumFractionDigits: 1 }) + "%";
+}
+
+/**
+ * Build a progress bar row for a region or subregion
+ * @param {object} item - { name, visited, total }
+ * @param {string} className - Row class
+ * @returns {string} - Row HTML
+ */
+function buildVisitedRow(item, className) {
+  const percent = item.total ? Math.round(item.visited / item.total * 100) : 0;
+
+  return '<div class="' + className + '">' +
+    '<span class="visited-row-name">' + item.name + "</span>" +
+    '<span class="visited-row-count">' + item.visited + " / " + item.total + "</span>" +
+    '<span class="visited-bar" role="img" aria-label="' + percent + '% visited">' +
+      '<span class="visited-bar-fill" style="width:' + percent + '%"></span>' +
+    "</span></div>";
+}
+
+/**
+ * Build the stats panel contents
+ * @param {object} stats - From getVisitedStats
+ * @returns {string} - Panel HTML
+ */
+function buildVisitedStatsHTML(stats) {
+  const compact = { notation: "compact", maximumFractionDigits: 1 };
+
+  let html = '<div class="visited-totals">' +
+    '<div class="visited-total"><span class="visited-total-value">' + stats.visited +
+      '</span><span class="visited-total-label">of ' + stats.total + " countries (" +
+      formatVisitedPercent(stats.visited, stats.total) + ")</span></div>" +
+    '<div class="visited-total"><span class="visited-total-value">' +
+      stats.population.toLocaleString(undefined, compact) +
+      '</span><span class="visited-total-label">people live there (' +
+      formatVisitedPercent(stats.population, stats.worldPopulation) + " of the world)</span></div>" +
+    '<div class="visited-total"><span class="visited-total-value">' +
+      stats.area.toLocaleString(undefined, compact) +
+      ' km²</span><span class="visited-total-label">of land (' +
+      formatVisitedPercent(stats.area, stats.worldArea) + " of the world)</span></div>" +
+    "</div>";
+
+  html += '<ul class="visited-regions">';
+  stats.regions.forEach(function (region) {
+    html += "<li>" + buildVisitedRow(region, "visited-row visited-region") +
+      '<ul class="visited-subregions">';
+    region.subregions.forEach(function (subregion) {
+      html += "<li>" + buildVisitedRow(subregion, "visited-row") + "</li>";
+    });
+    html += "</ul></li>";
+  });
+  return html + "</ul>";
+}
+
+/**
+ * Fill in the travel stats panel, if this page has one.
+ * The world totals are only loaded once the panel is open.
+ */
+async function renderVisitedStats() {
+  const panel = document.getElementById("visited-panel");
+  const container = document.getElementById("visited-stats");
+  if (!panel || !container) {
+    return;
+  }
+
+  const codes = getVisitedCodes();
+  document.getElementById("visited-summary").textContent = "(" + codes.length + " visited)";
+  document.getElementById("visited-empty").hidden = codes.length > 0;
+  if (!panel.open) {
+    return;
+  }
+
+  let countries;
+  try {
+    countries = await loadVisitedWorld();
+  } catch (error) {
+    console.error("Error loading countries for travel stats:", error);
+    container.innerHTML = '<p class="visited-error">Your travel stats couldn\'t be ' +
+      "worked out right now. Please check your connection and try again.</p>";
+    return;
+  }
+
+  container.innerHTML = buildVisitedStatsHTML(getVisitedStats(countries, getVisitedCodes()));
+}
+
+/**
+ * Hook up the travel stats panel on destinations.html
+ */
+function initVisitedPanel() {
+  const panel = document.getElementById("visited-panel");
+  if (!panel) {
+    return;
+  }
+
+  panel.addEventListener("toggle", renderVisitedStats);
+
+  const mapBtn = document.getElementById("visited-map-btn");
+  const metricSelect = document.getElementById("map-metric");
+  if (mapBtn && metricSelect) {
+    mapBtn.addEventListener("click", function () {
+      metricSelect.value = "visited";
+      metricSelect.dispatchEvent(new Event("change"));
+      document.getElementById("dest-map-container").scrollIntoView({ behavior: "smooth" });
+    });
+  }
+
+  renderVisitedStats();
+}
+
+/* ──────────────────────────────────────────────
+   INITIALISATION
+   ────────────────────────────────────────────── */
+
+document.addEventListener("DOMContentLoaded", function () {
+  syncVisitedFavourites();
+  initVisitedPanel();
+});
+
+document.addEventListener(VISITED_EVENT, refreshVisitedControls);
+
+// Keep buttons, stats and the map in step with other tabs
+window.addEventListener("storage", function (event) {
+  if (event.key === VISITED_KEY || event.key === null) {
+    notifyVisitedChange(true);
+  }
+});
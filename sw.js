@@ -0,0 +1,250 @@
+/* jshint esversion: 8, worker: true */
+/* ══════════════════════════════════════════════
+   sw.js - Service Worker
+   Wanderlust Travel - Holiday Destination Finder
+
+   This file handles:
+   - Precaching the app shell (pages, CSS, JS, data,
+     Leaflet and icons) so the site works offline
+   - Serving offline.html when a page can't be loaded
+   - Caching map tiles the user has already seen,
+     up to a fixed number of tiles
+   - Removing caches left by older versions
+   - Waiting for the page to approve an update
+     (see sw-register.js)
+
+   Demonstrates: Service Worker lifecycle (install,
+   activate, fetch, message), Cache Storage API,
+   network-first and cache-first strategies
+   ══════════════════════════════════════════════ */
+
+/* ──────────────────────────────────────────────
+   CACHE NAMES
+   Bump CACHE_VERSION on every deployment: the
+   changed file makes browsers install the new
+   worker, and old caches are deleted on activate.
+   The tile cache keeps one name across versions,
+   so the tiles collected for offline use survive
+   an update (trimCache keeps it to MAX_TILES)
+   ────────────────────────────────────────────── */
+const CACHE_VERSION = "v22";
+const SHELL_CACHE = "wanderlust-shell-" + CACHE_VERSION;
+const TILE_CACHE = "wanderlust-tiles";
+const RUNTIME_CACHE = "wanderlust-runtime-" + CACHE_VERSION;
+
+/** Maximum number of map tiles kept for offline use */
+const MAX_TILES = 400;
+
+/** Map tile URLs, from any provider in tiles.js or a self-hosted server: .../{z}/{x}/{y}.png */
+const TILE_PATH_PATTERN = /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/;
+
+/** Same-origin files needed for every page to work offline */
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "destinations.html",
+  "favourites.html",
+  "compare.html",
+  "itinerary.html",
+  "shared.html",
+  "contact.html",
+  "404.html",
+  "offline.html",
+  "manifest.webmanifest",
+  "assets/css/style.css",
+  "assets/js/cache.js",
+  "assets/js/data-provider.js",
+  "assets/js/borders.js",
+  "assets/js/tiles.js",
+  "assets/js/script.js",
+  "assets/js/features.js",
+  "assets/js/journal.js",
+  "assets/js/visited.js",
+  "assets/js/neighbours.js",
+  "assets/js/timezones.js",
+  "assets/js/currency.js",
+  "assets/js/filters.js",
+  "assets/js/pagination.js",
+  "assets/js/url-state.js",
+  "assets/js/map-lookup.js",
+  "assets/js/choropleth.js",
+  "assets/js/country-detail.js",
+  "assets/js/typeahead.js",
+  "assets/js/compare.js",
+  "assets/js/itinerary.js",
+  "assets/js/backup.js",
+  "assets/js/share.js",
+  "assets/js/contact.js",
+  "assets/js/sw-register.js",
+  "assets/data/countries.json",
+  "assets/data/borders.geojson",
+  "assets/data/rates.json",
+  "assets/images/icons/icon.svg",
+  "assets/images/icons/icon-192.png",
+  "assets/images/icons/icon-512.png",
+  "assets/images/icons/apple-touch-icon.png"
+];
+
+/** Third-party files - cached if available, but not required to install */
+const CDN_FILES = [
+  "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.min.css",
+  "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.min.js",
+  "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon.png",
+  "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon-2x.png",
+  "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png",
+  "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/layers.png",
+  "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/layers-2x.png",
+  "https://cdnjs.cloudflare.com/ajax/libs/leaflet.markercluster/1.5.3/leaflet.markercluster.min.js",
+  "https://cdnjs.cloudflare.com/ajax/libs/leaflet.markercluster/1.5.3/MarkerCluster.min.css",
+  "https://cdnjs.cloudflare.com/ajax/libs/leaflet.markercluster/1.5.3/MarkerCluster.Default.min.css"
+];
+
+/* ──────────────────────────────────────────────
+   INSTALL & ACTIVATE
+   ────────────────────────────────────────────── */
+
+self.addEventListener("install", function (event) {
+  event.waitUntil((async function () {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_FILES);
+
+    // A CDN outage shouldn't stop the app installing
+    await Promise.all(CDN_FILES.map(function (url) {
+      return cache.add(url).catch(function (error) {
+        console.warn("Could not precache", url, error);
+      });
+    }));
+  })());
+
+  // No skipWaiting() here - the page asks the user first
+});
+
+self.addEventListener("activate", function (event) {
+  const currentCaches = [SHELL_CACHE, TILE_CACHE, RUNTIME_CACHE];
+
+  event.waitUntil((async function () {
+    const names = await caches.keys();
+    await Promise.all(names.map(function (name) {
+      if (name.indexOf("wanderlust-") === 0 && currentCaches.indexOf(name) === -1) {
+        return caches.delete(name);
+      }
+      return null;
+    }));
+    await self.clients.claim();
+  })());
+});
+
+/** The page posts SKIP_WAITING when the user accepts an update */
+self.addEventListener("message", function (event) {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+/* ──────────────────────────────────────────────
+   FETCH STRATEGIES
+   ────────────────────────────────────────────── */
+
+/**
+ * Pages: try the network first so content stays fresh,
+ * then the cached copy, then the offline page
+ * @param {Request} request - A navigation request
+ * @returns {Response} - The page to show
+ */
+async function handlePageRequest(request) {
+  try {
+    const response = await fetch(request);
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || caches.match("offline.html");
+  }
+}
+
+/**
+ * App shell and CDN files: serve from the cache, and
+ * cache anything new the first time it is fetched
+ * @param {Request} request - A static file request
+ * @returns {Response} - The file
+ */
+async function handleStaticRequest(request) {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Map tiles: serve tiles seen before from the cache,
+ * otherwise fetch and keep them, dropping the oldest
+ * tiles once the cap is reached
+ * @param {Request} request - A map tile request
+ * @returns {Response} - The tile image
+ */
+async function handleTileRequest(request) {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  // Ask for a CORS response (OSM, Carto and the keyed providers all
+  // send Access-Control-Allow-Origin). An opaque response would count
+  // as several MB of storage each, crowding out the shell cache.
+  let response;
+  try {
+    response = await fetch(request.url, { mode: "cors", credentials: "omit" });
+  } catch (error) {
+    // A server without CORS headers: show the tile but don't keep it
+    return fetch(request);
+  }
+
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    await trimCache(cache, MAX_TILES);
+  }
+  return response;
+}
+
+/**
+ * Delete the oldest entries until a cache is within its cap
+ * (keys() lists entries in the order they were added)
+ * @param {Cache} cache - The cache to trim
+ * @param {number} maxEntries - Entries to keep
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - maxEntries; i++) {
+    await cache.delete(keys[i]);
+  }
+}
+
+self.addEventListener("fetch", function (event) {
+  const request = event.request;
+  if (request.method !== "GET") {
+    return;
+  }
+
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(handlePageRequest(request));
+  } else if (TILE_PATH_PATTERN.test(url.pathname)) {
+    event.respondWith(handleTileRequest(request));
+  } else if (url.origin === self.location.origin ||
+      url.hostname === "cdnjs.cloudflare.com" ||
+      url.hostname === "cdn.jsdelivr.net" ||
+      url.hostname === "fonts.googleapis.com" ||
+      url.hostname === "fonts.gstatic.com") {
+    event.respondWith(handleStaticRequest(request));
+  }
+  // Everything else (e.g. REST Countries, EmailJS) goes to the
+  // network as normal - country data has its own cache (cache.js)
+});